@@ -1,11 +1,16 @@
-import { Client } from '@microsoft/microsoft-graph-client';
+import { AuthenticationHandler, Client, HTTPMessageHandler, RedirectHandler, TelemetryHandler } from '@microsoft/microsoft-graph-client';
 import { ClientSecretCredential } from '@azure/identity';
 
+// One client (and credential, which caches its access token) for the whole process
+let client;
+
 /**
- * Get authenticated Microsoft Graph client
+ * Get the shared, authenticated Microsoft Graph client
  * @returns {Promise<Client>} authenticated Graph client
  */
 export default async function getGraphClient() {
+  if (client) return client;
+
   if (!process.env.SHAREPOINT_CLIENT_ID || !process.env.SHAREPOINT_CLIENT_SECRET || !process.env.SHAREPOINT_TENANT_ID) {
     throw new Error('Missing SharePoint authentication credentials in environment variables');
   }
@@ -16,15 +21,23 @@ export default async function getGraphClient() {
     process.env.SHAREPOINT_CLIENT_SECRET
   );
 
-  // Create Graph client with the credential
-  const client = Client.initWithMiddleware({
-    authProvider: {
-      getAccessToken: async () => {
-        const token = await credential.getToken('https://graph.microsoft.com/.default');
-        return token.token;
-      }
+  const authProvider = {
+    getAccessToken: async () => {
+      const token = await credential.getToken('https://graph.microsoft.com/.default');
+      return token.token;
     }
+  };
+
+  // The SDK's default chain without its RetryHandler: retries and circuit breaking are done by
+  // services/graphResilience.js, and two layers of retries would multiply the attempts
+  client = Client.initWithMiddleware({
+    middleware: [
+      new AuthenticationHandler(authProvider),
+      new RedirectHandler(),
+      new TelemetryHandler(),
+      new HTTPMessageHandler()
+    ]
   });
 
   return client;
-}
\ No newline at end of file
+}
@@ -0,0 +1,96 @@
+import { PROVINCES } from './provinces.js';
+import { SUBMISSION_SCHEMA } from './submissionSchema.js';
+
+/**
+ * Wizard layout: which fields appear on which step and how they are shown.
+ * Validation rules (labels, required, lengths, file limits) come from the submission schema,
+ * so a rule change there shows up in the wizard, the server checks and the review step at once.
+ */
+const STEPS = [
+  {
+    id: 'basic',
+    title: 'Basic Information',
+    shortTitle: 'Basic Info',
+    icon: 'fa-user',
+    type: 'fields',
+    fields: [
+      { name: 'builderName', type: 'text', placeholder: 'Enter full name', layout: 'grid' },
+      { name: 'companyName', type: 'text', placeholder: 'Enter company name', layout: 'grid' },
+      // lookup: shows the registration's status in the builder registry (/api/builders/:registrationNumber)
+      { name: 'registrationNumber', type: 'text', placeholder: 'Enter registration number', layout: 'grid', lookup: 'builders' },
+      { name: 'email', type: 'email', placeholder: 'Enter email address for your confirmation', layout: 'grid' }
+    ]
+  },
+  {
+    id: 'property',
+    title: 'Property Details',
+    shortTitle: 'Property Details',
+    icon: 'fa-home',
+    type: 'fields',
+    fields: [
+      { name: 'province', type: 'select', placeholder: 'Select your province' }
+    ],
+    // One group of these fields per property; the builder can add up to properties.maxCount in the schema
+    repeat: {
+      name: 'properties',
+      itemLabel: 'Property',
+      addLabel: 'Add another property',
+      fields: [
+        { name: 'standNumber', type: 'text', placeholder: 'e.g. 1234 or 1234/5', layout: 'grid' },
+        { name: 'streetAddress', type: 'text', placeholder: 'Street number and name, if any', layout: 'grid' },
+        { name: 'suburb', type: 'text', placeholder: 'Enter suburb, township or village', layout: 'grid' },
+        { name: 'city', type: 'text', placeholder: 'Enter city or town', layout: 'grid' },
+        // lookup: fills in the municipality from the postal code and warns when it is in another province
+        { name: 'postalCode', type: 'text', placeholder: 'e.g. 0002', layout: 'grid', lookup: 'postalCode', inputMode: 'numeric', maxLength: 4 },
+        { name: 'municipality', type: 'text', placeholder: 'Filled in from the postal code where known', layout: 'grid' },
+        { name: 'competentPerson', type: 'text', placeholder: "Enter competent person's name" }
+      ]
+    }
+  },
+  {
+    id: 'documents',
+    title: 'Upload Documents',
+    shortTitle: 'Documents',
+    icon: 'fa-file-upload',
+    type: 'files',
+    label: 'Upload D1 Form and Appendices',
+    formatsDescription: 'Word, Excel, PDF, Image, etc.'
+  },
+  {
+    id: 'review',
+    title: 'Review Information',
+    shortTitle: 'Review',
+    icon: 'fa-check-circle',
+    type: 'review'
+  }
+];
+
+function withRules(fields) {
+  return fields.map(field => ({ ...SUBMISSION_SCHEMA.fields[field.name], ...field }));
+}
+
+/**
+ * Build the form definition served at /api/form-definition
+ * @returns {object} steps (with field rules and property limits merged in), provinces, file rules and the full schema
+ */
+export function getFormDefinition() {
+  const steps = STEPS.map(step => ({
+    ...step,
+    ...(step.fields && { fields: withRules(step.fields) }),
+    ...(step.repeat && {
+      repeat: {
+        ...step.repeat,
+        minCount: SUBMISSION_SCHEMA.properties.minCount,
+        maxCount: SUBMISSION_SCHEMA.properties.maxCount,
+        fields: withRules(step.repeat.fields)
+      }
+    })
+  }));
+
+  return {
+    steps,
+    provinces: PROVINCES.map(p => p.name),
+    files: SUBMISSION_SCHEMA.files,
+    schema: SUBMISSION_SCHEMA
+  };
+}
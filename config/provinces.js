@@ -0,0 +1,25 @@
+/**
+ * Provinces served by the form.
+ * key - suffix of the SHAREPOINT_SITE_* / SHAREPOINT_LIST_* environment variables
+ * code - short code used in reference numbers
+ */
+export const PROVINCES = [
+  { name: 'Eastern Cape', key: 'EASTERN_CAPE', code: 'EC' },
+  { name: 'Free State', key: 'FREE_STATE', code: 'FS' },
+  { name: 'Gauteng', key: 'GAUTENG', code: 'GP' },
+  { name: 'KwaZulu Natal', key: 'KWAZULU_NATAL', code: 'KZN' },
+  { name: 'Limpopo', key: 'LIMPOPO', code: 'LP' },
+  { name: 'Mpumalanga', key: 'MPUMALANGA', code: 'MP' },
+  { name: 'North West', key: 'NORTH_WEST', code: 'NW' },
+  { name: 'Northern Cape', key: 'NORTHERN_CAPE', code: 'NC' },
+  { name: 'Western Cape', key: 'WESTERN_CAPE', code: 'WC' }
+];
+
+/**
+ * Look up a province by its display name
+ * @param {string} name - province name as submitted by the form
+ * @returns {object|undefined} province entry
+ */
+export function getProvince(name) {
+  return PROVINCES.find(p => p.name === name);
+}
@@ -0,0 +1,49 @@
+/**
+ * Request quotas for the public endpoints.
+ * Each policy allows `perIp` requests from one client address and `global` requests from everyone
+ * together in every `windowMs`. RATE_LIMIT_<env>_PER_IP, RATE_LIMIT_<env>_GLOBAL and
+ * RATE_LIMIT_<env>_WINDOW_MS override the defaults; RATE_LIMIT_ENABLED=false turns limiting off.
+ */
+const MINUTE = 60 * 1000;
+
+export const RATE_LIMIT_POLICIES = {
+  // Every /api request, on top of the route quotas below
+  api: { env: 'API', windowMs: MINUTE, perIp: 300, global: 6000 },
+  // Each reservation takes a number from the province's sequence
+  reference: { env: 'REFERENCE', windowMs: 10 * MINUTE, perIp: 20, global: 600 },
+  submit: { env: 'SUBMIT', windowMs: 60 * MINUTE, perIp: 10, global: 500 },
+  // New resumable uploads; their chunks count towards the api quota only
+  uploads: { env: 'UPLOADS', windowMs: 10 * MINUTE, perIp: 60, global: 2000 },
+  drafts: { env: 'DRAFTS', windowMs: 10 * MINUTE, perIp: 60, global: 2000 },
+  // Status and receipt lookups, which could otherwise be used to probe reference numbers
+  lookup: { env: 'LOOKUP', windowMs: 10 * MINUTE, perIp: 30, global: 1000 },
+  challenge: { env: 'CHALLENGE', windowMs: 10 * MINUTE, perIp: 30, global: 2000 },
+  // Registration status checks in the wizard, which could otherwise be used to probe registration numbers
+  builders: { env: 'BUILDERS', windowMs: 10 * MINUTE, perIp: 30, global: 2000 },
+  // Postal code lookups on the wizard's address step
+  postalCodes: { env: 'POSTAL_CODES', windowMs: 10 * MINUTE, perIp: 60, global: 3000 }
+};
+
+export function isRateLimitEnabled() {
+  return process.env.RATE_LIMIT_ENABLED !== 'false';
+}
+
+/**
+ * A policy with any environment overrides applied
+ * @param {string} name - key of RATE_LIMIT_POLICIES
+ * @returns {object} name, windowMs, perIp and global
+ */
+export function getRateLimitPolicy(name) {
+  const policy = RATE_LIMIT_POLICIES[name];
+  if (!policy) {
+    throw new Error(`Unknown rate limit policy "${name}"`);
+  }
+
+  const prefix = `RATE_LIMIT_${policy.env}`;
+  return {
+    name,
+    windowMs: Number(process.env[`${prefix}_WINDOW_MS`]) || policy.windowMs,
+    perIp: Number(process.env[`${prefix}_PER_IP`]) || policy.perIp,
+    global: Number(process.env[`${prefix}_GLOBAL`]) || policy.global
+  };
+}
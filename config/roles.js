@@ -0,0 +1,53 @@
+import { PROVINCES } from './provinces.js';
+
+/**
+ * Staff roles, carried in the "roles" claim of the access token (Entra ID app roles).
+ * A provincial officer role is scoped to one province by its code, e.g. "ProvincialOfficer.GP";
+ * define one app role per province and assign as many as an officer needs.
+ */
+export const ROLES = {
+  PROVINCIAL_OFFICER: 'ProvincialOfficer',
+  NATIONAL_ADMIN: 'NationalAdmin',
+  OPERATOR: 'Operator'
+};
+
+/**
+ * Every role value that can be assigned, including the per-province officer roles
+ * @returns {string[]} role values
+ */
+export function getAssignableRoles() {
+  return [
+    ROLES.NATIONAL_ADMIN,
+    ROLES.OPERATOR,
+    ...PROVINCES.map(p => `${ROLES.PROVINCIAL_OFFICER}.${p.code}`)
+  ];
+}
+
+/**
+ * Work out what a set of role claims allows
+ * @param {string[]} claims - values of the token's roles claim
+ * @returns {object} roles (without province suffixes) and the provinces the user may see (null = all)
+ */
+export function resolveAccess(claims = []) {
+  const roles = new Set();
+  const provinces = new Set();
+
+  for (const claim of claims) {
+    if (claim === ROLES.NATIONAL_ADMIN || claim === ROLES.OPERATOR) {
+      roles.add(claim);
+      continue;
+    }
+
+    const [role, code] = claim.split('.');
+    const province = PROVINCES.find(p => p.code === code);
+    if (role === ROLES.PROVINCIAL_OFFICER && province) {
+      roles.add(ROLES.PROVINCIAL_OFFICER);
+      provinces.add(province.name);
+    }
+  }
+
+  return {
+    roles: [...roles],
+    provinces: roles.has(ROLES.NATIONAL_ADMIN) ? null : [...provinces]
+  };
+}
@@ -0,0 +1,106 @@
+import { PROVINCES } from './provinces.js';
+
+/**
+ * Validation rules for /api/submit-form.
+ * The server enforces them and serves them to the wizard at /api/submission-schema,
+ * so keep every rule JSON-serialisable (patterns are strings, not RegExp objects).
+ */
+export const SUBMISSION_SCHEMA = {
+  fields: {
+    builderName: {
+      label: 'Home Builder Name and Surname',
+      required: true,
+      minLength: 2,
+      maxLength: 100
+    },
+    companyName: {
+      label: 'Home Builder Company Name',
+      required: true,
+      minLength: 2,
+      maxLength: 150
+    },
+    registrationNumber: {
+      label: 'Home Builder Registration Number',
+      required: true,
+      minLength: 3,
+      maxLength: 20,
+      pattern: '^[A-Za-z0-9][A-Za-z0-9/-]*$',
+      patternMessage: 'Use only letters, numbers, "/" and "-"'
+    },
+    email: {
+      label: 'Email Address',
+      required: true,
+      maxLength: 254,
+      pattern: '^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$',
+      patternMessage: 'Please enter a valid email address'
+    },
+    province: {
+      label: 'Province',
+      required: true,
+      enum: PROVINCES.map(p => p.name)
+    },
+    // The property address, in parts (services/address.js writes it out on one line as propertyDetails)
+    standNumber: {
+      label: 'Stand / Erf Number',
+      required: true,
+      maxLength: 20,
+      pattern: '^[A-Za-z0-9][A-Za-z0-9 /-]*$',
+      patternMessage: 'Use only letters, numbers, spaces, "/" and "-"'
+    },
+    streetAddress: {
+      label: 'Street Address',
+      maxLength: 150
+    },
+    suburb: {
+      label: 'Suburb or Village',
+      required: true,
+      minLength: 2,
+      maxLength: 100
+    },
+    city: {
+      label: 'City or Town',
+      required: true,
+      minLength: 2,
+      maxLength: 100
+    },
+    municipality: {
+      label: 'Local Municipality',
+      maxLength: 100
+    },
+    postalCode: {
+      label: 'Postal Code',
+      required: true,
+      pattern: '^\\d{4}$',
+      patternMessage: 'Enter the 4-digit postal code'
+    },
+    competentPerson: {
+      label: 'Competent Person Name',
+      required: true,
+      minLength: 2,
+      maxLength: 100
+    }
+  },
+  // One submission can cover several properties (e.g. the stands of a development). These fields are
+  // captured once per property; the other fields and the documents are shared by all of them.
+  properties: {
+    label: 'Properties',
+    minCount: 1,
+    maxCount: 20,
+    fields: ['standNumber', 'streetAddress', 'suburb', 'city', 'municipality', 'postalCode', 'competentPerson']
+  },
+  files: {
+    label: 'Documents',
+    minCount: 1,
+    maxCount: 3,
+    maxSize: 10 * 1024 * 1024,
+    allowedExtensions: ['pdf', 'doc', 'docx', 'xls', 'xlsx', 'jpg', 'jpeg', 'png', 'gif'],
+    // What each document is; recorded on the document and the list item so reviewers can filter by it
+    categories: [
+      { value: 'd1Form', label: 'D1 Form' },
+      { value: 'appendix', label: 'Appendix' },
+      { value: 'buildingPlans', label: 'Building plans' },
+      { value: 'other', label: 'Other supporting document' }
+    ],
+    defaultCategory: 'other'
+  }
+};
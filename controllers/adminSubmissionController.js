@@ -0,0 +1,26 @@
+import { getSubmissionDetail, searchSubmissions } from '../services/submissionSearch.js';
+import { logger } from '../services/logger.js';
+
+export const listSubmissions = async (req, res) => {
+  try {
+    const { q, province, from, to, page, pageSize } = req.query;
+    const results = await searchSubmissions({ q, province, from, to, page, pageSize, allowedProvinces: req.user.provinces });
+    res.json({ success: true, ...results });
+  } catch (error) {
+    logger.error('Error searching submissions', { error });
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
+
+export const getSubmissionDetails = async (req, res) => {
+  try {
+    const referenceNumber = req.params.referenceNumber.trim().toUpperCase();
+    const submission = await getSubmissionDetail(referenceNumber, req.query.province, req.user.provinces);
+    if (!submission) return res.status(404).json({ success: false, error: 'Submission not found' });
+
+    res.json({ success: true, submission });
+  } catch (error) {
+    logger.error('Error reading submission', { error });
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
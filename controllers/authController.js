@@ -0,0 +1,34 @@
+import { getAssignableRoles } from '../config/roles.js';
+import { isLocalIssuerEnabled, issueLocalToken } from '../services/auth/localIssuer.js';
+import { getPublicAuthConfig } from '../services/auth/tokenVerifier.js';
+import { logger } from '../services/logger.js';
+
+export const getAuthConfig = async (req, res) => {
+  res.json({ success: true, auth: { ...getPublicAuthConfig(), roles: getAssignableRoles() } });
+};
+
+export const getCurrentUser = async (req, res) => {
+  res.json({ success: true, user: req.user });
+};
+
+// Only available with AUTH_LOCAL_ISSUER=true outside production
+export const issueLocalAccessToken = async (req, res) => {
+  try {
+    if (!isLocalIssuerEnabled()) {
+      return res.status(404).json({ success: false, error: 'Not found' });
+    }
+
+    const { name = 'Local User', roles = [] } = req.body || {};
+    const assignable = getAssignableRoles();
+    const unknown = [].concat(roles).filter(role => !assignable.includes(role));
+    if (unknown.length > 0) {
+      return res.status(400).json({ success: false, error: `Unknown roles: ${unknown.join(', ')}` });
+    }
+
+    const accessToken = await issueLocalToken({ sub: `local:${name}`, name, roles: [].concat(roles) });
+    res.json({ success: true, accessToken, tokenType: 'Bearer' });
+  } catch (error) {
+    logger.error('Error issuing local token', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
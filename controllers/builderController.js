@@ -0,0 +1,44 @@
+import { getRegistrationStatus, getRegistryStatus, importRegistryFile, isRegistryEnabled, refreshBuilderRegistry } from '../services/builderRegistry.js';
+import { logger } from '../services/logger.js';
+
+export const checkBuilderRegistration = async (req, res) => {
+  try {
+    res.json({ success: true, enabled: isRegistryEnabled(), registration: getRegistrationStatus(req.params.registrationNumber) });
+  } catch (error) {
+    logger.error('Error checking a builder registration', { error });
+    res.status(500).json({ success: false, error: 'Unable to check the registration right now' });
+  }
+};
+
+export const getBuilderRegistry = async (req, res) => {
+  try {
+    res.json({ success: true, registry: getRegistryStatus() });
+  } catch (error) {
+    logger.error('Error reading builder registry status', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+export const importBuilderRegistry = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'Attach the registry as a CSV or JSON file in the "file" field' });
+    }
+    const result = importRegistryFile(req.file.buffer, req.file.originalname);
+    logger.info('Builder registry imported', { fileName: req.file.originalname, builders: result.builders, user: req.user?.name });
+    res.json({ success: true, result });
+  } catch (error) {
+    logger.error('Error importing builder registry', { error });
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
+
+export const reloadBuilderRegistry = async (req, res) => {
+  try {
+    const result = await refreshBuilderRegistry();
+    res.json({ success: true, result });
+  } catch (error) {
+    logger.error('Error reloading builder registry', { error });
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
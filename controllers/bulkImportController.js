@@ -0,0 +1,68 @@
+import { buildResultsFile, buildTemplateFile, getImport, IMPORT_FORMAT, previewImport, runImport } from '../services/bulkImport.js';
+import { logger } from '../services/logger.js';
+
+const MISSING_FILE_ERROR = 'Attach the enrolments as a CSV or Excel (.xlsx) file in the "file" field';
+
+// The format query parameter: csv or xlsx
+function readFormat(req, defaultFormat) {
+  const format = req.query.format || defaultFormat;
+  return Object.values(IMPORT_FORMAT).includes(format) ? format : null;
+}
+
+function sendFile(res, { fileName, contentType, content }) {
+  res.set('Content-Type', contentType);
+  res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.send(content);
+}
+
+export const getBulkImportTemplate = async (req, res) => {
+  try {
+    const format = readFormat(req, IMPORT_FORMAT.XLSX);
+    if (!format) return res.status(400).json({ success: false, error: 'format must be csv or xlsx' });
+
+    sendFile(res, await buildTemplateFile(format));
+  } catch (error) {
+    logger.error('Error building import template', { error });
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
+
+export const previewBulkImport = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: MISSING_FILE_ERROR });
+    }
+    const preview = await previewImport(req.file.buffer, req.file.originalname, req.user);
+    res.json({ success: true, preview });
+  } catch (error) {
+    logger.error('Error previewing bulk import', { error });
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
+
+export const runBulkImport = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: MISSING_FILE_ERROR });
+    }
+    const result = await runImport(req.file.buffer, req.file.originalname, req.user);
+    res.json({ success: true, result });
+  } catch (error) {
+    logger.error('Error running bulk import', { error });
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
+
+export const getBulkImportResults = async (req, res) => {
+  try {
+    const bulkImport = getImport(req.params.id, req.user);
+    if (!bulkImport) return res.status(404).json({ success: false, error: 'Import not found' });
+
+    const format = readFormat(req, bulkImport.format);
+    if (!format) return res.status(400).json({ success: false, error: 'format must be csv or xlsx' });
+    sendFile(res, await buildResultsFile(bulkImport, format));
+  } catch (error) {
+    logger.error('Error building import results', { error });
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
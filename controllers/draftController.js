@@ -0,0 +1,63 @@
+import { createDraft, getDraft, updateDraft } from '../services/draftStore.js';
+import { getUpload } from '../services/uploadStore.js';
+import { logger } from '../services/logger.js';
+
+// Files are described by their upload; the staged path stays on the server
+function toResponse(draft) {
+  const files = draft.uploadIds
+    .map(id => getUpload(id))
+    .filter(Boolean)
+    .map(upload => ({
+      uploadId: upload.id,
+      fileName: upload.originalname,
+      size: upload.size,
+      mimeType: upload.mimetype,
+      category: draft.documentCategories[upload.id]
+    }));
+
+  return {
+    token: draft.token,
+    step: draft.step,
+    formData: draft.formData,
+    files,
+    missingFiles: draft.uploadIds.length - files.length,
+    updatedAt: draft.updatedAt,
+    expiresAt: draft.expiresAt
+  };
+}
+
+export const saveDraft = async (req, res) => {
+  try {
+    const draft = createDraft(req.body || {});
+    res.status(201).json({ success: true, draft: toResponse(draft) });
+  } catch (error) {
+    logger.error('Error saving draft', { error });
+    res.status(error.statusCode || 500).json({ success: false, error: 'Unable to save your progress right now' });
+  }
+};
+
+export const updateSavedDraft = async (req, res) => {
+  try {
+    const draft = updateDraft(req.params.token, req.body || {});
+    res.json({ success: true, draft: toResponse(draft) });
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    logger.error('Error updating draft', { error });
+    res.status(error.statusCode || 500).json({ success: false, error: 'Unable to save your progress right now' });
+  }
+};
+
+export const getSavedDraft = async (req, res) => {
+  try {
+    const draft = getDraft(req.params.token);
+    if (!draft) {
+      return res.status(404).json({ success: false, error: 'This saved application was not found or has expired' });
+    }
+    res.json({ success: true, draft: toResponse(draft) });
+  } catch (error) {
+    logger.error('Error loading draft', { error });
+    res.status(500).json({ success: false, error: 'Unable to load your saved application right now' });
+  }
+};
@@ -1,16 +1,15 @@
+import { logger } from '../services/logger.js';
 import { saveToSharePoint } from '../services/sharepoint.js';
 
 export const submitForm = async (req, res) => {
   try {
-    console.log('Form data received:', req.body);
-
     const response = await saveToSharePoint(req.body);
 
-    console.log('SharePoint response:', response);
+    logger.info('Form saved', { itemId: response.id });
 
     res.json({ success: true, itemId: response.id });
   } catch (error) {
-    console.error('Error in submitForm:', error);
+    logger.error('Error in submitForm', { error });
 
     res.status(500).json({
       success: false,
@@ -0,0 +1,21 @@
+import { getLastSweepReport, sweepOrphans } from '../services/orphanSweep.js';
+import { logger } from '../services/logger.js';
+
+export const getOrphanReport = async (req, res) => {
+  try {
+    res.json({ success: true, report: getLastSweepReport() });
+  } catch (error) {
+    logger.error('Error reading orphan sweep report', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+export const runOrphanSweep = async (req, res) => {
+  try {
+    const report = await sweepOrphans({ action: req.body?.action || undefined });
+    res.json({ success: true, report });
+  } catch (error) {
+    logger.error('Error running orphan sweep', { error });
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
@@ -0,0 +1,50 @@
+import { getEntry, listEntries, OUTBOX_STATUS, replayEntry } from '../services/outbox.js';
+import { logger } from '../services/logger.js';
+
+// File paths on disk are internal; the admin API only exposes file metadata
+function toResponse(entry) {
+  return {
+    ...entry,
+    files: entry.files.map(({ path, ...file }) => file)
+  };
+}
+
+export const listOutbox = async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !Object.values(OUTBOX_STATUS).includes(status)) {
+      return res.status(400).json({ success: false, error: `Unknown status: ${status}` });
+    }
+
+    const limit = Math.min(Number(req.query.limit) || 50, 500);
+    const entries = listEntries({ status, limit });
+    res.json({ success: true, entries: entries.map(toResponse) });
+  } catch (error) {
+    logger.error('Error listing outbox', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+export const getOutboxEntry = async (req, res) => {
+  try {
+    const entry = getEntry(req.params.id);
+    if (!entry) return res.status(404).json({ success: false, error: 'Outbox entry not found' });
+
+    res.json({ success: true, entry: toResponse(entry) });
+  } catch (error) {
+    logger.error('Error reading outbox entry', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+export const replayOutboxEntry = async (req, res) => {
+  try {
+    const entry = replayEntry(req.params.id);
+    if (!entry) return res.status(404).json({ success: false, error: 'Outbox entry not found' });
+
+    res.json({ success: true, entry: toResponse(entry) });
+  } catch (error) {
+    logger.error('Error replaying outbox entry', { error });
+    res.status(409).json({ success: false, error: error.message });
+  }
+};
@@ -0,0 +1,87 @@
+import { isLegacyReference, isValidReference } from '../services/referenceAllocator.js';
+import { buildReceiptPdf } from '../services/receipt.js';
+import { getSubmissionReceipt, getSubmissionStatus, replaceFailedDocuments } from '../services/submissionStatus.js';
+import { logger } from '../services/logger.js';
+
+export const getSubmission = async (req, res) => {
+  try {
+    const referenceNumber = req.params.referenceNumber.trim().toUpperCase();
+    const { registrationNumber } = req.query;
+
+    if (!isValidReference(referenceNumber) && !isLegacyReference(referenceNumber)) {
+      return res.status(400).json({ success: false, error: 'This reference number is not valid. Please check it for typing mistakes.' });
+    }
+    if (!registrationNumber) {
+      return res.status(400).json({ success: false, error: 'Registration number is required' });
+    }
+
+    const submission = await getSubmissionStatus(referenceNumber, registrationNumber);
+
+    // Same answer for unknown references and wrong registration numbers, so references cannot be probed
+    if (!submission) {
+      return res.status(404).json({ success: false, error: 'No submission found for this reference and registration number' });
+    }
+
+    res.json({ success: true, submission });
+  } catch (error) {
+    logger.error('Error looking up submission', { error });
+    res.status(500).json({ success: false, error: 'Unable to look up submission right now. Please try again later.' });
+  }
+};
+
+export const retryFailedDocuments = async (req, res) => {
+  try {
+    const referenceNumber = req.params.referenceNumber.trim().toUpperCase();
+    const { registrationNumber, files } = req.body;
+
+    if (!isValidReference(referenceNumber) && !isLegacyReference(referenceNumber)) {
+      return res.status(400).json({ success: false, error: 'This reference number is not valid. Please check it for typing mistakes.' });
+    }
+    if (!registrationNumber) {
+      return res.status(400).json({ success: false, error: 'Registration number is required' });
+    }
+    if (!Array.isArray(files) || files.length === 0) {
+      return res.status(400).json({ success: false, error: 'Please choose the documents to send again' });
+    }
+
+    const submission = await replaceFailedDocuments(referenceNumber, String(registrationNumber), files);
+    if (!submission) {
+      return res.status(404).json({ success: false, error: 'No submission found for this reference and registration number' });
+    }
+
+    res.status(202).json({ success: true, message: 'Documents received and queued for processing', submission });
+  } catch (error) {
+    if (error.statusCode === 400 || error.statusCode === 409) {
+      return res.status(error.statusCode).json({ success: false, error: error.message, ...(error.fileResults && { fileResults: error.fileResults }) });
+    }
+    logger.error('Error replacing documents', { error });
+    res.status(500).json({ success: false, error: 'Unable to accept the documents right now. Please try again later.' });
+  }
+};
+
+export const getReceipt = async (req, res) => {
+  try {
+    const referenceNumber = req.params.referenceNumber.trim().toUpperCase();
+    const { registrationNumber } = req.query;
+
+    if (!isValidReference(referenceNumber) && !isLegacyReference(referenceNumber)) {
+      return res.status(400).json({ success: false, error: 'This reference number is not valid. Please check it for typing mistakes.' });
+    }
+    if (!registrationNumber) {
+      return res.status(400).json({ success: false, error: 'Registration number is required' });
+    }
+
+    const submission = getSubmissionReceipt(referenceNumber, registrationNumber);
+    if (!submission) {
+      return res.status(404).json({ success: false, error: 'No receipt found for this reference and registration number' });
+    }
+
+    const pdf = await buildReceiptPdf(submission);
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="${submission.referenceNumber}-receipt.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    logger.error('Error building receipt', { error });
+    res.status(500).json({ success: false, error: 'Unable to create the receipt right now. Please try again later.' });
+  }
+};
@@ -0,0 +1,52 @@
+import { appendChunk, CHUNK_SIZE, createUpload, getUpload, parseContentRange } from '../services/uploadStore.js';
+import { logger } from '../services/logger.js';
+
+// The staged file path stays on the server
+function toResponse(upload) {
+  return {
+    uploadId: upload.id,
+    fileName: upload.originalname,
+    size: upload.size,
+    received: upload.received,
+    status: upload.status,
+    chunkSize: CHUNK_SIZE
+  };
+}
+
+export const startUpload = async (req, res) => {
+  try {
+    const upload = await createUpload(req.body || {});
+    res.status(201).json({ success: true, upload: toResponse(upload) });
+  } catch (error) {
+    logger.error('Error starting upload', { error });
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
+
+export const uploadChunk = async (req, res) => {
+  try {
+    const range = parseContentRange(req.get('Content-Range'));
+    if (!range) {
+      return res.status(400).json({ success: false, error: 'Content-Range header is required (bytes start-end/total)' });
+    }
+
+    const upload = await appendChunk(req.params.id, range, req);
+    res.json({ success: true, upload: toResponse(upload) });
+  } catch (error) {
+    logger.error('Error writing upload chunk', { error });
+    const upload = getUpload(req.params.id);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      // Lets the client resume from the right offset
+      upload: upload ? toResponse(upload) : undefined
+    });
+  }
+};
+
+export const getUploadStatus = async (req, res) => {
+  const upload = getUpload(req.params.id);
+  if (!upload) return res.status(404).json({ success: false, error: 'Upload not found' });
+
+  res.json({ success: true, upload: toResponse(upload) });
+};
@@ -1,5 +1,6 @@
 // debug-site-access.js
 import dotenv from 'dotenv';
+import { PROVINCES } from './config/provinces.js';
 dotenv.config();
 
 console.log('Debugging SharePoint site access...\n');
@@ -11,17 +12,10 @@ try {
   console.log('✅ Graph client created successfully');
 
   // Test all your SharePoint sites
-  const sitesToTest = [
-    { name: 'Eastern Cape', url: process.env.SHAREPOINT_SITE_EASTERN_CAPE },
-    { name: 'Free State', url: process.env.SHAREPOINT_SITE_FREE_STATE },
-    { name: 'Gauteng', url: process.env.SHAREPOINT_SITE_GAUTENG },
-    { name: 'KwaZulu Natal', url: process.env.SHAREPOINT_SITE_KWAZULU_NATAL },
-    { name: 'Limpopo', url: process.env.SHAREPOINT_SITE_LIMPOPO },
-    { name: 'Mpumalanga', url: process.env.SHAREPOINT_SITE_MPUMALANGA },
-    { name: 'North West', url: process.env.SHAREPOINT_SITE_NORTH_WEST },
-    { name: 'Northern Cape', url: process.env.SHAREPOINT_SITE_NORTHERN_CAPE },
-    { name: 'Western Cape', url: process.env.SHAREPOINT_SITE_WESTERN_CAPE }
-  ];
+  const sitesToTest = PROVINCES.map(({ name, key }) => ({
+    name,
+    url: process.env[`SHAREPOINT_SITE_${key}`]
+  }));
 
   for (const site of sitesToTest) {
     if (!site.url) {
@@ -0,0 +1,36 @@
+import { verifyAccessToken } from '../services/auth/tokenVerifier.js';
+import { logger } from '../services/logger.js';
+
+/**
+ * Require a valid bearer token (Authorization: Bearer ...) and attach the caller as req.user
+ */
+export async function requireAuth(req, res, next) {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ success: false, error: 'Sign in required' });
+  }
+
+  try {
+    req.user = await verifyAccessToken(token);
+    next();
+  } catch (error) {
+    if (error.statusCode !== 401) {
+      logger.error('Token verification error', { error });
+    }
+    res.status(error.statusCode || 401).json({ success: false, error: error.statusCode === 401 ? 'Invalid or expired sign-in' : error.message });
+  }
+}
+
+/**
+ * Allow the request only if the signed-in user holds one of the roles. Use after requireAuth.
+ * @param {...string} roles - accepted roles (see config/roles.js)
+ * @returns {Function} middleware
+ */
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !req.user.roles.some(role => roles.includes(role))) {
+      return res.status(403).json({ success: false, error: 'You do not have access to this resource' });
+    }
+    next();
+  };
+}
@@ -0,0 +1,45 @@
+import { AsyncResource } from 'async_hooks';
+import { createCorrelationId, logger, runWithCorrelationId } from '../services/logger.js';
+
+export const CORRELATION_HEADER = 'X-Correlation-ID';
+
+// A caller-supplied ID is kept only if it is short and plain
+const VALID_CORRELATION_ID = /^[A-Za-z0-9._-]{1,64}$/;
+
+/**
+ * Give each request a correlation ID (the caller's X-Correlation-ID, or a new one), return it in
+ * the response header, attach it to every log line of the request and log API requests once done
+ */
+export function correlationId(req, res, next) {
+  const incoming = req.get(CORRELATION_HEADER);
+  const id = incoming && VALID_CORRELATION_ID.test(incoming) ? incoming : createCorrelationId();
+  const started = process.hrtime.bigint();
+
+  req.correlationId = id;
+  res.set(CORRELATION_HEADER, id);
+
+  runWithCorrelationId(id, () => {
+    if (req.path.startsWith('/api/')) {
+      // The query string is left out: lookups carry registration numbers
+      res.on('finish', () => {
+        logger.info('Request completed', {
+          method: req.method,
+          path: req.originalUrl.split('?')[0],
+          status: res.statusCode,
+          durationMs: Number(process.hrtime.bigint() - started) / 1e6
+        });
+      });
+    }
+    next();
+  });
+}
+
+/**
+ * Wrap a body parser that calls next from its own stream callbacks (multer), so the route after it
+ * still logs with the request's correlation ID and masks the values it registers
+ * @param {Function} middleware - Express middleware
+ * @returns {Function} middleware that hands on in the request's logging context
+ */
+export function keepCorrelationContext(middleware) {
+  return (req, res, next) => middleware(req, res, AsyncResource.bind(next));
+}
@@ -0,0 +1,52 @@
+import { getRateLimitPolicy, isRateLimitEnabled } from '../config/rateLimits.js';
+import { consumeQuota } from '../services/rateLimiter.js';
+import { logger } from '../services/logger.js';
+
+/**
+ * Client address used for per-IP quotas.
+ * Azure App Service on Windows forwards "address:port", so the port is dropped.
+ */
+export function getClientAddress(req) {
+  const ip = req.ip || req.socket.remoteAddress || 'unknown';
+  return /^\d{1,3}(\.\d{1,3}){3}:\d+$/.test(ip) ? ip.split(':')[0] : ip;
+}
+
+function formatWait(seconds) {
+  if (seconds < 90) return `${seconds} seconds`;
+  const minutes = Math.ceil(seconds / 60);
+  return minutes < 90 ? `${minutes} minutes` : `${Math.ceil(minutes / 60)} hours`;
+}
+
+/**
+ * Refuse requests over a quota with 429 Too Many Requests and a Retry-After header
+ * @param {string} policyName - key of RATE_LIMIT_POLICIES in config/rateLimits.js
+ * @returns {Function} middleware
+ */
+export function rateLimit(policyName) {
+  const policy = getRateLimitPolicy(policyName);
+
+  return (req, res, next) => {
+    if (!isRateLimitEnabled()) return next();
+
+    const result = consumeQuota(policy, getClientAddress(req));
+    const retryAfter = Math.max(Math.ceil((result.resetAt - Date.now()) / 1000), 1);
+
+    res.set({
+      'RateLimit-Limit': String(result.limit),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(retryAfter)
+    });
+
+    if (!result.allowed) {
+      const error = result.scope === 'global'
+        ? `The service is very busy right now. Please try again in ${formatWait(retryAfter)}.`
+        : `Too many requests from your connection. Please try again in ${formatWait(retryAfter)}.`;
+
+      logger.warn('Rate limit reached', { policy: policy.name, scope: result.scope, client: getClientAddress(req), method: req.method, path: req.originalUrl.split('?')[0] });
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ success: false, error, retryAfter, scope: result.scope });
+    }
+
+    next();
+  };
+}
@@ -0,0 +1,28 @@
+import { getChallengeProvider } from '../services/challenge/index.js';
+import { getClientAddress } from './rateLimit.js';
+import { logger } from '../services/logger.js';
+
+/**
+ * Require a solved challenge (GET /api/challenge) in the X-Challenge-Response header.
+ * Runs before the body is read, so unverified clients cannot stream uploads to the server.
+ */
+export async function requireChallenge(req, res, next) {
+  const provider = getChallengeProvider();
+  if (provider.name === 'disabled') return next();
+
+  const response = req.get('X-Challenge-Response');
+  try {
+    if (response && await provider.verify(response, { ip: getClientAddress(req) })) {
+      return next();
+    }
+  } catch (error) {
+    logger.error('Challenge verification error', { error });
+    return res.status(503).json({ success: false, error: 'We could not verify your submission right now, please try again' });
+  }
+
+  res.status(403).json({
+    success: false,
+    error: 'The security check expired or was not completed, please try again',
+    challengeRequired: true
+  });
+}
@@ -0,0 +1,54 @@
+import express from 'express';
+import multer from 'multer';
+import { getSubmissionDetails, listSubmissions } from '../controllers/adminSubmissionController.js';
+import { getOutboxEntry, listOutbox, replayOutboxEntry } from '../controllers/outboxController.js';
+import { getOrphanReport, runOrphanSweep } from '../controllers/orphanSweepController.js';
+import { getBuilderRegistry, importBuilderRegistry, reloadBuilderRegistry } from '../controllers/builderController.js';
+import { getBulkImportResults, getBulkImportTemplate, previewBulkImport, runBulkImport } from '../controllers/bulkImportController.js';
+import { ROLES } from '../config/roles.js';
+import { requireAuth, requireRole } from '../middleware/authenticate.js';
+import { keepCorrelationContext } from '../middleware/correlationId.js';
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// Upload errors answered here, as the general handler describes the limits for submitted documents
+function singleFileUpload(description, maxSizeMb) {
+  const receiveFile = keepCorrelationContext(multer({ storage: multer.memoryStorage(), limits: { fileSize: maxSizeMb * 1024 * 1024, files: 1 } }).single('file'));
+  return (req, res, next) => receiveFile(req, res, error => {
+    if (!error) return next();
+    const message = error.code === 'LIMIT_FILE_SIZE' ? `${description} must be ${maxSizeMb}MB or smaller` : error.message;
+    res.status(400).json({ success: false, error: message });
+  });
+}
+
+// The outbox holds submissions from every province
+const canManageOutbox = requireRole(ROLES.NATIONAL_ADMIN, ROLES.OPERATOR);
+router.get('/outbox', canManageOutbox, listOutbox);
+router.get('/outbox/:id', canManageOutbox, getOutboxEntry);
+router.post('/outbox/:id/replay', canManageOutbox, replayOutboxEntry);
+router.get('/orphans', canManageOutbox, getOrphanReport);
+router.post('/orphans/sweep', canManageOutbox, runOrphanSweep);
+
+// The builder registry applies to every province
+const canManageRegistry = requireRole(ROLES.NATIONAL_ADMIN);
+const registryUpload = singleFileUpload('The registry file', 20);
+router.get('/builder-registry', canManageRegistry, getBuilderRegistry);
+router.post('/builder-registry/import', canManageRegistry, registryUpload, importBuilderRegistry);
+router.post('/builder-registry/reload', canManageRegistry, reloadBuilderRegistry);
+
+// Provincial officers only see their own provinces (enforced in the controller)
+const canBrowseSubmissions = requireRole(ROLES.NATIONAL_ADMIN, ROLES.PROVINCIAL_OFFICER);
+router.get('/submissions', canBrowseSubmissions, listSubmissions);
+router.get('/submissions/:referenceNumber', canBrowseSubmissions, getSubmissionDetails);
+
+// Bulk enrolment imports; provincial officers only import into their own provinces (enforced in the service)
+const canImport = requireRole(ROLES.NATIONAL_ADMIN, ROLES.PROVINCIAL_OFFICER);
+const importUpload = singleFileUpload('The import file', 10);
+router.get('/imports/template', canImport, getBulkImportTemplate);
+router.post('/imports/preview', canImport, importUpload, previewBulkImport);
+router.post('/imports', canImport, importUpload, runBulkImport);
+router.get('/imports/:id/results', canImport, getBulkImportResults);
+
+export default router;
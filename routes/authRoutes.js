@@ -0,0 +1,11 @@
+import express from 'express';
+import { getAuthConfig, getCurrentUser, issueLocalAccessToken } from '../controllers/authController.js';
+import { requireAuth } from '../middleware/authenticate.js';
+
+const router = express.Router();
+
+router.get('/config', getAuthConfig);
+router.get('/me', requireAuth, getCurrentUser);
+router.post('/local/token', issueLocalAccessToken);
+
+export default router;
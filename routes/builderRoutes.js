@@ -0,0 +1,12 @@
+import express from 'express';
+import { checkBuilderRegistration } from '../controllers/builderController.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+
+const router = express.Router();
+
+// Registration check in the wizard; rate limited so numbers cannot be tried wholesale
+router.use(rateLimit('builders'));
+
+router.get('/:registrationNumber', checkBuilderRegistration);
+
+export default router;
@@ -0,0 +1,13 @@
+import express from 'express';
+import { getSavedDraft, saveDraft, updateSavedDraft } from '../controllers/draftController.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+
+const router = express.Router();
+
+router.use(rateLimit('drafts'));
+
+router.post('/', saveDraft);
+router.get('/:token', getSavedDraft);
+router.put('/:token', updateSavedDraft);
+
+export default router;
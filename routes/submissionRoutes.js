@@ -0,0 +1,15 @@
+import express from 'express';
+import { getReceipt, getSubmission, retryFailedDocuments } from '../controllers/submissionController.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+
+const router = express.Router();
+
+// Lookups need the registration number as well, and are rate limited so reference numbers cannot be probed
+router.use(rateLimit('lookup'));
+
+router.get('/:referenceNumber', getSubmission);
+router.get('/:referenceNumber/receipt.pdf', getReceipt);
+// New files for documents that failed to reach storage
+router.post('/:referenceNumber/documents', retryFailedDocuments);
+
+export default router;
@@ -0,0 +1,11 @@
+import express from 'express';
+import { getUploadStatus, startUpload, uploadChunk } from '../controllers/uploadController.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+
+const router = express.Router();
+
+router.post('/', rateLimit('uploads'), startUpload);
+router.put('/:id', uploadChunk);
+router.get('/:id', getUploadStatus);
+
+export default router;
@@ -1,18 +1,61 @@
 import express from 'express';
+import fs from 'fs';
 import path from 'path';
 import dotenv from 'dotenv';
 import cors from 'cors';
 import multer from 'multer';
 import { fileURLToPath } from 'url';
-import fs from 'fs';
 import {
-  saveToSharePoint,
-  uploadFileToSharePoint,
   getSiteId,
-  getSharePointConfig,
-  processFileUploads,
-  testSiteAccess
+  testSiteAccess,
+  warmSharePointCache
 } from './services/sharepoint.js';
+import { getCacheStatus } from './services/sharepointCache.js';
+import { getCircuitStatus } from './services/graphResilience.js';
+import { getStorage } from './services/storage/index.js';
+import { validateDocumentCategory, validateFile, validateSubmission } from './services/validation.js';
+import { SUBMISSION_SCHEMA } from './config/submissionSchema.js';
+import { getFormDefinition } from './config/formDefinition.js';
+import { PROVINCES } from './config/provinces.js';
+import { allocateReference, confirmReservation, reserveReference } from './services/referenceAllocator.js';
+import { enqueueSubmission, kickOutbox, startOutboxWorker } from './services/outbox.js';
+import { getDataDir } from './services/database.js';
+import { FILE_RESULT_STATUS, hashFile } from './services/storage/files.js';
+import { getFolderTemplates } from './services/storage/folderLayout.js';
+import { getCompletedUpload, releaseUpload, startUploadCleanup } from './services/uploadStore.js';
+import { deleteDraft, startDraftCleanup } from './services/draftStore.js';
+import {
+  claimIdempotencyKey,
+  claimSubmission,
+  completeIdempotencyKey,
+  findIdempotentResponse,
+  forgetSubmission,
+  getNewDocumentHashes,
+  IDEMPOTENCY_HEADER,
+  parseIdempotencyKey,
+  recordSubmission,
+  releaseIdempotencyKey,
+  REPLAYED_HEADER,
+  startSubmissionGuardCleanup
+} from './services/submissionGuard.js';
+import { startOrphanSweep } from './services/orphanSweep.js';
+import { lookupPostalCode, prepareProperties } from './services/address.js';
+import { getPropertyReferences } from './services/properties.js';
+import { getRegistryStatus, getVerificationError, startBuilderRegistryRefresh, verifyRegistration } from './services/builderRegistry.js';
+import adminRoutes from './routes/adminRoutes.js';
+import submissionRoutes from './routes/submissionRoutes.js';
+import uploadRoutes from './routes/uploadRoutes.js';
+import draftRoutes from './routes/draftRoutes.js';
+import authRoutes from './routes/authRoutes.js';
+import builderRoutes from './routes/builderRoutes.js';
+import { requireAuth, requireRole } from './middleware/authenticate.js';
+import { rateLimit } from './middleware/rateLimit.js';
+import { requireChallenge } from './middleware/requireChallenge.js';
+import { getChallengeProvider } from './services/challenge/index.js';
+import { CORRELATION_HEADER, correlationId, keepCorrelationContext } from './middleware/correlationId.js';
+import { logger, redactSubmissionValues } from './services/logger.js';
+import { getAuthSettings } from './services/auth/tokenVerifier.js';
+import { ROLES } from './config/roles.js';
 import getGraphClient from './config/auth.js';
 
 // ✅ ESM fix for __dirname
@@ -30,45 +73,34 @@ const port = process.env.PORT || 5000;  // Azure provides PORT=8080
 // Safety / Debugging
 // ------------------
 process.on('uncaughtException', (err) => {
-  console.error('🚨 Uncaught Exception:', err);
+  logger.error('Uncaught exception', { error: err });
 });
 process.on('unhandledRejection', (err) => {
-  console.error('🚨 Unhandled Rejection:', err);
+  logger.error('Unhandled rejection', { error: err });
 });
 
 // ------------------
-// Counter file setup
+// Middleware
 // ------------------
-const counterFile = path.join(process.cwd(), 'counter.json');
-
-function initializeCounter() {
-  try {
-    if (fs.existsSync(counterFile)) {
-      const data = fs.readFileSync(counterFile, 'utf8');
-      const counter = JSON.parse(data);
-      return counter.lastReferenceNumber || 10000;
-    }
-  } catch (err) {
-    console.error('Error reading counter file:', err);
-  }
-  return 10000;
-}
+// First, so every later log line carries the request's correlation ID
+app.use(correlationId);
 
-function saveCounter(value) {
-  try {
-    fs.writeFileSync(counterFile, JSON.stringify({ lastReferenceNumber: value }, null, 2));
-  } catch (err) {
-    console.error('Error saving counter:', err);
-  }
+// Behind Azure's front end the client address comes from X-Forwarded-For (TRUST_PROXY: hop count or Express trust setting)
+const trustProxy = process.env.TRUST_PROXY || (process.env.WEBSITE_SITE_NAME ? '1' : '');
+if (trustProxy) {
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
 }
 
-let lastReferenceNumber = initializeCounter();
-
-// ------------------
-// Middleware
-// ------------------
-app.use(cors({ origin: '*', methods: ['GET', 'POST', 'OPTIONS'], allowedHeaders: ['Content-Type', 'Authorization'] }));
-app.options('*', cors());
+// The form and admin console are served from this origin; other origins must be listed in CORS_ALLOWED_ORIGINS
+const allowedOrigins = (process.env.CORS_ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+const corsOptions = {
+  origin: allowedOrigins.length > 0 ? allowedOrigins : false,
+  methods: ['GET', 'POST', 'PUT', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Content-Range', 'X-Challenge-Response', IDEMPOTENCY_HEADER, CORRELATION_HEADER],
+  exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', REPLAYED_HEADER, CORRELATION_HEADER]
+};
+app.use(cors(corsOptions));
+app.options('*', cors(corsOptions));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -76,9 +108,13 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 const frontendPath = path.join(__dirname, 'public');
 app.use(express.static(frontendPath));
 
-// Multer setup
+// Overall quota per client; busy routes have their own quotas as well (config/rateLimits.js)
+app.use('/api', rateLimit('api'));
+
+// Multer setup: files go to disk, never into memory
 const upload = multer({
-  limits: { fileSize: 10 * 1024 * 1024 },
+  dest: path.join(getDataDir(), 'tmp'),
+  limits: { fileSize: SUBMISSION_SCHEMA.files.maxSize },
   fileFilter: (req, file, cb) => {
     if (file.fieldname.startsWith('fileUpload')) cb(null, true);
     else cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname), false);
@@ -92,11 +128,16 @@ app.get('/api/health', async (req, res) => {
   try {
     let sharepointStatus = 'Not configured';
     let siteInfo = {};
+    let sharepointCache;
+    let sharepointCircuits;
+    const storage = getStorage();
     
-    if (process.env.SHAREPOINT_CLIENT_ID && process.env.SHAREPOINT_CLIENT_SECRET) {
+    if (storage.name === 'sharepoint' && process.env.SHAREPOINT_CLIENT_ID && process.env.SHAREPOINT_CLIENT_SECRET) {
+      sharepointCache = getCacheStatus();
+      sharepointCircuits = getCircuitStatus();
       try {
         const client = await getGraphClient();
-        // Test with a default province
+        // Test with a default province (answered from the cache once warmed)
         const siteId = await getSiteId(client, 'Gauteng');
         sharepointStatus = 'Connected to SharePoint';
         siteInfo = { province: 'Gauteng', siteId };
@@ -107,74 +148,288 @@ app.get('/api/health', async (req, res) => {
     res.json({
       status: 'Backend is running',
       frontendPath,
+      storageBackend: storage.name,
       sharepointStatus,
       siteInfo,
+      sharepointCache,
+      sharepointCircuits,
       mode: process.env.NODE_ENV || 'development',
       timestamp: new Date().toISOString()
     });
   } catch (err) {
-    console.error('Health check error:', err);
+    logger.error('Health check error', { error: err });
     res.status(500).json({ status: 'Error', error: err.message });
   }
 });
 
+// ------------------
+// Form definition (drives the wizard) and validation schema
+// ------------------
+app.get('/api/form-definition', (req, res) => {
+  res.json(getFormDefinition());
+});
+
+// Province, city and municipality of a postal code (wizard address step)
+app.get('/api/postal-codes/:postalCode', rateLimit('postalCodes'), (req, res) => {
+  const match = lookupPostalCode(req.params.postalCode);
+  if (!match) {
+    return res.status(404).json({ success: false, error: 'Postal code not recognised' });
+  }
+  res.json({ success: true, postalCode: match });
+});
+
+app.get('/api/submission-schema', (req, res) => {
+  res.json(SUBMISSION_SCHEMA);
+});
+
 // ------------------
 // Reference generator
 // ------------------
-app.get('/api/generate-reference', (req, res) => {
-  lastReferenceNumber++;
-  saveCounter(lastReferenceNumber);
-  res.json({ referenceNumber: `NHBRC${lastReferenceNumber}` });
+// Reserves a reference number for a short time; /api/submit-form confirms it
+app.get('/api/generate-reference', rateLimit('reference'), (req, res) => {
+  try {
+    const reservation = reserveReference({ province: req.query.province });
+    res.json(reservation);
+  } catch (err) {
+    logger.error('Reference reservation error', { error: err });
+    res.status(err.statusCode || 500).json({ success: false, error: err.message });
+  }
+});
+
+// ------------------
+// Bot check (proof of work or CAPTCHA), required by /api/submit-form
+// ------------------
+app.get('/api/challenge', rateLimit('challenge'), async (req, res) => {
+  try {
+    const challenge = await getChallengeProvider().create();
+    res.json({ success: true, challenge });
+  } catch (err) {
+    logger.error('Challenge error', { error: err });
+    res.status(500).json({ success: false, error: err.message });
+  }
 });
 
 // ------------------
 // Form submission
 // ------------------
-app.post('/api/submit-form', upload.any(), async (req, res) => {
+/**
+ * Look up the resumable uploads a submission refers to and check every document on its own,
+ * so the wizard can show which ones were refused and why
+ * @param {string|string[]} uploadIds - upload IDs sent by the wizard
+ * @param {Array} [directFiles] - files sent in the request itself
+ * @param {string|string[]} [categories] - document category per file, in the same order (uploads first)
+ * @returns {object} accepted uploads (with their category), and a rejected result (index, name, reason) per refused document
+ */
+function resolveSubmittedFiles(uploadIds, directFiles = [], categories = []) {
+  const uploads = [];
+  const rejected = [];
+  const candidates = [
+    ...[].concat(uploadIds || []).map(id => getCompletedUpload(id)),
+    ...directFiles.map(file => ({ upload: file }))
+  ];
+  const fileCategories = [].concat(categories || []);
+
+  for (const [index, { upload, error }] of candidates.entries()) {
+    const category = fileCategories[index];
+    const reason = error || validateFile(SUBMISSION_SCHEMA.files, upload) || validateDocumentCategory(SUBMISSION_SCHEMA.files, category);
+    if (reason) {
+      rejected.push({ index, ...(upload && { name: upload.originalname }), status: FILE_RESULT_STATUS.REJECTED, reason });
+    } else {
+      uploads.push({ ...upload, category: category || SUBMISSION_SCHEMA.files.defaultCategory });
+    }
+  }
+  return { uploads, rejected };
+}
+
+app.post('/api/submit-form', rateLimit('submit'), requireChallenge, keepCorrelationContext(upload.any()), async (req, res) => {
+  let idempotencyKey = null;
+  let claimed = false;
+  let claimedSubmission = null;
   try {
-    const province = req.body.province;
-    if (!province) return res.status(400).json({ success: false, error: 'Province is required' });
+    // A retry of a request that already went through gets the same response, not a second submission
+    idempotencyKey = parseIdempotencyKey(req.get(IDEMPOTENCY_HEADER));
+    const replay = idempotencyKey && findIdempotentResponse(idempotencyKey, req.body);
+    if (replay) {
+      await removeTempFiles(req.files);
+      logger.info('Replayed submission response', { referenceNumber: replay.body.referenceNumber });
+      return res.set(REPLAYED_HEADER, 'true').status(replay.statusCode).json(replay.body);
+    }
 
-    lastReferenceNumber++;
-    saveCounter(lastReferenceNumber);
-    const referenceNumber = `NHBRC${lastReferenceNumber}`;
+    // Documents arrive either as resumable uploads (uploadIds) or directly in this request
+    const { uploads: files, rejected } = resolveSubmittedFiles(req.body.uploadIds, req.files || [], req.body.documentCategories);
 
-    const client = await getGraphClient();
-    const siteId = await getSiteId(client, province);
+    const { errors, values: formData } = validateSubmission(req.body, files);
+    // Each property's address is also kept on one line, and checked against the selected province
+    prepareProperties(formData);
+    redactSubmissionValues(formData);
+    if (rejected.length > 0) errors.files = rejected[0].reason;
+
+    // Unknown, suspended and expired registrations are refused; the outcome is recorded on the list item
+    if (!errors.registrationNumber) {
+      const verification = verifyRegistration(formData.registrationNumber);
+      const registryError = getVerificationError(verification);
+      if (registryError) errors.registrationNumber = registryError;
+      formData.registryCheck = { status: verification.status, label: verification.label, checkedAt: verification.checkedAt };
+    }
+    if (Object.keys(errors).length > 0) {
+      await removeTempFiles(req.files);
+      return res.status(400).json({
+        success: false,
+        error: 'Please correct the highlighted fields',
+        fieldErrors: errors,
+        ...(rejected.length > 0 && { fileResults: rejected })
+      });
+    }
 
-    console.log(`Using site ID: ${siteId} for province: ${province}`);
+    if (idempotencyKey) {
+      claimIdempotencyKey(idempotencyKey, formData);
+      claimed = true;
+    }
 
-    const uploadedFileUrls = await processFileUploads(req.files || [], { ...req.body, referenceNumber }, client, province);
+    // Resumable uploads were hashed as they completed; documents sent with the request are hashed here
+    for (const file of files) {
+      file.sha256 = file.sha256 || await hashFile(file.path);
+    }
 
-    const savedItem = await saveToSharePoint({ ...req.body, referenceNumber, uploadedFileUrls }, client, province);
+    // The same application sent again within the duplicate window keeps its first reference
+    const duplicate = claimSubmission(formData);
+    if (duplicate) {
+      await removeTempFiles(req.files);
+      const newDocuments = getNewDocumentHashes(duplicate, files.map(file => file.sha256));
+      logger.info('Duplicate submission detected', { referenceNumber: duplicate.referenceNumber, province: duplicate.province, fileCount: files.length, newDocuments: newDocuments.length });
 
-    console.log(`Form submitted successfully: Item ID ${savedItem.id}`);
+      // New documents are not added to the earlier submission; the builder is told, and keeps the draft to send them another way
+      if (newDocuments.length > 0) {
+        return sendSubmissionResponse(res, idempotencyKey, 409, {
+          success: false,
+          duplicate: true,
+          error: `This application was already received with reference ${duplicate.referenceNumber}, so it was not submitted again and the new documents attached to it were not accepted. To add documents to that application, contact the NHBRC ${duplicate.province} office and quote the reference number.`,
+          referenceNumber: duplicate.referenceNumber,
+          receivedAt: duplicate.receivedAt,
+          province: duplicate.province
+        });
+      }
 
-    res.json({
+      if (req.body.draftToken) {
+        deleteDraft(req.body.draftToken);
+      }
+      return sendSubmissionResponse(res, idempotencyKey, 200, {
+        success: true,
+        duplicate: true,
+        message: `This application was already received and has reference ${duplicate.referenceNumber}`,
+        referenceNumber: duplicate.referenceNumber,
+        receivedAt: duplicate.receivedAt,
+        status: 'duplicate',
+        province: duplicate.province
+      });
+    }
+
+    claimedSubmission = formData;
+
+    const { province } = formData;
+    const { reservationToken } = req.body;
+    let referenceNumber = reservationToken
+      ? confirmReservation({ referenceNumber: req.body.referenceNumber, reservationToken, province })
+      : null;
+
+    // No usable reservation (missing, expired or for another province): hand out a fresh number
+    if (!referenceNumber) {
+      referenceNumber = allocateReference({ province });
+    }
+    recordSubmission(referenceNumber, formData, files.map(file => file.sha256));
+
+    // Persist locally first; the outbox worker pushes it to storage in the background
+    await enqueueSubmission({
+      referenceNumber,
+      province,
+      formData,
+      files
+    });
+    files.filter(file => file.id).forEach(({ id }) => releaseUpload(id));
+    if (req.body.draftToken) {
+      deleteDraft(req.body.draftToken);
+    }
+    kickOutbox();
+
+    // Several properties are recorded under references of their own
+    const propertyReferences = getPropertyReferences(referenceNumber, formData);
+    sendSubmissionResponse(res, idempotencyKey, 202, {
       success: true,
-      message: `Form submitted successfully to ${province}`,
+      message: `Form received for ${province} and queued for processing`,
       referenceNumber,
-      itemId: savedItem.id,
-      uploadedFileUrls,
+      ...(propertyReferences.length > 1 && { propertyReferences }),
+      status: 'queued',
       province
     });
   } catch (err) {
-    console.error('Form submission error:', err);
-    res.status(500).json({ success: false, error: err.message });
+    logger.error('Form submission error', { error: err });
+    await removeTempFiles(req.files);
+    // Nothing was queued: a retry must be processed afresh, and must not be taken for a duplicate
+    if (claimed) releaseIdempotencyKey(idempotencyKey);
+    if (claimedSubmission) forgetSubmission(claimedSubmission);
+    res.status(err.statusCode || 500).json({
+      success: false,
+      error: err.message,
+      ...(err.inProgress && { inProgress: true })
+    });
   }
 });
 
+// Send a submission response and keep it for retries that carry the same idempotency key
+function sendSubmissionResponse(res, idempotencyKey, statusCode, body) {
+  if (idempotencyKey) completeIdempotencyKey(idempotencyKey, statusCode, body);
+  res.status(statusCode).json(body);
+}
+
+// Multer temp files that were not moved into the outbox
+async function removeTempFiles(files = []) {
+  await Promise.all(files.map(file => fs.promises.rm(file.path, { force: true })));
+}
+
+// ------------------
+// Submission status lookup
+// ------------------
+app.use('/api/submissions', submissionRoutes);
+
+// ------------------
+// Builder registry lookup (wizard type-ahead)
+// ------------------
+app.use('/api/builders', builderRoutes);
+
+// ------------------
+// Resumable document uploads
+// ------------------
+app.use('/api/uploads', uploadRoutes);
+
+// ------------------
+// Saved drafts (resume a partly completed application)
+// ------------------
+app.use('/api/drafts', draftRoutes);
+
+// ------------------
+// Staff sign-in (Entra ID / OIDC bearer tokens)
+// ------------------
+app.use('/api/auth', authRoutes);
+
+// ------------------
+// Admin API (outbox inspection and replay, submission search, bulk imports)
+// ------------------
+app.use('/api/admin', adminRoutes);
+
+// Debug endpoints expose site IDs and list metadata, so only operators may call them
+const requireOperator = [requireAuth, requireRole(ROLES.OPERATOR)];
+
 // ------------------
 // Test site access
 // ------------------
-app.get('/api/test-site-access', async (req, res) => {
+app.get('/api/test-site-access', requireOperator, async (req, res) => {
   try {
     const province = req.query.province || 'Gauteng';
     const client = await getGraphClient();
     const site = await testSiteAccess(client, province);
     res.json({ success: true, province, site });
   } catch (err) {
-    console.error('Site access test failed:', err);
+    logger.error('Site access test failed', { error: err });
     res.status(500).json({ success: false, error: err.message });
   }
 });
@@ -182,17 +437,12 @@ app.get('/api/test-site-access', async (req, res) => {
 // ------------------
 // Debug endpoint - List all available provinces and sites
 // ------------------
-app.get('/api/debug-provinces', async (req, res) => {
+app.get('/api/debug-provinces', requireOperator, async (req, res) => {
   try {
-    const provinces = [
-      'Eastern Cape', 'Free State', 'Gauteng', 'KwaZulu Natal',
-      'Limpopo', 'Mpumalanga', 'North West', 'Northern Cape', 'Western Cape'
-    ];
-    
     const client = await getGraphClient();
     const results = [];
     
-    for (const province of provinces) {
+    for (const { name: province } of PROVINCES) {
       try {
         const siteId = await getSiteId(client, province);
         results.push({ province, siteId, status: 'accessible' });
@@ -203,7 +453,7 @@ app.get('/api/debug-provinces', async (req, res) => {
     
     res.json({ success: true, results });
   } catch (err) {
-    console.error('Debug provinces error:', err);
+    logger.error('Debug provinces error', { error: err });
     res.status(500).json({ success: false, error: err.message });
   }
 });
@@ -211,7 +461,7 @@ app.get('/api/debug-provinces', async (req, res) => {
 // ------------------
 // Debug endpoint - List items in a specific province
 // ------------------
-app.get('/api/debug-lists', async (req, res) => {
+app.get('/api/debug-lists', requireOperator, async (req, res) => {
   try {
     const province = req.query.province || 'Gauteng';
     const client = await getGraphClient();
@@ -219,7 +469,7 @@ app.get('/api/debug-lists', async (req, res) => {
     const lists = await client.api(`/sites/${siteId}/lists`).get();
     res.json({ success: true, province, siteId, lists: lists.value });
   } catch (err) {
-    console.error('Debug lists error:', err);
+    logger.error('Debug lists error', { error: err });
     res.status(500).json({ success: false, error: err.message });
   }
 });
@@ -232,37 +482,47 @@ app.get('*', (req, res) => res.sendFile(path.join(frontendPath, 'index.html')));
 // ------------------
 // Error handling
 // ------------------
-app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
+app.use(async (err, req, res, next) => {
+  logger.error('Unhandled error', { error: err });
+  await removeTempFiles(req.files);
   if (err instanceof multer.MulterError && err.code === 'LIMIT_UNEXPECTED_FILE') {
     return res.status(400).json({ success: false, error: `Unexpected file field: ${err.field}` });
   }
+  if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+    const error = `Each file must be ${Math.round(SUBMISSION_SCHEMA.files.maxSize / (1024 * 1024))}MB or smaller`;
+    return res.status(400).json({ success: false, error, fieldErrors: { files: error } });
+  }
   res.status(500).json({ success: false, error: 'Internal server error' });
 });
 
 // Start server - FIXED: Added '0.0.0.0' as the host parameter
 app.listen(port, '0.0.0.0', () => {
-  console.log(`✅ Server running on http://0.0.0.0:${port}`);
-  console.log(`🏥 Health check: http://localhost:${port}/api/health`);
-  console.log(`📝 Form endpoint: http://localhost:${port}/api/submit-form`);
-  console.log(`🔧 Debug endpoints:`);
-  console.log(`   - http://localhost:${port}/api/test-site-access`);
-  console.log(`   - http://localhost:${port}/api/debug-provinces`);
-  console.log(`   - http://localhost:${port}/api/debug-lists`);
-  
-  // Log SharePoint configuration status
-  if (process.env.SHAREPOINT_CLIENT_ID && process.env.SHAREPOINT_CLIENT_SECRET) {
-    console.log(`🔐 SharePoint authentication configured`);
-    
-    // List all available provinces
-    const provinces = [
-      'Eastern Cape', 'Free State', 'Gauteng', 'KwaZulu Natal',
-      'Limpopo', 'Mpumalanga', 'North West', 'Northern Cape', 'Western Cape'
-    ];
-    
-    console.log(`🌐 Available provinces: ${provinces.join(', ')}`);
-    
-  } else {
-    console.log(`⚠️  SharePoint authentication not configured - check environment variables`);
+  startOutboxWorker();
+  startUploadCleanup();
+  startDraftCleanup();
+  startSubmissionGuardCleanup();
+  startBuilderRegistryRefresh();
+  startOrphanSweep();
+
+  logger.info('Server started', {
+    url: `http://0.0.0.0:${port}`,
+    healthCheck: `http://localhost:${port}/api/health`,
+    adminConsole: `http://localhost:${port}/admin.html`,
+    storageBackend: getStorage().name,
+    staffSignIn: getAuthSettings().mode,
+    submissionChallenge: getChallengeProvider().name,
+    documentFolders: getFolderTemplates(),
+    builderRegistry: getRegistryStatus().source,
+    sharepointConfigured: Boolean(process.env.SHAREPOINT_CLIENT_ID && process.env.SHAREPOINT_CLIENT_SECRET),
+    provinces: PROVINCES.map(p => p.name)
+  });
+
+  if (!process.env.SHAREPOINT_CLIENT_ID || !process.env.SHAREPOINT_CLIENT_SECRET) {
+    logger.warn('SharePoint authentication not configured - check environment variables');
+  } else if (getStorage().name === 'sharepoint') {
+    // Resolve site and list IDs now rather than during the first submissions
+    getGraphClient()
+      .then(client => warmSharePointCache(client))
+      .catch(error => logger.error('SharePoint cache warm-up failed', { error }));
   }
 });
\ No newline at end of file
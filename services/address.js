@@ -0,0 +1,167 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parse } from 'csv-parse/sync';
+import { getProvince } from '../config/provinces.js';
+import { logger } from './logger.js';
+
+/**
+ * Property addresses are captured in parts (stand or erf number, street, suburb, city, municipality,
+ * postal code). The postal code is looked up in a bundled dataset of individual codes
+ * (config/postalCodes.csv) to find its province, city and municipality, so an address that does not
+ * match the selected province can be flagged. POSTAL_CODE_DATASET adds rows from another CSV, such as
+ * the full SAPO list, with a code column or from and to columns for a range of codes.
+ * Province boundaries do not follow postal code ranges, so a code only known from a range is never
+ * reported as a mismatch.
+ */
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const BUNDLED_DATASET = path.join(__dirname, '..', 'config', 'postalCodes.csv');
+
+// Form fields that make up the address, in the order they are written out
+export const ADDRESS_FIELDS = ['standNumber', 'streetAddress', 'suburb', 'city', 'municipality', 'postalCode'];
+
+export const ADDRESS_CHECK = {
+  MATCH: 'match',
+  MISMATCH: 'mismatch',
+  UNCONFIRMED: 'unconfirmed',
+  UNKNOWN: 'unknown'
+};
+
+const ADDRESS_CHECK_LABELS = {
+  [ADDRESS_CHECK.MATCH]: 'Postal code matches province',
+  [ADDRESS_CHECK.MISMATCH]: 'Province mismatch',
+  [ADDRESS_CHECK.UNCONFIRMED]: 'Postal code province not confirmed',
+  [ADDRESS_CHECK.UNKNOWN]: 'Postal code not recognised'
+};
+
+let dataset;
+
+function readDataset(filePath) {
+  const rows = parse(fs.readFileSync(filePath), { columns: true, bom: true, trim: true, skip_empty_lines: true });
+  const entries = [];
+  rows.forEach((row, index) => {
+    const first = row.code || row.from;
+    const from = Number(first);
+    const to = Number(row.code || row.to || row.from);
+    if (!/^\d{4}$/.test(first) || !(to >= from) || !getProvince(row.province)) {
+      logger.warn('Skipped postal code row', { file: path.basename(filePath), row: index + 1 });
+      return;
+    }
+    entries.push({ from, to, city: row.city || null, municipality: row.municipality || null, province: row.province });
+  });
+  return entries;
+}
+
+function getDataset() {
+  if (!dataset) {
+    dataset = readDataset(BUNDLED_DATASET);
+    if (process.env.POSTAL_CODE_DATASET) {
+      dataset.push(...readDataset(path.resolve(process.env.POSTAL_CODE_DATASET)));
+    }
+    // Narrowest range first, so a single code wins over the range it falls in
+    dataset.sort((a, b) => (a.to - a.from) - (b.to - b.from));
+  }
+  return dataset;
+}
+
+/**
+ * Province, and where known the city and municipality, of a postal code
+ * @param {string} postalCode - four digit postal code
+ * @returns {object|null} postalCode, province, city, municipality and confirmed (false when the province
+ * only comes from a range of codes), or null if the code is not in the dataset
+ */
+export function lookupPostalCode(postalCode) {
+  const code = String(postalCode ?? '').trim();
+  if (!/^\d{4}$/.test(code)) return null;
+
+  const value = Number(code);
+  const entries = getDataset().filter(entry => value >= entry.from && value <= entry.to);
+  if (entries.length === 0) return null;
+
+  // The narrowest entry decides the province; city and municipality only come from an entry for this one code
+  const exact = entries.find(entry => entry.from === value && entry.to === value);
+  return {
+    postalCode: code,
+    province: entries[0].province,
+    city: exact?.city || null,
+    municipality: exact?.municipality || null,
+    confirmed: Boolean(exact)
+  };
+}
+
+/**
+ * Compare the postal code's province with the selected one. Only a code listed on its own is compared;
+ * a code known from a range only is recorded as unconfirmed.
+ * @param {object} address - a property's address fields (postalCode)
+ * @param {string} province - the selected province
+ * @returns {object} status (ADDRESS_CHECK), label, postalCodeProvince and, for a mismatch, a message
+ */
+export function checkPropertyAddress(address, province) {
+  const match = lookupPostalCode(address.postalCode);
+  if (!match) {
+    return { status: ADDRESS_CHECK.UNKNOWN, label: ADDRESS_CHECK_LABELS[ADDRESS_CHECK.UNKNOWN], postalCodeProvince: null };
+  }
+  if (!match.confirmed) {
+    return { status: ADDRESS_CHECK.UNCONFIRMED, label: ADDRESS_CHECK_LABELS[ADDRESS_CHECK.UNCONFIRMED], postalCodeProvince: null };
+  }
+  if (match.province !== province) {
+    return {
+      status: ADDRESS_CHECK.MISMATCH,
+      label: ADDRESS_CHECK_LABELS[ADDRESS_CHECK.MISMATCH],
+      postalCodeProvince: match.province,
+      message: `Postal code ${match.postalCode} is in ${match.province}, not ${province}`
+    };
+  }
+  return { status: ADDRESS_CHECK.MATCH, label: ADDRESS_CHECK_LABELS[ADDRESS_CHECK.MATCH], postalCodeProvince: match.province };
+}
+
+/**
+ * Fill in a blank municipality from the postal code, where the dataset knows it and the postal code
+ * is in the selected province
+ * @param {object} address - a property's validated address fields; changed in place
+ * @param {string} province - the selected province
+ */
+export function completePropertyAddress(address, province) {
+  if (address.municipality) return;
+  const match = lookupPostalCode(address.postalCode);
+  if (match?.municipality && match.confirmed && match.province === province) address.municipality = match.municipality;
+}
+
+/**
+ * Fill in, write out on one line (propertyDetails) and check the address of every property of a submission
+ * @param {object} formData - validated form fields; each of formData.properties is changed in place
+ */
+export function prepareProperties(formData) {
+  for (const property of formData.properties) {
+    completePropertyAddress(property, formData.province);
+    property.propertyDetails = formatPropertyAddress(property);
+    property.addressCheck = checkPropertyAddress(property, formData.province);
+  }
+}
+
+/**
+ * The address on one line, e.g. "Stand 1234, 12 Main Road, Sunnyside, Pretoria, City of Tshwane, 0002"
+ * @param {object} address - a property's address fields
+ * @returns {string} formatted address
+ */
+export function formatPropertyAddress(address) {
+  return ADDRESS_FIELDS
+    .map(name => {
+      const value = String(address[name] ?? '').trim();
+      return value && name === 'standNumber' ? `Stand ${value}` : value;
+    })
+    .filter(Boolean)
+    .join(', ');
+}
+
+/**
+ * The parts that identify a property (not the municipality, which may be filled in from the postal code),
+ * normalised for comparison
+ * @param {object} address - a property's address fields
+ * @returns {string} comparison key
+ */
+export function getAddressKey(address) {
+  return ['standNumber', 'streetAddress', 'suburb', 'city', 'postalCode']
+    .map(name => String(address[name] ?? '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim())
+    .join('|');
+}
@@ -0,0 +1,77 @@
+import fs from 'fs';
+import path from 'path';
+import { exportJWK, generateKeyPair, importJWK, SignJWT } from 'jose';
+import { getDataDir } from '../database.js';
+
+/**
+ * Stand-in token issuer for development and tests, used instead of Entra ID when AUTH_LOCAL_ISSUER=true.
+ * It signs tokens with a key kept under the data directory and must never run in production.
+ */
+export const LOCAL_ISSUER = 'urn:nhbrc:local-issuer';
+export const LOCAL_AUDIENCE = 'nhbrc-home-builder-api';
+
+let keysPromise;
+
+export function isLocalIssuerEnabled() {
+  return process.env.AUTH_LOCAL_ISSUER === 'true' && process.env.NODE_ENV !== 'production';
+}
+
+// The key pair is kept on disk so tokens survive a restart
+async function loadKeys() {
+  const keyPath = path.join(getDataDir(), 'auth', 'local-issuer-key.json');
+
+  try {
+    const privateJwk = JSON.parse(await fs.promises.readFile(keyPath, 'utf8'));
+    const { d, p, q, dp, dq, qi, ...publicJwk } = privateJwk;
+    return {
+      privateKey: await importJWK(privateJwk, 'RS256'),
+      publicKey: await importJWK(publicJwk, 'RS256')
+    };
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const { privateKey, publicKey } = await generateKeyPair('RS256', { extractable: true });
+  await fs.promises.mkdir(path.dirname(keyPath), { recursive: true });
+  await fs.promises.writeFile(keyPath, JSON.stringify(await exportJWK(privateKey)), { mode: 0o600 });
+  return { privateKey, publicKey };
+}
+
+function getKeys() {
+  if (!keysPromise) {
+    keysPromise = loadKeys().catch(error => {
+      keysPromise = null;
+      throw error;
+    });
+  }
+  return keysPromise;
+}
+
+/**
+ * Public key that verifies local tokens
+ * @returns {Promise<KeyLike>} public key
+ */
+export async function getLocalPublicKey() {
+  return (await getKeys()).publicKey;
+}
+
+/**
+ * Issue an access token shaped like an Entra ID one
+ * @param {object} user
+ * @param {string} user.sub - user ID
+ * @param {string} [user.name] - display name
+ * @param {string[]} [user.roles] - role claims
+ * @param {string} [user.expiresIn] - token lifetime, e.g. "1h"
+ * @returns {Promise<string>} signed JWT
+ */
+export async function issueLocalToken({ sub, name, roles = [], expiresIn = '1h' }) {
+  const { privateKey } = await getKeys();
+  return new SignJWT({ name, roles })
+    .setProtectedHeader({ alg: 'RS256' })
+    .setSubject(sub)
+    .setIssuer(LOCAL_ISSUER)
+    .setAudience(LOCAL_AUDIENCE)
+    .setIssuedAt()
+    .setExpirationTime(expiresIn)
+    .sign(privateKey);
+}
@@ -0,0 +1,98 @@
+import { createRemoteJWKSet, jwtVerify } from 'jose';
+import { resolveAccess } from '../../config/roles.js';
+import { getLocalPublicKey, isLocalIssuerEnabled, LOCAL_AUDIENCE, LOCAL_ISSUER } from './localIssuer.js';
+import { createError } from '../errors.js';
+
+let remoteKeySet;
+
+/**
+ * Token settings from the environment.
+ * Entra ID: AUTH_TENANT_ID and AUTH_CLIENT_ID (the API app registration).
+ * Any other OIDC provider: AUTH_ISSUER and AUTH_AUDIENCE, optionally AUTH_JWKS_URI.
+ * @returns {object} mode ("local", "oidc" or "disabled"), issuer and accepted audiences
+ */
+export function getAuthSettings() {
+  if (isLocalIssuerEnabled()) {
+    return { mode: 'local', issuer: LOCAL_ISSUER, audiences: [LOCAL_AUDIENCE] };
+  }
+
+  const tenantId = process.env.AUTH_TENANT_ID;
+  const clientId = process.env.AUTH_CLIENT_ID;
+  const issuer = process.env.AUTH_ISSUER || (tenantId ? `https://login.microsoftonline.com/${tenantId}/v2.0` : null);
+  if (!issuer) {
+    return { mode: 'disabled' };
+  }
+
+  // v2 Entra tokens carry the client ID as audience, v1 tokens the application ID URI
+  const audiences = process.env.AUTH_AUDIENCE
+    ? process.env.AUTH_AUDIENCE.split(',').map(value => value.trim())
+    : [clientId, `api://${clientId}`];
+
+  return { mode: 'oidc', issuer, audiences };
+}
+
+/**
+ * What the browser needs to sign staff in
+ * @returns {object} mode, plus client ID, authority and scopes for Entra ID
+ */
+export function getPublicAuthConfig() {
+  const settings = getAuthSettings();
+  if (settings.mode !== 'oidc' || !process.env.AUTH_TENANT_ID) {
+    return { mode: settings.mode };
+  }
+
+  const apiClientId = process.env.AUTH_CLIENT_ID;
+  return {
+    mode: 'entra',
+    clientId: process.env.AUTH_SPA_CLIENT_ID || apiClientId,
+    authority: `https://login.microsoftonline.com/${process.env.AUTH_TENANT_ID}`,
+    scopes: [process.env.AUTH_SCOPE || `api://${apiClientId}/access_as_user`]
+  };
+}
+
+// Signing keys come from the provider's OIDC discovery document unless AUTH_JWKS_URI is set
+async function getRemoteKeySet(issuer) {
+  if (!remoteKeySet) {
+    let jwksUri = process.env.AUTH_JWKS_URI;
+    if (!jwksUri) {
+      const response = await fetch(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+      if (!response.ok) {
+        throw createError(`OIDC discovery failed with HTTP ${response.status}`, 503);
+      }
+      jwksUri = (await response.json()).jwks_uri;
+    }
+    remoteKeySet = createRemoteJWKSet(new URL(jwksUri));
+  }
+  return remoteKeySet;
+}
+
+/**
+ * Verify a bearer token and work out who the caller is
+ * @param {string} token - JWT access token
+ * @returns {Promise<object>} user (id, name, roles, provinces)
+ */
+export async function verifyAccessToken(token) {
+  const settings = getAuthSettings();
+  if (settings.mode === 'disabled') {
+    throw createError('Authentication is not configured', 503);
+  }
+
+  const key = settings.mode === 'local' ? await getLocalPublicKey() : await getRemoteKeySet(settings.issuer);
+
+  let payload;
+  try {
+    ({ payload } = await jwtVerify(token, key, {
+      issuer: settings.issuer,
+      audience: settings.audiences,
+      algorithms: ['RS256']
+    }));
+  } catch (error) {
+    throw createError(`Invalid access token: ${error.message}`, 401);
+  }
+
+  return {
+    id: payload.oid || payload.sub,
+    name: payload.name || payload.preferred_username || payload.sub,
+    ...resolveAccess(Array.isArray(payload.roles) ? payload.roles : [])
+  };
+}
@@ -0,0 +1,405 @@
+import fs from 'fs';
+import path from 'path';
+import { parse } from 'csv-parse/sync';
+import getGraphClient from '../config/auth.js';
+import { openDatabase } from './database.js';
+import { readBuilderRegistryList } from './sharepoint.js';
+import { logger } from './logger.js';
+import { createError } from './errors.js';
+
+/**
+ * The NHBRC register of home builders, used to show a registration's status in the wizard and to
+ * check the registration number of every submission. The registry is copied into SQLite (data/builders.db)
+ * from its source (BUILDER_REGISTRY_SOURCE):
+ * - file: a CSV or JSON file (BUILDER_REGISTRY_FILE), reloaded when it changes; admins can also upload one
+ * - sharepoint: a SharePoint list (BUILDER_REGISTRY_SITE, BUILDER_REGISTRY_LIST), reloaded on a schedule
+ * - disabled: no lookups and no checks
+ * Until a registry has been loaded, submissions are recorded as not checked rather than refused.
+ */
+export const REGISTRY_SOURCE = {
+  FILE: 'file',
+  SHAREPOINT: 'sharepoint',
+  DISABLED: 'disabled'
+};
+
+export const BUILDER_STATUS = {
+  ACTIVE: 'active',
+  SUSPENDED: 'suspended',
+  EXPIRED: 'expired'
+};
+
+export const VERIFICATION_STATUS = {
+  VERIFIED: 'verified',
+  UNKNOWN: 'unknown',
+  SUSPENDED: 'suspended',
+  EXPIRED: 'expired',
+  INACTIVE: 'inactive',
+  NOT_CHECKED: 'not-checked'
+};
+
+const VERIFICATION_LABELS = {
+  [VERIFICATION_STATUS.VERIFIED]: 'Verified',
+  [VERIFICATION_STATUS.UNKNOWN]: 'Not in registry',
+  [VERIFICATION_STATUS.SUSPENDED]: 'Suspended',
+  [VERIFICATION_STATUS.EXPIRED]: 'Expired',
+  [VERIFICATION_STATUS.INACTIVE]: 'Inactive',
+  [VERIFICATION_STATUS.NOT_CHECKED]: 'Not checked'
+};
+
+const SOURCE = Object.values(REGISTRY_SOURCE).includes(process.env.BUILDER_REGISTRY_SOURCE)
+  ? process.env.BUILDER_REGISTRY_SOURCE
+  : REGISTRY_SOURCE.FILE;
+const REGISTRY_FILE = process.env.BUILDER_REGISTRY_FILE ? path.resolve(process.env.BUILDER_REGISTRY_FILE) : null;
+const REFRESH_HOURS = Number(process.env.BUILDER_REGISTRY_REFRESH_HOURS ?? 24);
+// false records the result on the list item without refusing the submission
+const ENFORCE = process.env.BUILDER_REGISTRY_ENFORCE !== 'false';
+
+const TIME_ZONE = 'Africa/Johannesburg';
+
+// Accepted column names (compared in lower case without spaces or punctuation), most specific first
+const COLUMN_ALIASES = {
+  registrationNumber: ['registrationnumber', 'registrationno', 'regno', 'title'],
+  builderName: ['buildername', 'name'],
+  companyName: ['companyname', 'company', 'tradingname'],
+  status: ['status', 'registrationstatus'],
+  expiresAt: ['expiresat', 'expirydate', 'expires', 'renewaldate']
+};
+
+const STATUS_ALIASES = {
+  active: BUILDER_STATUS.ACTIVE,
+  registered: BUILDER_STATUS.ACTIVE,
+  current: BUILDER_STATUS.ACTIVE,
+  suspended: BUILDER_STATUS.SUSPENDED,
+  expired: BUILDER_STATUS.EXPIRED,
+  lapsed: BUILDER_STATUS.EXPIRED
+};
+
+let db;
+let refreshTimer;
+let loading = false;
+let lastError = null;
+
+function getDb() {
+  if (!db) {
+    db = openDatabase('builders.db');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS builders (
+        registration_number TEXT PRIMARY KEY,
+        builder_name TEXT,
+        company_name TEXT,
+        status TEXT NOT NULL,
+        expires_at TEXT
+      );
+      CREATE TABLE IF NOT EXISTS registry_loads (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        source TEXT NOT NULL,
+        file_name TEXT,
+        builders INTEGER NOT NULL,
+        skipped INTEGER NOT NULL,
+        loaded_at TEXT NOT NULL
+      );
+    `);
+  }
+  return db;
+}
+
+/**
+ * Registration numbers are compared in upper case without spaces
+ * @param {string} value - registration number as typed
+ * @returns {string} normalised registration number
+ */
+export function normaliseRegistrationNumber(value) {
+  return String(value ?? '').replace(/\s+/g, '').toUpperCase();
+}
+
+function normaliseHeader(header) {
+  return String(header).toLowerCase().replace(/[^a-z]/g, '');
+}
+
+function readColumn(values, column) {
+  return COLUMN_ALIASES[column]
+    .map(alias => values.get(alias))
+    .find(value => value !== undefined && value !== null && String(value).trim() !== '');
+}
+
+// YYYY-MM-DD in South African time (en-CA formats dates that way)
+function formatDate(date) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: TIME_ZONE }).format(date);
+}
+
+// Dates as ISO (2027-03-31, or a SharePoint timestamp) or day first (31/03/2027)
+function parseDate(value) {
+  const text = String(value).trim();
+  const dayFirst = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(text);
+  const date = dayFirst ? new Date(Date.UTC(dayFirst[3], dayFirst[2] - 1, dayFirst[1])) : new Date(text);
+  return Number.isNaN(date.getTime()) ? null : formatDate(date);
+}
+
+/**
+ * Turn one registry row into a builder
+ * @param {object} row - CSV row, JSON object or SharePoint item fields
+ * @returns {object} builder, or { error } when the row cannot be used
+ */
+function toBuilder(row) {
+  if (!row || typeof row !== 'object') return { error: 'Not an object' };
+  const values = new Map(Object.entries(row).map(([key, value]) => [normaliseHeader(key), value]));
+
+  const registrationNumber = normaliseRegistrationNumber(readColumn(values, 'registrationNumber'));
+  if (!registrationNumber) return { error: 'No registration number' };
+
+  const expiry = readColumn(values, 'expiresAt');
+  const expiresAt = expiry ? parseDate(expiry) : null;
+  if (expiry && !expiresAt) return { error: `Expiry date "${expiry}" is not a date` };
+
+  const status = String(readColumn(values, 'status') ?? '').trim().toLowerCase();
+  return {
+    registrationNumber,
+    builderName: String(readColumn(values, 'builderName') ?? '').trim(),
+    companyName: String(readColumn(values, 'companyName') ?? '').trim(),
+    status: STATUS_ALIASES[status] || status || BUILDER_STATUS.ACTIVE,
+    expiresAt
+  };
+}
+
+// A registry row as the checks use it; a registration past its expiry date counts as expired
+function fromRow(row) {
+  const expired = row.expires_at && row.expires_at < formatDate(new Date());
+  return {
+    registrationNumber: row.registration_number,
+    builderName: row.builder_name,
+    companyName: row.company_name,
+    status: expired && row.status === BUILDER_STATUS.ACTIVE ? BUILDER_STATUS.EXPIRED : row.status,
+    expiresAt: row.expires_at
+  };
+}
+
+/**
+ * Read the rows of a registry file
+ * @param {Buffer|string} content - file contents
+ * @param {string} fileName - file name; the extension (.csv or .json) decides the format
+ * @returns {Array<object>} rows
+ */
+export function parseRegistryFile(content, fileName) {
+  const extension = path.extname(fileName).toLowerCase();
+  try {
+    if (extension === '.csv') {
+      return parse(content, { columns: true, bom: true, trim: true, skip_empty_lines: true, relax_column_count: true });
+    }
+    if (extension === '.json') {
+      const data = JSON.parse(String(content).replace(/^\uFEFF/, ''));
+      const rows = Array.isArray(data) ? data : data?.builders;
+      if (!Array.isArray(rows)) {
+        throw createError('A JSON builder registry must be an array of builders, or an object with a "builders" array', 400);
+      }
+      return rows;
+    }
+  } catch (error) {
+    if (error.statusCode) throw error;
+    throw createError(`Could not read ${path.basename(fileName)}: ${error.message}`, 400);
+  }
+  throw createError('The builder registry must be a .csv or .json file', 400);
+}
+
+/**
+ * Replace the registry with a new set of builders
+ * @param {Array<object>} rows - registry rows
+ * @param {string} source - where they came from (REGISTRY_SOURCE, or "upload")
+ * @param {string} [fileName] - file they were read from
+ * @returns {object} load summary (builders, skipped, skippedRows, loadedAt)
+ */
+export function importBuilders(rows, source, fileName = null) {
+  const builders = new Map();
+  const skippedRows = [];
+  rows.forEach((row, index) => {
+    const builder = toBuilder(row);
+    if (builder.error) {
+      skippedRows.push({ row: index + 1, reason: builder.error });
+    } else {
+      builders.set(builder.registrationNumber, builder);
+    }
+  });
+
+  // An empty or unreadable export must not wipe out the registry
+  if (builders.size === 0) {
+    throw createError('The builder registry has no usable rows', 400);
+  }
+
+  const loadedAt = new Date().toISOString();
+  const replace = getDb().transaction(() => {
+    getDb().prepare('DELETE FROM builders').run();
+    const insert = getDb().prepare(`
+      INSERT INTO builders (registration_number, builder_name, company_name, status, expires_at) VALUES (?, ?, ?, ?, ?)
+    `);
+    for (const builder of builders.values()) {
+      insert.run(builder.registrationNumber, builder.builderName, builder.companyName, builder.status, builder.expiresAt);
+    }
+    getDb().prepare('INSERT INTO registry_loads (source, file_name, builders, skipped, loaded_at) VALUES (?, ?, ?, ?, ?)')
+      .run(source, fileName, builders.size, skippedRows.length, loadedAt);
+  });
+  replace();
+
+  lastError = null;
+  logger.info('Builder registry loaded', { source, fileName, builders: builders.size, skipped: skippedRows.length });
+  return { source, fileName, builders: builders.size, skipped: skippedRows.length, skippedRows: skippedRows.slice(0, 100), loadedAt };
+}
+
+function getLastLoad() {
+  return getDb().prepare('SELECT * FROM registry_loads ORDER BY id DESC LIMIT 1').get() || null;
+}
+
+/**
+ * Whether lookups and checks are turned on
+ * @returns {boolean} false when BUILDER_REGISTRY_SOURCE=disabled
+ */
+export function isRegistryEnabled() {
+  return SOURCE !== REGISTRY_SOURCE.DISABLED;
+}
+
+/**
+ * Reload the registry from its configured source
+ * @returns {Promise<object>} load summary
+ */
+export async function refreshBuilderRegistry() {
+  if (!isRegistryEnabled()) {
+    throw createError('The builder registry is turned off (BUILDER_REGISTRY_SOURCE=disabled)', 409);
+  }
+  if (SOURCE === REGISTRY_SOURCE.FILE && !REGISTRY_FILE) {
+    throw createError('BUILDER_REGISTRY_FILE is not set; upload a registry file instead', 409);
+  }
+  if (loading) throw createError('The builder registry is already being loaded', 409);
+  loading = true;
+
+  try {
+    if (SOURCE === REGISTRY_SOURCE.SHAREPOINT) {
+      const client = await getGraphClient();
+      return importBuilders(await readBuilderRegistryList(client), SOURCE);
+    }
+    const content = await fs.promises.readFile(REGISTRY_FILE);
+    return importBuilders(parseRegistryFile(content, REGISTRY_FILE), SOURCE, path.basename(REGISTRY_FILE));
+  } catch (error) {
+    lastError = { message: error.message, at: new Date().toISOString() };
+    throw error;
+  } finally {
+    loading = false;
+  }
+}
+
+/**
+ * Replace the registry with an uploaded CSV or JSON file
+ * @param {Buffer} content - file contents
+ * @param {string} fileName - original file name
+ * @returns {object} load summary
+ */
+export function importRegistryFile(content, fileName) {
+  if (!isRegistryEnabled()) {
+    throw createError('The builder registry is turned off (BUILDER_REGISTRY_SOURCE=disabled)', 409);
+  }
+  if (SOURCE === REGISTRY_SOURCE.SHAREPOINT) {
+    throw createError('The builder registry is loaded from SharePoint; update the list there instead', 409);
+  }
+  return importBuilders(parseRegistryFile(content, fileName), 'upload', path.basename(fileName));
+}
+
+/**
+ * Where the registry comes from and when it was last loaded
+ * @returns {object} source, enforce, builders, lastLoad and lastError
+ */
+export function getRegistryStatus() {
+  if (!isRegistryEnabled()) return { source: SOURCE, enabled: false };
+
+  const lastLoad = getLastLoad();
+  return {
+    source: SOURCE,
+    enabled: true,
+    enforce: ENFORCE,
+    ...(REGISTRY_FILE && SOURCE === REGISTRY_SOURCE.FILE && { file: REGISTRY_FILE }),
+    builders: getDb().prepare('SELECT COUNT(*) AS count FROM builders').get().count,
+    lastLoad: lastLoad && {
+      source: lastLoad.source,
+      fileName: lastLoad.file_name,
+      builders: lastLoad.builders,
+      skipped: lastLoad.skipped,
+      loadedAt: lastLoad.loaded_at
+    },
+    lastError
+  };
+}
+
+/**
+ * Registry status of one complete registration number, for the wizard. The lookup is public, so it
+ * answers with the status only: no names, and no matches for part of a number.
+ * @param {string} registrationNumber - registration number as typed
+ * @returns {object} status (VERIFICATION_STATUS) and label
+ */
+export function getRegistrationStatus(registrationNumber) {
+  const { status, label } = verifyRegistration(registrationNumber);
+  return { status, label };
+}
+
+/**
+ * Check a submission's registration number against the registry
+ * @param {string} registrationNumber - registration number as submitted
+ * @returns {object} status (VERIFICATION_STATUS), label, checkedAt and, for a known builder, the registry entry
+ */
+export function verifyRegistration(registrationNumber) {
+  const checkedAt = new Date().toISOString();
+  const result = status => ({ status, label: VERIFICATION_LABELS[status], checkedAt });
+
+  if (!isRegistryEnabled() || !getLastLoad()) return result(VERIFICATION_STATUS.NOT_CHECKED);
+
+  const row = getDb().prepare('SELECT * FROM builders WHERE registration_number = ?').get(normaliseRegistrationNumber(registrationNumber));
+  if (!row) return result(VERIFICATION_STATUS.UNKNOWN);
+
+  const builder = fromRow(row);
+  if (builder.status === BUILDER_STATUS.ACTIVE) return { ...result(VERIFICATION_STATUS.VERIFIED), builder };
+  if (builder.status === BUILDER_STATUS.SUSPENDED) return { ...result(VERIFICATION_STATUS.SUSPENDED), builder };
+  if (builder.status === BUILDER_STATUS.EXPIRED) return { ...result(VERIFICATION_STATUS.EXPIRED), builder };
+  return { ...result(VERIFICATION_STATUS.INACTIVE), label: `Inactive (${builder.status})`, builder };
+}
+
+/**
+ * Why a checked registration cannot be used to submit
+ * @param {object} verification - result of verifyRegistration
+ * @returns {string|null} error for the registration number field, or null if the submission may go ahead
+ */
+export function getVerificationError(verification) {
+  if (!ENFORCE) return null;
+
+  switch (verification.status) {
+    case VERIFICATION_STATUS.UNKNOWN:
+      return 'This registration number is not in the NHBRC builder registry. Check it for typing mistakes, or contact your provincial office.';
+    case VERIFICATION_STATUS.SUSPENDED:
+      return 'This builder registration is suspended. Please contact your provincial office.';
+    case VERIFICATION_STATUS.EXPIRED:
+      return 'This builder registration has expired. Please renew it before submitting.';
+    case VERIFICATION_STATUS.INACTIVE:
+      return `This builder registration is ${verification.builder.status}. Please contact your provincial office.`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Load the registry now and keep it up to date: a SharePoint list every BUILDER_REGISTRY_REFRESH_HOURS
+ * (0 loads it at start-up only), a file whenever it has changed since the last load
+ */
+export function startBuilderRegistryRefresh() {
+  if (refreshTimer || !isRegistryEnabled()) return;
+  if (SOURCE === REGISTRY_SOURCE.FILE && !REGISTRY_FILE) return;
+
+  const refresh = async () => {
+    if (SOURCE === REGISTRY_SOURCE.FILE) {
+      const lastLoad = getLastLoad();
+      const { mtime } = await fs.promises.stat(REGISTRY_FILE);
+      if (lastLoad && mtime.toISOString() <= lastLoad.loaded_at) return;
+    }
+    await refreshBuilderRegistry();
+  };
+  const run = () => refresh().catch(error => logger.error('Builder registry load failed', { source: SOURCE, error }));
+
+  run();
+  if (REFRESH_HOURS > 0) {
+    refreshTimer = setInterval(run, REFRESH_HOURS * 60 * 60 * 1000);
+    refreshTimer.unref();
+  }
+}
@@ -0,0 +1,411 @@
+import crypto from 'crypto';
+import path from 'path';
+import ExcelJS from 'exceljs';
+import { parse } from 'csv-parse/sync';
+import { SUBMISSION_SCHEMA } from '../config/submissionSchema.js';
+import { ADDRESS_CHECK, prepareProperties } from './address.js';
+import { getVerificationError, verifyRegistration } from './builderRegistry.js';
+import { openDatabase } from './database.js';
+import { createCorrelationId, getCorrelationId, logger, redactSubmissionValues, runWithCorrelationId } from './logger.js';
+import { enqueueSubmission, kickOutbox, SUBMISSION_SOURCE } from './outbox.js';
+import { allocateReference } from './referenceAllocator.js';
+import { claimSubmission, findDuplicateSubmission, forgetSubmission, getSubmissionFingerprint, recordSubmission } from './submissionGuard.js';
+import { validateSubmission } from './validation.js';
+import { createError } from './errors.js';
+
+/**
+ * Bulk import of enrolments from a CSV or Excel (.xlsx) file, for developers who send a spreadsheet of
+ * hundreds of units. Each row is one submission with one property and is checked by the same rules as
+ * /api/submit-form, apart from documents, which a spreadsheet cannot carry. A preview reports what
+ * would happen to every row without changing anything. An import queues each ready row in the outbox
+ * under a reference number of its own, and keeps the outcome (data/imports.db) for the results file.
+ */
+export const IMPORT_FORMAT = {
+  CSV: 'csv',
+  XLSX: 'xlsx'
+};
+
+export const ROW_STATUS = {
+  READY: 'ready',
+  INVALID: 'invalid',
+  DUPLICATE: 'duplicate',
+  IMPORTED: 'imported',
+  FAILED: 'failed'
+};
+
+const ROW_STATUS_LABELS = {
+  [ROW_STATUS.READY]: 'Ready',
+  [ROW_STATUS.INVALID]: 'Has errors',
+  [ROW_STATUS.DUPLICATE]: 'Duplicate',
+  [ROW_STATUS.IMPORTED]: 'Imported',
+  [ROW_STATUS.FAILED]: 'Failed'
+};
+
+const MAX_ROWS = Number(process.env.BULK_IMPORT_MAX_ROWS) || 1000;
+// Results hold builders' personal information, so they are not kept for longer than needed
+const RETENTION_DAYS = Number(process.env.BULK_IMPORT_RETENTION_DAYS) || 30;
+
+// Rows have no documents; they are added to the list items afterwards
+const IMPORT_SCHEMA = { ...SUBMISSION_SCHEMA, files: { ...SUBMISSION_SCHEMA.files, minCount: 0 } };
+const FIELD_NAMES = Object.keys(SUBMISSION_SCHEMA.fields);
+
+// Accepted column names besides each field's name and label (compared in lower case without spaces or punctuation)
+const COLUMN_ALIASES = {
+  companyName: ['company'],
+  registrationNumber: ['registrationno', 'regno'],
+  standNumber: ['standno', 'erfnumber', 'erfno', 'stand', 'erf'],
+  streetAddress: ['street'],
+  city: ['town'],
+  postalCode: ['postcode']
+};
+
+const MIME_TYPES = {
+  [IMPORT_FORMAT.CSV]: 'text/csv; charset=utf-8',
+  [IMPORT_FORMAT.XLSX]: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+let db;
+
+function getDb() {
+  if (!db) {
+    db = openDatabase('imports.db');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS bulk_imports (
+        id TEXT PRIMARY KEY,
+        file_name TEXT NOT NULL,
+        format TEXT NOT NULL,
+        imported_by TEXT,
+        imported_by_name TEXT,
+        summary TEXT NOT NULL,
+        rows TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+    `);
+  }
+  return db;
+}
+
+function normaliseHeader(header) {
+  return String(header ?? '').toLowerCase().replace(/[^a-z]/g, '');
+}
+
+const COLUMN_NAMES = Object.fromEntries(Object.entries(SUBMISSION_SCHEMA.fields).map(([name, rule]) => [
+  name,
+  [normaliseHeader(name), normaliseHeader(rule.label), ...(COLUMN_ALIASES[name] || [])]
+]));
+
+/**
+ * Work out a file's format from its name
+ * @param {string} fileName - file name
+ * @returns {string} IMPORT_FORMAT value
+ */
+function getImportFormat(fileName) {
+  const extension = path.extname(String(fileName ?? '')).toLowerCase().slice(1);
+  if (!Object.values(IMPORT_FORMAT).includes(extension)) {
+    throw createError('The import file must be a .csv or .xlsx file', 400);
+  }
+  return extension;
+}
+
+// Header and data rows as text, with the row number a spreadsheet shows for each
+async function readCells(content, format) {
+  if (format === IMPORT_FORMAT.CSV) {
+    const records = parse(content, { bom: true, trim: true, skip_empty_lines: true, relax_column_count: true, info: true });
+    return records.map(({ record, info }) => ({ number: info.lines, cells: record }));
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(content);
+  const sheet = workbook.worksheets[0];
+  const rows = [];
+  // Cell text is what the spreadsheet shows, so links and formulas give their displayed value
+  sheet?.eachRow((row, number) => {
+    const cells = [];
+    for (let column = 1; column <= row.cellCount; column++) cells.push(row.getCell(column).text.trim());
+    if (cells.some(Boolean)) rows.push({ number, cells });
+  });
+  return rows;
+}
+
+/**
+ * Match the header row to the submission fields
+ * @param {string[]} headers - header row
+ * @returns {object} columns (field name -> column index) and ignoredColumns (headers that match no field)
+ */
+function mapColumns(headers) {
+  const columns = {};
+  const ignoredColumns = [];
+  headers.forEach((header, index) => {
+    const key = normaliseHeader(header);
+    const field = FIELD_NAMES.find(name => COLUMN_NAMES[name].includes(key));
+    if (field && columns[field] === undefined) {
+      columns[field] = index;
+    } else if (header) {
+      ignoredColumns.push(header);
+    }
+  });
+
+  const missing = FIELD_NAMES.filter(name => SUBMISSION_SCHEMA.fields[name].required && columns[name] === undefined);
+  if (missing.length > 0) {
+    throw createError(`The file has no column for: ${missing.map(name => SUBMISSION_SCHEMA.fields[name].label).join(', ')}`, 400);
+  }
+  return { columns, ignoredColumns };
+}
+
+/**
+ * Check one row as /api/submit-form would check the same application
+ * @param {object} body - the row's values by field name
+ * @param {string[]|null} allowedProvinces - provinces the importing user may import into (null = all)
+ * @returns {object} errors and warnings (messages), the validated formData and its fingerprint
+ */
+function checkRow(body, allowedProvinces) {
+  // Spreadsheets drop the leading zeros of postal codes such as 0002
+  if (/^\d{1,3}$/.test(body.postalCode)) body.postalCode = body.postalCode.padStart(4, '0');
+
+  const { errors, values: formData } = validateSubmission(body, [], IMPORT_SCHEMA);
+  prepareProperties(formData);
+
+  if (!errors.province && allowedProvinces && !allowedProvinces.includes(formData.province)) {
+    errors.province = `You can only import submissions for ${allowedProvinces.join(', ') || 'your own provinces'}`;
+  }
+  if (!errors.registrationNumber) {
+    const verification = verifyRegistration(formData.registrationNumber);
+    const registryError = getVerificationError(verification);
+    if (registryError) errors.registrationNumber = registryError;
+    formData.registryCheck = { status: verification.status, label: verification.label, checkedAt: verification.checkedAt };
+  }
+
+  const { addressCheck } = formData.properties[0];
+  return {
+    errors: Object.values(errors),
+    warnings: addressCheck.status === ADDRESS_CHECK.MISMATCH ? [addressCheck.message] : [],
+    formData,
+    fingerprint: Object.keys(errors).length === 0 ? getSubmissionFingerprint(formData) : null
+  };
+}
+
+/**
+ * Read a file and check every row
+ * @param {Buffer} content - file contents
+ * @param {string} fileName - original file name; the extension decides the format
+ * @param {string[]|null} allowedProvinces - provinces the importing user may import into (null = all)
+ * @returns {Promise<object>} format, ignoredColumns and rows (row, status, errors, warnings, values,
+ * referenceNumber for an earlier duplicate, and the formData to queue)
+ */
+async function checkFile(content, fileName, allowedProvinces) {
+  const format = getImportFormat(fileName);
+
+  let records;
+  try {
+    records = await readCells(content, format);
+  } catch (error) {
+    throw createError(`Could not read ${path.basename(fileName)}: ${error.message}`, 400);
+  }
+
+  const [header, ...dataRows] = records;
+  if (!header || dataRows.length === 0) {
+    throw createError('The file has no rows to import', 400);
+  }
+  if (dataRows.length > MAX_ROWS) {
+    throw createError(`The file has ${dataRows.length} rows; import at most ${MAX_ROWS} at a time`, 400);
+  }
+  const { columns, ignoredColumns } = mapColumns(header.cells);
+
+  // The same application twice in one file is imported once
+  const firstRows = new Map();
+  const rows = dataRows.map(({ number, cells }) => {
+    const body = Object.fromEntries(Object.entries(columns).map(([name, index]) => [name, cells[index] ?? '']));
+    const { errors, warnings, formData, fingerprint } = checkRow(body, allowedProvinces);
+    const values = Object.fromEntries(FIELD_NAMES.map(name => [name, formData.properties[0][name] ?? formData[name] ?? '']));
+    const row = { row: number, status: ROW_STATUS.READY, errors, warnings, values, formData };
+
+    if (errors.length > 0) {
+      row.status = ROW_STATUS.INVALID;
+    } else if (firstRows.has(fingerprint)) {
+      row.status = ROW_STATUS.DUPLICATE;
+      row.duplicateOfRow = firstRows.get(fingerprint);
+      row.warnings.push(`Same application as row ${row.duplicateOfRow}`);
+    } else {
+      firstRows.set(fingerprint, number);
+      const duplicate = findDuplicateSubmission(formData);
+      if (duplicate) {
+        row.status = ROW_STATUS.DUPLICATE;
+        row.referenceNumber = duplicate.referenceNumber;
+        row.warnings.push(`Already received as ${duplicate.referenceNumber}`);
+      }
+    }
+    return row;
+  });
+
+  return { format, ignoredColumns, rows };
+}
+
+// Number of rows in each status
+function summarise(rows) {
+  const summary = { total: rows.length };
+  for (const status of Object.values(ROW_STATUS)) {
+    summary[status] = rows.filter(row => row.status === status).length;
+  }
+  return summary;
+}
+
+// Rows as reported to the admin console, without the formData that is queued
+function toReportRows(rows) {
+  return rows.map(({ formData: _formData, ...row }) => row);
+}
+
+/**
+ * Dry run: check a file and report what importing it would do, without changing anything
+ * @param {Buffer} content - file contents
+ * @param {string} fileName - original file name
+ * @param {object} user - signed-in user (provinces: null for every province)
+ * @returns {Promise<object>} fileName, format, ignoredColumns, summary and a result per row
+ */
+export async function previewImport(content, fileName, user) {
+  const { format, ignoredColumns, rows } = await checkFile(content, fileName, user.provinces);
+  return { fileName: path.basename(fileName), format, ignoredColumns, summary: summarise(rows), rows: toReportRows(rows) };
+}
+
+// Queue one checked row, updating its status
+async function importRow(row) {
+  const { formData } = row;
+  let claimed = false;
+
+  try {
+    // Another import or submission may have queued the application since the check
+    const duplicate = claimSubmission(formData);
+    if (duplicate) {
+      Object.assign(row, { status: ROW_STATUS.DUPLICATE, referenceNumber: duplicate.referenceNumber });
+      row.warnings.push(`Already received as ${duplicate.referenceNumber}`);
+      return;
+    }
+    claimed = true;
+
+    redactSubmissionValues(formData);
+    const referenceNumber = allocateReference({ province: formData.province });
+    recordSubmission(referenceNumber, formData);
+    await enqueueSubmission({ referenceNumber, province: formData.province, formData, files: [], source: SUBMISSION_SOURCE.IMPORT });
+    Object.assign(row, { status: ROW_STATUS.IMPORTED, referenceNumber });
+  } catch (error) {
+    logger.error('Bulk import row failed', { row: row.row, error });
+    if (claimed) forgetSubmission(formData);
+    Object.assign(row, { status: ROW_STATUS.FAILED, referenceNumber: undefined });
+    row.errors.push(error.message);
+  }
+}
+
+/**
+ * Queue every ready row of a file as a submission of its own, and keep the outcome for the results file.
+ * Rows with errors and duplicates are skipped; the file is checked again, as a preview may be out of date.
+ * @param {Buffer} content - file contents
+ * @param {string} fileName - original file name
+ * @param {object} user - signed-in user (id, name, provinces)
+ * @returns {Promise<object>} importId, fileName, format, ignoredColumns, summary and a result per row
+ */
+export async function runImport(content, fileName, user) {
+  const { format, ignoredColumns, rows } = await checkFile(content, fileName, user.provinces);
+  const rowsByNumber = new Map(rows.map(row => [row.row, row]));
+  const correlationId = getCorrelationId() || createCorrelationId();
+
+  for (const row of rows) {
+    if (row.status !== ROW_STATUS.READY) continue;
+    // Each row masks only its own values: one context for the whole file would collect every row's
+    // values and mask them all in every later line
+    await runWithCorrelationId(correlationId, () => importRow(row));
+  }
+  kickOutbox();
+
+  // A row repeated within the file gets the reference of its first occurrence
+  for (const row of rows) {
+    if (row.duplicateOfRow) row.referenceNumber = rowsByNumber.get(row.duplicateOfRow).referenceNumber;
+  }
+
+  const id = crypto.randomUUID();
+  const now = new Date();
+  const summary = summarise(rows);
+  const reportRows = toReportRows(rows);
+  getDb().prepare(`
+    INSERT INTO bulk_imports (id, file_name, format, imported_by, imported_by_name, summary, rows, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, path.basename(fileName), format, user.id, user.name, JSON.stringify(summary), JSON.stringify(reportRows), now.toISOString());
+  getDb().prepare('DELETE FROM bulk_imports WHERE created_at <= ?')
+    .run(new Date(now.getTime() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString());
+
+  logger.info('Bulk import completed', { importId: id, format, user: user.name, ...summary });
+  return { importId: id, fileName: path.basename(fileName), format, ignoredColumns, summary, rows: reportRows };
+}
+
+/**
+ * An earlier import. National admins see every import, other staff only their own.
+ * @param {string} id - import ID
+ * @param {object} user - signed-in user (id, provinces)
+ * @returns {object|null} id, fileName, format, importedBy, summary, rows and createdAt, or null when not found
+ */
+export function getImport(id, user) {
+  const row = getDb().prepare('SELECT * FROM bulk_imports WHERE id = ?').get(id);
+  if (!row || (user.provinces && row.imported_by !== user.id)) return null;
+
+  return {
+    id: row.id,
+    fileName: row.file_name,
+    format: row.format,
+    importedBy: row.imported_by_name,
+    summary: JSON.parse(row.summary),
+    rows: JSON.parse(row.rows),
+    createdAt: row.created_at
+  };
+}
+
+// A leading =, +, - or @ would be run as a formula when the CSV is opened in a spreadsheet
+function formatCsvCell(value) {
+  const text = /^[=+\-@]/.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function writeSheet(lines, format) {
+  if (format === IMPORT_FORMAT.CSV) {
+    // The byte order mark makes Excel read the file as UTF-8
+    return Buffer.from(`\uFEFF${lines.map(cells => cells.map(formatCsvCell).join(',')).join('\r\n')}\r\n`);
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Enrolments');
+  sheet.addRows(lines);
+  sheet.getRow(1).font = { bold: true };
+  // Text cells, so postal codes keep their leading zeros when typed into the template
+  sheet.columns.forEach(column => {
+    column.width = 22;
+    column.numFmt = '@';
+  });
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * An empty import file with a column per field
+ * @param {string} format - IMPORT_FORMAT value
+ * @returns {Promise<object>} fileName, contentType and content
+ */
+export async function buildTemplateFile(format) {
+  const headers = FIELD_NAMES.map(name => SUBMISSION_SCHEMA.fields[name].label);
+  return { fileName: `enrolment-import-template.${format}`, contentType: MIME_TYPES[format], content: await writeSheet([headers], format) };
+}
+
+/**
+ * The rows of an import with their outcome and reference number. The field columns have the same
+ * names as in the template, so rows that had errors can be corrected and the file imported again.
+ * @param {object} bulkImport - result of getImport
+ * @param {string} [format] - IMPORT_FORMAT value (defaults to the format of the imported file)
+ * @returns {Promise<object>} fileName, contentType and content
+ */
+export async function buildResultsFile(bulkImport, format = bulkImport.format) {
+  const headers = ['Row', 'Status', 'Reference Number', 'Messages', ...FIELD_NAMES.map(name => SUBMISSION_SCHEMA.fields[name].label)];
+  const lines = bulkImport.rows.map(row => [
+    String(row.row),
+    ROW_STATUS_LABELS[row.status],
+    row.referenceNumber || '',
+    [...row.errors, ...row.warnings].join('; '),
+    ...FIELD_NAMES.map(name => row.values[name] || '')
+  ]);
+
+  const baseName = path.parse(bulkImport.fileName).name.replace(/[^A-Za-z0-9_-]+/g, '_') || 'import';
+  return { fileName: `${baseName}-results.${format}`, contentType: MIME_TYPES[format], content: await writeSheet([headers, ...lines], format) };
+}
@@ -0,0 +1,63 @@
+import { logger } from '../logger.js';
+
+/**
+ * CAPTCHA services with a siteverify API. The browser scripts share the same
+ * render(element, { sitekey, callback }) call, exposed under `globalName`.
+ */
+const CAPTCHA_SERVICES = {
+  turnstile: {
+    verifyUrl: 'https://challenges.cloudflare.com/turnstile/v0/siteverify',
+    scriptUrl: 'https://challenges.cloudflare.com/turnstile/v0/api.js?render=explicit',
+    globalName: 'turnstile'
+  },
+  hcaptcha: {
+    verifyUrl: 'https://api.hcaptcha.com/siteverify',
+    scriptUrl: 'https://js.hcaptcha.com/1/api.js?render=explicit',
+    globalName: 'hcaptcha'
+  },
+  recaptcha: {
+    verifyUrl: 'https://www.google.com/recaptcha/api/siteverify',
+    scriptUrl: 'https://www.google.com/recaptcha/api.js?render=explicit',
+    globalName: 'grecaptcha'
+  }
+};
+
+/**
+ * Check submissions with a CAPTCHA widget.
+ * Needs CAPTCHA_SITE_KEY (shown to the browser) and CAPTCHA_SECRET_KEY.
+ * @param {string} service - "turnstile", "hcaptcha" or "recaptcha"
+ * @returns {object} challenge provider
+ */
+export function createCaptchaProvider(service) {
+  const { verifyUrl, scriptUrl, globalName } = CAPTCHA_SERVICES[service];
+  const siteKey = process.env.CAPTCHA_SITE_KEY;
+  const secretKey = process.env.CAPTCHA_SECRET_KEY;
+
+  if (!siteKey || !secretKey) {
+    throw new Error(`CHALLENGE_PROVIDER=${service} needs CAPTCHA_SITE_KEY and CAPTCHA_SECRET_KEY`);
+  }
+
+  return {
+    name: service,
+
+    async create() {
+      return { type: 'captcha', provider: service, siteKey, scriptUrl, globalName };
+    },
+
+    async verify(response, { ip } = {}) {
+      const body = new URLSearchParams({ secret: secretKey, response });
+      if (ip) body.set('remoteip', ip);
+
+      const result = await fetch(verifyUrl, { method: 'POST', body });
+      if (!result.ok) {
+        throw new Error(`${service} verification failed with HTTP ${result.status}`);
+      }
+
+      const data = await result.json();
+      if (!data.success) {
+        logger.warn('CAPTCHA response rejected', { provider: service, errorCodes: data['error-codes'] || [] });
+      }
+      return data.success === true;
+    }
+  };
+}
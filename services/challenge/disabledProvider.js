@@ -0,0 +1,17 @@
+/**
+ * Accept every submission without a check; for development and trusted networks
+ * @returns {object} challenge provider
+ */
+export function createDisabledProvider() {
+  return {
+    name: 'disabled',
+
+    async create() {
+      return { type: 'none' };
+    },
+
+    async verify() {
+      return true;
+    }
+  };
+}
@@ -0,0 +1,39 @@
+import { createCaptchaProvider } from './captchaProvider.js';
+import { createDisabledProvider } from './disabledProvider.js';
+import { createProofOfWorkProvider } from './proofOfWorkProvider.js';
+
+/**
+ * A challenge provider tells browsers from scripts before a submission is accepted.
+ * Every provider exposes the same operations:
+ *
+ * - create() -> Promise<object> challenge for the browser; `type` is "pow", "captcha" or "none"
+ * - verify(response, { ip }) -> Promise<boolean> whether the browser's answer is valid
+ */
+const PROVIDERS = {
+  pow: createProofOfWorkProvider,
+  turnstile: () => createCaptchaProvider('turnstile'),
+  hcaptcha: () => createCaptchaProvider('hcaptcha'),
+  recaptcha: () => createCaptchaProvider('recaptcha'),
+  disabled: createDisabledProvider
+};
+
+let provider;
+
+/**
+ * Get the provider selected by CHALLENGE_PROVIDER (defaults to proof of work)
+ * @returns {object} challenge provider
+ */
+export function getChallengeProvider() {
+  if (!provider) {
+    const name = (process.env.CHALLENGE_PROVIDER || 'pow').toLowerCase();
+    const createProvider = PROVIDERS[name];
+
+    if (!createProvider) {
+      throw new Error(`Unknown CHALLENGE_PROVIDER "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    provider = createProvider();
+  }
+
+  return provider;
+}
@@ -0,0 +1,79 @@
+import crypto from 'crypto';
+
+const CHALLENGE_TTL_MS = 10 * 60 * 1000;
+
+function sign(secret, payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+function countLeadingZeroBits(buffer) {
+  let bits = 0;
+  for (const byte of buffer) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+}
+
+/**
+ * Ask the browser to find a nonce whose SHA-256 hash of "token:nonce" starts with
+ * `difficulty` zero bits. Cheap for one submission, expensive for a flood of them.
+ * Tokens are signed, so nothing is stored until a token is used (each works once).
+ * CHALLENGE_POW_DIFFICULTY sets the number of bits (default 16); CHALLENGE_SECRET keeps
+ * tokens valid across restarts and between instances.
+ * @returns {object} challenge provider
+ */
+export function createProofOfWorkProvider() {
+  const secret = process.env.CHALLENGE_SECRET || crypto.randomBytes(32);
+  const difficulty = Number(process.env.CHALLENGE_POW_DIFFICULTY) || 16;
+  // Used tokens until they expire: id -> expiresAt
+  const usedTokens = new Map();
+
+  function forgetExpired(now) {
+    for (const [id, expiresAt] of usedTokens) {
+      if (expiresAt <= now) usedTokens.delete(id);
+    }
+  }
+
+  return {
+    name: 'pow',
+
+    async create() {
+      const expiresAt = Date.now() + CHALLENGE_TTL_MS;
+      const payload = `${crypto.randomBytes(12).toString('base64url')}.${expiresAt}.${difficulty}`;
+      return {
+        type: 'pow',
+        algorithm: 'SHA-256',
+        token: `${payload}.${sign(secret, payload)}`,
+        difficulty,
+        expiresAt: new Date(expiresAt).toISOString()
+      };
+    },
+
+    async verify(response) {
+      const answer = String(response);
+      const separator = answer.lastIndexOf(':');
+      const token = answer.slice(0, separator);
+      const [id, expiresAt, bits, signature] = token.split('.');
+      if (separator < 0 || !signature) return false;
+
+      const expected = Buffer.from(sign(secret, `${id}.${expiresAt}.${bits}`));
+      if (expected.length !== signature.length || !crypto.timingSafeEqual(expected, Buffer.from(signature))) {
+        return false;
+      }
+
+      const now = Date.now();
+      if (Number(expiresAt) <= now || usedTokens.has(id)) return false;
+
+      const hash = crypto.createHash('sha256').update(answer).digest();
+      if (countLeadingZeroBits(hash) < Number(bits)) return false;
+
+      forgetExpired(now);
+      usedTokens.set(id, Number(expiresAt));
+      return true;
+    }
+  };
+}
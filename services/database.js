@@ -0,0 +1,35 @@
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import path from 'path';
+
+const connections = new Map();
+
+/**
+ * Resolve the directory used for local runtime data (SQLite files, stored uploads)
+ * @returns {string} absolute data directory
+ */
+export function getDataDir() {
+  return path.resolve(process.env.DATA_DIR || path.join(process.cwd(), 'data'));
+}
+
+/**
+ * Open (or reuse) a SQLite database
+ * @param {string} filePath - database file, relative paths resolve against the data directory
+ * @returns {Database.Database} open database connection
+ */
+export function openDatabase(filePath) {
+  const fullPath = path.resolve(getDataDir(), filePath);
+
+  if (connections.has(fullPath)) {
+    return connections.get(fullPath);
+  }
+
+  fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+
+  const db = new Database(fullPath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+
+  connections.set(fullPath, db);
+  return db;
+}
@@ -0,0 +1,195 @@
+import crypto from 'crypto';
+import { getFormDefinition } from '../config/formDefinition.js';
+import { SUBMISSION_SCHEMA } from '../config/submissionSchema.js';
+import { openDatabase } from './database.js';
+import { getUpload, retainUploads, UPLOAD_STATUS } from './uploadStore.js';
+import { logger } from './logger.js';
+import { createError } from './errors.js';
+
+// Drafts (and the uploads they refer to) are kept this long after their last save
+const DRAFT_TTL_DAYS = Number(process.env.DRAFT_TTL_DAYS) || 30;
+// Longest value kept for a field that has no maxLength in the schema
+const MAX_DRAFT_VALUE_LENGTH = 2000;
+
+let db;
+let cleanupTimer;
+
+function getDb() {
+  if (!db) {
+    db = openDatabase('drafts.db');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS drafts (
+        token TEXT PRIMARY KEY,
+        form_data TEXT NOT NULL,
+        step INTEGER NOT NULL,
+        upload_ids TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL
+      );
+    `);
+
+    // Drafts saved before documents had a category
+    const columns = db.prepare('PRAGMA table_info(drafts)').all().map(column => column.name);
+    if (!columns.includes('document_categories')) {
+      db.exec('ALTER TABLE drafts ADD COLUMN document_categories TEXT');
+    }
+  }
+  return db;
+}
+
+function cleanValues(source, fieldNames) {
+  const values = {};
+  for (const name of fieldNames) {
+    const value = source?.[name];
+    if (typeof value === 'string') {
+      values[name] = value.slice(0, SUBMISSION_SCHEMA.fields[name].maxLength || MAX_DRAFT_VALUE_LENGTH);
+    }
+  }
+  return values;
+}
+
+/**
+ * Keep only the schema fields of a partial form, as strings, with each property's fields in properties.
+ * Drafts are not validated: a builder may save half-typed values.
+ * @param {object} formData - partial form values
+ * @returns {object} cleaned values
+ */
+function cleanFormData(formData = {}) {
+  const { fields: propertyFields, maxCount } = SUBMISSION_SCHEMA.properties;
+  const values = cleanValues(formData, Object.keys(SUBMISSION_SCHEMA.fields).filter(name => !propertyFields.includes(name)));
+  if (Array.isArray(formData.properties)) {
+    values.properties = formData.properties.slice(0, maxCount).map(property => cleanValues(property, propertyFields));
+  }
+  return values;
+}
+
+function cleanStep(step) {
+  const stepCount = getFormDefinition().steps.length;
+  const value = Number(step);
+  return Number.isInteger(value) ? Math.min(Math.max(value, 1), stepCount) : 1;
+}
+
+// Only finished uploads can be restored; the browser no longer has the file to continue a partial one
+function cleanUploadIds(uploadIds = []) {
+  return [].concat(uploadIds)
+    .filter(id => typeof id === 'string')
+    .filter(id => {
+      const upload = getUpload(id);
+      return upload && upload.status === UPLOAD_STATUS.COMPLETE;
+    })
+    .slice(0, SUBMISSION_SCHEMA.files.maxCount);
+}
+
+// Category per kept upload, only values from the schema
+function cleanDocumentCategories(categories, uploadIds) {
+  const values = SUBMISSION_SCHEMA.files.categories.map(option => option.value);
+  return Object.fromEntries(uploadIds
+    .filter(id => values.includes(categories?.[id]))
+    .map(id => [id, categories[id]]));
+}
+
+function toDraft(row) {
+  return {
+    token: row.token,
+    formData: JSON.parse(row.form_data),
+    step: row.step,
+    uploadIds: JSON.parse(row.upload_ids),
+    documentCategories: row.document_categories ? JSON.parse(row.document_categories) : {},
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    expiresAt: row.expires_at
+  };
+}
+
+function writeDraft(token, { formData, step, uploadIds, documentCategories }, createdAt) {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + DRAFT_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const ids = cleanUploadIds(uploadIds);
+  const categories = cleanDocumentCategories(documentCategories, ids);
+
+  getDb().prepare(`
+    INSERT INTO drafts (token, form_data, step, upload_ids, document_categories, created_at, updated_at, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(token) DO UPDATE SET form_data = excluded.form_data, step = excluded.step,
+      upload_ids = excluded.upload_ids, document_categories = excluded.document_categories,
+      updated_at = excluded.updated_at, expires_at = excluded.expires_at
+  `).run(token, JSON.stringify(cleanFormData(formData)), cleanStep(step), JSON.stringify(ids), JSON.stringify(categories), createdAt || now.toISOString(), now.toISOString(), expiresAt);
+
+  // The staged files must outlive the draft that points at them
+  retainUploads(ids, expiresAt);
+  return getDraft(token);
+}
+
+/**
+ * Save a new draft
+ * @param {object} draft
+ * @param {object} draft.formData - partial form values
+ * @param {number} draft.step - wizard step to resume on
+ * @param {string[]} draft.uploadIds - finished uploads selected so far
+ * @param {object} [draft.documentCategories] - document category per upload ID
+ * @returns {object} saved draft, including its resume token
+ */
+export function createDraft(draft) {
+  // The token is the only credential for the draft, so it must not be guessable
+  const token = crypto.randomBytes(24).toString('base64url');
+  return writeDraft(token, draft);
+}
+
+/**
+ * Overwrite an existing draft
+ * @param {string} token - resume token
+ * @param {object} draft - same shape as createDraft
+ * @returns {object} saved draft
+ */
+export function updateDraft(token, draft) {
+  const existing = getDraft(token);
+  if (!existing) throw createError('This saved application was not found or has expired', 404);
+  return writeDraft(token, draft, existing.createdAt);
+}
+
+/**
+ * Get a draft that has not expired
+ * @param {string} token - resume token
+ * @returns {object|null} draft
+ */
+export function getDraft(token) {
+  const row = getDb().prepare('SELECT * FROM drafts WHERE token = ? AND expires_at > ?')
+    .get(String(token || ''), new Date().toISOString());
+  return row ? toDraft(row) : null;
+}
+
+/**
+ * Remove a draft, e.g. once it has been submitted
+ * @param {string} token - resume token
+ */
+export function deleteDraft(token) {
+  getDb().prepare('DELETE FROM drafts WHERE token = ?').run(String(token || ''));
+}
+
+/**
+ * Delete expired drafts. Their uploads fall back to the normal stale upload cleanup.
+ * @returns {number} number of drafts removed
+ */
+export function purgeExpiredDrafts() {
+  const result = getDb().prepare('DELETE FROM drafts WHERE expires_at <= ?').run(new Date().toISOString());
+  if (result.changes > 0) {
+    logger.info('Removed expired drafts', { count: result.changes });
+  }
+  return result.changes;
+}
+
+/**
+ * Periodically remove expired drafts
+ */
+export function startDraftCleanup() {
+  if (cleanupTimer) return;
+  cleanupTimer = setInterval(() => {
+    try {
+      purgeExpiredDrafts();
+    } catch (error) {
+      logger.error('Draft cleanup failed', { error });
+    }
+  }, 60 * 60 * 1000);
+  cleanupTimer.unref();
+}
@@ -1,24 +1,35 @@
-import nodemailer from 'nodemailer';
 import dotenv from 'dotenv';
+import { getMailTransport } from './mail/index.js';
+import { renderConfirmationEmail } from './mail/templates.js';
+import { buildReceiptPdf } from './receipt.js';
 dotenv.config();
 
-export async function sendConfirmationEmail(formData) {
-  const transporter = nodemailer.createTransport({
-    host: process.env.EMAIL_HOST,
-    port: Number(process.env.EMAIL_PORT),
-    secure: false,
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS,
-    },
-  });
+/**
+ * Email the builder a confirmation with their receipt, attached as a PDF
+ * @param {object} submission
+ * @param {string} submission.referenceNumber - allocated reference number
+ * @param {string} submission.province - The selected province
+ * @param {object} submission.formData - submitted form fields (email is the recipient)
+ * @param {Array} submission.files - received documents (originalname, size, sha256, category)
+ * @param {string} submission.submittedAt - ISO timestamp the submission was received
+ * @returns {Promise<object|null>} delivery info, or null when there is no recipient
+ */
+export async function sendConfirmationEmail(submission) {
+  const to = submission.formData.email;
+  if (!to) return null;
 
-  const mailOptions = {
-    from: `"NHBRC" <${process.env.EMAIL_FROM}>`,
-    to: formData.email,
-    subject: 'Registration Form Submitted',
-    html: `<p>Dear ${formData.name || 'User'},<br>Your form has been successfully submitted.</p>`,
-  };
+  const { subject, html, text } = renderConfirmationEmail(submission);
 
-  await transporter.sendMail(mailOptions);
+  return getMailTransport().send({
+    from: `"NHBRC" <${process.env.EMAIL_FROM || 'no-reply@nhbrc.org.za'}>`,
+    to,
+    subject,
+    html,
+    text,
+    attachments: [{
+      filename: `${submission.referenceNumber}-receipt.pdf`,
+      content: await buildReceiptPdf(submission),
+      contentType: 'application/pdf'
+    }]
+  });
 }
@@ -0,0 +1,11 @@
+/**
+ * Create an error that carries the HTTP status the controllers should answer with
+ * @param {string} message - message shown to the caller
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} error with a statusCode property
+ */
+export function createError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
@@ -0,0 +1,210 @@
+import { logger } from './logger.js';
+import { createError } from './errors.js';
+
+/**
+ * Retries and circuit breakers for Microsoft Graph calls.
+ * Throttling (429), unavailable (503) and other transient errors are retried with exponential backoff
+ * and jitter, waiting at least as long as Graph's Retry-After. Each province site has a circuit breaker:
+ * after repeated failures its calls fail fast for a cool-down period instead of adding to the load.
+ */
+const MAX_RETRIES = Number(process.env.GRAPH_MAX_RETRIES) || 4;
+const BASE_DELAY_MS = Number(process.env.GRAPH_RETRY_BASE_DELAY_MS) || 1000;
+const MAX_DELAY_MS = 60 * 1000;
+const BREAKER_THRESHOLD = Number(process.env.GRAPH_BREAKER_THRESHOLD) || 5;
+const BREAKER_COOLDOWN_MS = Number(process.env.GRAPH_BREAKER_COOLDOWN_MS) || 60 * 1000;
+
+const TRANSIENT_STATUS_CODES = new Set([408, 429, 500, 502, 503, 504]);
+
+// Socket errors worth retrying when fetch is called directly (upload chunks)
+const NETWORK_ERROR_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT']);
+
+// Graph accepts at most 20 requests in one JSON batch
+const MAX_BATCH_SIZE = 20;
+
+// Circuit breaker states
+export const CIRCUIT_STATE = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+// province -> { state, failures, openedAt, retryAt }
+const breakers = new Map();
+
+/**
+ * Whether a failed Graph call is worth repeating: throttling, server errors and network failures
+ * (the SDK reports those with status -1, fetch with a TypeError)
+ * @param {Error} error - error from the Graph client or fetch
+ * @returns {boolean} true if the call may succeed when repeated
+ */
+export function isTransientGraphError(error) {
+  if (error.code === 'circuitOpen') return false;
+  if (error.statusCode) return error.statusCode < 0 || TRANSIENT_STATUS_CODES.has(error.statusCode);
+  return (error.name === 'TypeError' && error.message === 'fetch failed') || NETWORK_ERROR_CODES.has(error.code) || NETWORK_ERROR_CODES.has(error.cause?.code);
+}
+
+/**
+ * Delay in milliseconds from a Retry-After header (seconds or an HTTP date)
+ * @param {string|null} value - header value
+ * @returns {number|null} delay, or null if the header is missing or unreadable
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(seconds * 1000, 0);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * How long to wait before retry number `attempt`: exponential backoff with full jitter,
+ * but never less than the server's Retry-After
+ * @param {number} attempt - retry number (1-based)
+ * @param {string|null} [retryAfter] - Retry-After header value
+ * @returns {number} delay in milliseconds
+ */
+export function getRetryDelay(attempt, retryAfter = null) {
+  const backoff = Math.random() * Math.min(BASE_DELAY_MS * 2 ** (attempt - 1), MAX_DELAY_MS);
+  const serverDelay = parseRetryAfter(retryAfter);
+  return serverDelay === null ? backoff : Math.min(serverDelay, MAX_DELAY_MS) + backoff / 4;
+}
+
+function getRetryAfterHeader(error) {
+  const headers = error.headers;
+  if (!headers) return null;
+  return typeof headers.get === 'function' ? headers.get('Retry-After') : headers['retry-after'] || headers['Retry-After'] || null;
+}
+
+function getBreaker(province) {
+  if (!breakers.has(province)) {
+    breakers.set(province, { state: CIRCUIT_STATE.CLOSED, failures: 0, openedAt: null, retryAt: null });
+  }
+  return breakers.get(province);
+}
+
+// An open breaker lets one trial call through once the cool-down is over
+function assertCircuitClosed(province) {
+  const breaker = getBreaker(province);
+  if (breaker.state !== CIRCUIT_STATE.OPEN) return;
+
+  if (Date.now() >= breaker.retryAt) {
+    breaker.state = CIRCUIT_STATE.HALF_OPEN;
+    logger.info('Circuit half-open, trying SharePoint again', { province });
+    return;
+  }
+
+  const error = createError(`SharePoint for ${province} is temporarily unavailable, retrying after ${new Date(breaker.retryAt).toISOString()}`, 503);
+  error.code = 'circuitOpen';
+  error.retryAt = breaker.retryAt;
+  throw error;
+}
+
+function recordSuccess(province) {
+  const breaker = getBreaker(province);
+  if (breaker.state !== CIRCUIT_STATE.CLOSED) {
+    logger.info('Circuit closed, SharePoint is responding again', { province });
+  }
+  breakers.set(province, { state: CIRCUIT_STATE.CLOSED, failures: 0, openedAt: null, retryAt: null });
+}
+
+function recordFailure(province, error) {
+  const breaker = getBreaker(province);
+  breaker.failures += 1;
+
+  if (breaker.state === CIRCUIT_STATE.HALF_OPEN || breaker.failures >= BREAKER_THRESHOLD) {
+    breaker.state = CIRCUIT_STATE.OPEN;
+    breaker.openedAt = Date.now();
+    breaker.retryAt = Date.now() + BREAKER_COOLDOWN_MS;
+    logger.error('Circuit opened, pausing SharePoint calls', { province, failures: breaker.failures, retryAt: new Date(breaker.retryAt).toISOString(), error });
+  }
+}
+
+/**
+ * Run a Graph call for a province's site with retries and the site's circuit breaker.
+ * The operation may run several times, so it must be safe to repeat.
+ * @param {string} province - The selected province
+ * @param {Function} operation - async Graph call
+ * @returns {Promise<*>} the operation's result
+ */
+export async function callGraph(province, operation) {
+  assertCircuitClosed(province);
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const result = await operation();
+      recordSuccess(province);
+      return result;
+    } catch (error) {
+      if (!isTransientGraphError(error)) {
+        // The site answered; a 404 or 400 says nothing about its health
+        recordSuccess(province);
+        throw error;
+      }
+      if (attempt > MAX_RETRIES) {
+        recordFailure(province, error);
+        throw error;
+      }
+
+      const delay = getRetryDelay(attempt, getRetryAfterHeader(error));
+      logger.warn('Graph call failed, retrying', { province, attempt, maxRetries: MAX_RETRIES, delayMs: Math.round(delay), status: error.statusCode, error: error.message });
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Send several Graph requests as JSON batches ($batch, at most 20 per batch).
+ * Throttled or failed sub-requests are sent again in a later batch, after the longest Retry-After.
+ * @param {Client} client - Graph client
+ * @param {string} province - province whose circuit breaker covers the calls
+ * @param {Array<{id: string, method: string, url: string, body?: object}>} requests - requests with unique IDs
+ * @returns {Promise<Map<string, {status: number, body: *}>>} response per request ID
+ */
+export async function graphBatch(client, province, requests) {
+  const results = new Map();
+  let pending = requests;
+
+  for (let attempt = 1; pending.length > 0; attempt++) {
+    const retry = [];
+    let retryAfter = null;
+
+    for (let i = 0; i < pending.length; i += MAX_BATCH_SIZE) {
+      const chunk = pending.slice(i, i + MAX_BATCH_SIZE).map(request => ({
+        ...request,
+        ...(request.body && { headers: { 'Content-Type': 'application/json' } })
+      }));
+      const response = await callGraph(province, () => client.api('/$batch').post({ requests: chunk }));
+
+      for (const item of response.responses || []) {
+        if (TRANSIENT_STATUS_CODES.has(item.status) && attempt <= MAX_RETRIES) {
+          retry.push(pending.find(request => request.id === item.id));
+          const delay = parseRetryAfter(item.headers?.['Retry-After'] || item.headers?.['retry-after']);
+          if (delay !== null) retryAfter = Math.max(retryAfter || 0, delay);
+        } else {
+          results.set(item.id, { status: item.status, body: item.body });
+        }
+      }
+    }
+
+    pending = retry.filter(Boolean);
+    if (pending.length > 0) {
+      const delay = getRetryDelay(attempt, retryAfter === null ? null : String(retryAfter / 1000));
+      logger.warn('Graph batch requests throttled, retrying', { province, attempt, requests: pending.length, delayMs: Math.round(delay) });
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Circuit breaker state per province, for the health check
+ * @returns {object} province -> state, consecutive failures and when calls resume
+ */
+export function getCircuitStatus() {
+  return Object.fromEntries([...breakers].map(([province, breaker]) => [province, {
+    state: breaker.state === CIRCUIT_STATE.OPEN && Date.now() >= breaker.retryAt ? CIRCUIT_STATE.HALF_OPEN : breaker.state,
+    failures: breaker.failures,
+    retryAt: breaker.retryAt ? new Date(breaker.retryAt).toISOString() : null
+  }]));
+}
@@ -0,0 +1,134 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+
+/**
+ * Structured logger: one JSON object per line with time, level, message, the correlation ID
+ * of the current request (or outbox delivery) and any extra fields.
+ * LOG_LEVEL sets the lowest level written: debug, info (default), warn or error.
+ */
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const REDACTED = '[REDACTED]';
+
+// Fields that carry personal information, matched ignoring case, "_" and "-"
+const SENSITIVE_KEYS = new Set([
+  'buildername', 'companyname', 'registrationnumber', 'propertydetails',
+  'competentperson', 'email', 'recipient', 'phone', 'idnumber'
+]);
+
+// Form fields whose submitted values are also masked wherever they appear in a log line
+const SENSITIVE_FORM_FIELDS = ['builderName', 'companyName', 'registrationNumber', 'propertyDetails', 'standNumber', 'streetAddress', 'competentPerson', 'email'];
+
+const logContext = new AsyncLocalStorage();
+
+function isSensitiveKey(key) {
+  const normalised = key.replace(/[_-]/g, '').toLowerCase();
+  return SENSITIVE_KEYS.has(normalised) || normalised.includes('address');
+}
+
+function maskValues(text, values) {
+  let masked = text;
+  for (const value of values) {
+    masked = masked.split(value).join(REDACTED);
+  }
+  return masked;
+}
+
+function serialiseError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.statusCode && { statusCode: error.statusCode }),
+    ...(error.code && { code: error.code }),
+    stack: error.stack
+  };
+}
+
+/**
+ * Copy of a value with personal information removed
+ * @param {*} value - anything passed to the logger
+ * @param {Set<string>} values - known personal values to mask inside strings
+ * @param {number} [depth] - nesting level, to stop at deep or circular objects
+ * @returns {*} redacted copy
+ */
+function redact(value, values, depth = 0) {
+  if (typeof value === 'string') return values.size > 0 ? maskValues(value, values) : value;
+  if (value instanceof Error) return redact(serialiseError(value), values, depth);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth > 5) return '[Object]';
+  if (Array.isArray(value)) return value.map(item => redact(item, values, depth + 1));
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    isSensitiveKey(key) && item !== null && item !== undefined && item !== '' ? REDACTED : redact(item, values, depth + 1)
+  ]));
+}
+
+function write(level, message, fields = {}) {
+  const minimum = LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+  if (LEVELS[level] < minimum) return;
+
+  const store = logContext.getStore();
+  const values = store ? store.sensitiveValues : new Set();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    message: redact(message, values),
+    ...(store && { correlationId: store.correlationId }),
+    ...redact(fields, values)
+  };
+
+  const line = `${JSON.stringify(entry)}\n`;
+  if (LEVELS[level] >= LEVELS.warn) process.stderr.write(line);
+  else process.stdout.write(line);
+}
+
+export const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields)
+};
+
+export function createCorrelationId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Run a function with a correlation ID attached to everything it logs, including async work it starts
+ * @param {string} correlationId - ID of the request or delivery
+ * @param {Function} fn - work to run
+ * @returns {*} the function's result
+ */
+export function runWithCorrelationId(correlationId, fn) {
+  return logContext.run({ correlationId, sensitiveValues: new Set() }, fn);
+}
+
+export function getCorrelationId() {
+  return logContext.getStore()?.correlationId || null;
+}
+
+/**
+ * Mask a submission's personal values (builder name, registration number, address, ...) wherever
+ * they appear in later log lines of the current request or delivery, e.g. inside folder paths
+ * @param {object} formData - submitted form fields
+ */
+export function redactSubmissionValues(formData) {
+  const store = logContext.getStore();
+  if (!store || !formData) return;
+
+  // Each property's address and competent person are kept in formData.properties
+  const sources = [formData, ...(Array.isArray(formData.properties) ? formData.properties : [])];
+  for (const source of sources) {
+    for (const field of SENSITIVE_FORM_FIELDS) {
+      const value = typeof source[field] === 'string' ? source[field].trim() : '';
+      // Very short values would mask unrelated text
+      if (value.length < 3) continue;
+
+      // Also the forms a value takes in stored file names and Graph URLs
+      store.sensitiveValues.add(value);
+      store.sensitiveValues.add(value.replace(/[^a-z0-9]/gi, '_').toLowerCase());
+      store.sensitiveValues.add(encodeURIComponent(value));
+    }
+  }
+}
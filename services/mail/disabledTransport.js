@@ -0,0 +1,16 @@
+import { logger } from '../logger.js';
+
+/**
+ * Drop every message; used when no mail transport is configured
+ * @returns {object} mail transport
+ */
+export function createDisabledTransport() {
+  return {
+    name: 'disabled',
+
+    async send(message) {
+      logger.info('Mail is not configured, message skipped', { subject: message.subject, recipient: message.to });
+      return { messageId: null, skipped: true };
+    }
+  };
+}
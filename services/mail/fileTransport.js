@@ -0,0 +1,29 @@
+import fs from 'fs';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import { getDataDir } from '../database.js';
+
+/**
+ * Write each message to an .eml file instead of sending it (MAIL_FILE_DIR, default data/mail).
+ * Useful in development and tests: the files open in any mail client.
+ * @param {object} [options]
+ * @param {string} [options.dir] - folder for the .eml files
+ * @returns {object} mail transport
+ */
+export function createFileTransport({ dir = process.env.MAIL_FILE_DIR || path.join(getDataDir(), 'mail') } = {}) {
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return {
+    name: 'file',
+
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      const recipient = String(message.to).replace(/[^A-Za-z0-9@._-]/g, '_');
+      const filePath = path.join(dir, `${Date.now()}-${recipient}.eml`);
+
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(filePath, info.message);
+      return { messageId: info.messageId, path: filePath };
+    }
+  };
+}
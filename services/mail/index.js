@@ -0,0 +1,37 @@
+import { createDisabledTransport } from './disabledTransport.js';
+import { createFileTransport } from './fileTransport.js';
+import { createSmtpTransport } from './smtpTransport.js';
+
+/**
+ * A mail transport delivers a rendered message.
+ * Every transport exposes the same operation:
+ *
+ * - send({ from, to, subject, html, text, attachments }) -> Promise<object> delivery info
+ */
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  disabled: createDisabledTransport
+};
+
+let transport;
+
+/**
+ * Get the transport selected by MAIL_TRANSPORT
+ * (defaults to SMTP when EMAIL_HOST is set, otherwise mail is disabled)
+ * @returns {object} mail transport
+ */
+export function getMailTransport() {
+  if (!transport) {
+    const name = (process.env.MAIL_TRANSPORT || (process.env.EMAIL_HOST ? 'smtp' : 'disabled')).toLowerCase();
+    const createTransport = TRANSPORTS[name];
+
+    if (!createTransport) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}". Expected one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+    }
+
+    transport = createTransport();
+  }
+
+  return transport;
+}
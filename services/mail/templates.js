@@ -0,0 +1,86 @@
+import { formatFileDetails, formatReceiptDate, getPropertySections, getReceiptRows } from '../receipt.js';
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render the confirmation email sent to the builder once a submission is saved
+ * @param {object} submission
+ * @param {string} submission.referenceNumber - allocated reference number
+ * @param {string} submission.province - The selected province
+ * @param {object} submission.formData - submitted form fields
+ * @param {Array} submission.files - received documents (originalname, size, sha256, category)
+ * @param {string} submission.submittedAt - ISO timestamp the submission was received
+ * @returns {object} subject, html and text
+ */
+export function renderConfirmationEmail({ referenceNumber, province, formData, files = [], submittedAt }) {
+  const subject = `NHBRC submission received - ${referenceNumber}`;
+  const greeting = `Dear ${formData.builderName || 'Home Builder'},`;
+  const intro = `Thank you for your submission to the NHBRC ${province} office. Please keep this email and the attached PDF receipt, and quote your reference number in any correspondence.`;
+  const rows = getReceiptRows(formData);
+  const properties = getPropertySections(referenceNumber, formData);
+  const receivedAt = formatReceiptDate(submittedAt);
+
+  const text = [
+    greeting,
+    '',
+    intro,
+    '',
+    `Reference number: ${referenceNumber}`,
+    `Received: ${receivedAt}`,
+    '',
+    ...rows.map(row => `${row.label}: ${row.value}`),
+    ...properties.flatMap(section => ['', `${section.title}:`, ...section.rows.map(row => `${row.label}: ${row.value}`)]),
+    '',
+    `Documents (${files.length}):`,
+    ...files.map(file => `- ${file.originalname} (${formatFileDetails(file)})${file.sha256 ? `\n  SHA-256: ${file.sha256}` : ''}`),
+    '',
+    'You can track this submission at any time on the NHBRC Home Builder portal using your reference number and registration number.',
+    '',
+    'NHBRC'
+  ].join('\n');
+
+  const cell = 'padding:8px 12px;border-bottom:1px solid #e2e8f0;vertical-align:top;';
+  const html = `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#f8fafc;font-family:Arial,Helvetica,sans-serif;color:#1e293b;">
+  <div style="max-width:600px;margin:0 auto;background:#ffffff;border:1px solid #e2e8f0;border-radius:8px;overflow:hidden;">
+    <div style="background:#2563eb;color:#ffffff;padding:20px 24px;">
+      <h1 style="margin:0;font-size:20px;">Submission received</h1>
+    </div>
+    <div style="padding:24px;">
+      <p>${escapeHtml(greeting)}</p>
+      <p>${escapeHtml(intro)}</p>
+      <p style="font-size:14px;color:#64748b;margin-bottom:4px;">Reference number</p>
+      <p style="font-size:24px;font-weight:bold;letter-spacing:1px;margin-top:0;">${escapeHtml(referenceNumber)}</p>
+
+      <h2 style="font-size:16px;margin-top:24px;">Receipt</h2>
+      <table style="width:100%;border-collapse:collapse;font-size:14px;">
+        <tr><td style="${cell}color:#64748b;width:40%;">Received</td><td style="${cell}">${escapeHtml(receivedAt)}</td></tr>
+        ${rows.map(row => `<tr><td style="${cell}color:#64748b;">${escapeHtml(row.label)}</td><td style="${cell}">${escapeHtml(row.value)}</td></tr>`).join('\n        ')}
+      </table>
+      ${properties.map(section => `
+      <h3 style="font-size:14px;margin-top:20px;">${escapeHtml(section.title)}</h3>
+      <table style="width:100%;border-collapse:collapse;font-size:14px;">
+        ${section.rows.map(row => `<tr><td style="${cell}color:#64748b;width:40%;">${escapeHtml(row.label)}</td><td style="${cell}">${escapeHtml(row.value)}</td></tr>`).join('\n        ')}
+      </table>`).join('')}
+
+      <h2 style="font-size:16px;margin-top:24px;">Documents (${files.length})</h2>
+      <ul style="padding-left:20px;font-size:14px;">
+        ${files.map(file => `<li style="margin-bottom:6px;">${escapeHtml(file.originalname)} (${escapeHtml(formatFileDetails(file))})${file.sha256 ? `<br><span style="font-family:monospace;font-size:11px;color:#64748b;">SHA-256: ${escapeHtml(file.sha256)}</span>` : ''}</li>`).join('\n        ')}
+      </ul>
+
+      <p style="font-size:14px;color:#64748b;margin-top:24px;">You can track this submission at any time on the NHBRC Home Builder portal using your reference number and registration number.</p>
+    </div>
+  </div>
+</body>
+</html>`;
+
+  return { subject, html, text };
+}
@@ -0,0 +1,160 @@
+import { getStorage } from './storage/index.js';
+import { DISCARD_MODE, referenceFromStoredName } from './storage/files.js';
+import { attachedFileNames } from './storage/fields.js';
+import { getInFlightReferences } from './outbox.js';
+import { logger } from './logger.js';
+import { createError } from './errors.js';
+
+/**
+ * Reconciles each province's document library against its list items.
+ * A document whose reference number has no list item is an orphan (left behind by a delivery that
+ * never saved its record); a list item that links to a document the library no longer has is a
+ * missing file. Orphans are reported, quarantined or deleted (ORPHAN_SWEEP_ACTION); missing files
+ * are only reported.
+ */
+const INTERVAL_HOURS = Number(process.env.ORPHAN_SWEEP_INTERVAL_HOURS ?? 24);
+// Documents younger than this may belong to a delivery that is still saving its record
+const GRACE_MS = (Number(process.env.ORPHAN_SWEEP_GRACE_HOURS) || 24) * 60 * 60 * 1000;
+const MAX_ITEMS = Number(process.env.ORPHAN_SWEEP_MAX_ITEMS) || 5000;
+
+export const SWEEP_ACTION = {
+  REPORT: 'report',
+  QUARANTINE: DISCARD_MODE.QUARANTINE,
+  DELETE: DISCARD_MODE.DELETE
+};
+
+const DEFAULT_ACTION = Object.values(SWEEP_ACTION).includes(process.env.ORPHAN_SWEEP_ACTION)
+  ? process.env.ORPHAN_SWEEP_ACTION
+  : SWEEP_ACTION.REPORT;
+
+let sweepTimer;
+let running = false;
+let lastReport = null;
+
+/**
+ * Reconcile one province
+ * @param {object} storage - storage adapter
+ * @param {string} province - province name
+ * @param {string} action - SWEEP_ACTION
+ * @param {Set<string>} inFlight - reference numbers still being delivered
+ * @returns {Promise<object>} orphans, unrecognised files and missing files
+ */
+async function sweepProvince(storage, province, action, inFlight) {
+  const [files, records] = await Promise.all([
+    storage.listStoredFiles(province),
+    storage.listRecords(province, { limit: MAX_ITEMS })
+  ]);
+
+  // Properties submitted together share documents, which carry the submission's (parent) reference
+  const references = new Set(records.flatMap(record => [record.referenceNumber, record.fields.ParentReference])
+    .filter(Boolean)
+    .map(reference => reference.toUpperCase()));
+  const cutoff = Date.now() - GRACE_MS;
+
+  const candidates = new Map();
+  const unrecognised = [];
+  for (const file of files) {
+    const referenceNumber = referenceFromStoredName(file.name);
+    if (!referenceNumber) {
+      unrecognised.push(file.path);
+      continue;
+    }
+    if (references.has(referenceNumber) || inFlight.has(referenceNumber) || Date.parse(file.createdAt) > cutoff) continue;
+
+    if (!candidates.has(referenceNumber)) candidates.set(referenceNumber, []);
+    candidates.get(referenceNumber).push(file);
+  }
+
+  const orphans = [];
+  for (const [referenceNumber, orphanFiles] of candidates) {
+    // Only the newest MAX_ITEMS records were listed; an older record may still own the files
+    if (records.length >= MAX_ITEMS && await storage.findRecord(referenceNumber, province)) continue;
+
+    const outcomes = action === SWEEP_ACTION.REPORT
+      ? []
+      : await storage.discardFiles(orphanFiles.map(file => file.path), province, { mode: action, referenceNumber });
+
+    for (const file of orphanFiles) {
+      const outcome = outcomes.find(item => item.path === file.path);
+      orphans.push({
+        referenceNumber,
+        path: file.path,
+        size: file.size,
+        createdAt: file.createdAt,
+        ...(outcome && { discarded: outcome.done, ...(outcome.error && { error: outcome.error }) })
+      });
+    }
+  }
+
+  const storedNames = new Set(files.map(file => file.name));
+  const missing = records.flatMap(record => attachedFileNames(record.fields)
+    .filter(name => !storedNames.has(name))
+    .map(name => ({ referenceNumber: record.referenceNumber, itemId: record.id, name })));
+
+  return { files: files.length, records: records.length, orphans, unrecognised, missing };
+}
+
+/**
+ * Reconcile every province's documents against its list items
+ * @param {object} [options]
+ * @param {string} [options.action] - what to do with orphans (SWEEP_ACTION); defaults to ORPHAN_SWEEP_ACTION
+ * @returns {Promise<object>} sweep report per province
+ */
+export async function sweepOrphans({ action = DEFAULT_ACTION } = {}) {
+  if (!Object.values(SWEEP_ACTION).includes(action)) {
+    throw createError(`Unknown sweep action: ${action}. Expected one of: ${Object.values(SWEEP_ACTION).join(', ')}`, 400);
+  }
+  if (running) throw createError('An orphan sweep is already running', 409);
+  running = true;
+
+  try {
+    const storage = getStorage();
+    const report = { startedAt: new Date().toISOString(), finishedAt: null, action, provinces: {} };
+    const inFlight = getInFlightReferences();
+
+    for (const province of await storage.listProvinces()) {
+      try {
+        report.provinces[province] = await sweepProvince(storage, province, action, inFlight);
+      } catch (error) {
+        logger.error('Orphan sweep failed for province', { province, error });
+        report.provinces[province] = { error: error.message };
+      }
+    }
+
+    report.finishedAt = new Date().toISOString();
+    const results = Object.values(report.provinces);
+    const orphans = results.reduce((total, result) => total + (result.orphans?.length || 0), 0);
+    const missing = results.reduce((total, result) => total + (result.missing?.length || 0), 0);
+    const failed = results.filter(result => result.error).length;
+
+    if (orphans > 0 || missing > 0 || failed > 0) {
+      logger.warn('Orphan sweep found mismatches', { action, orphans, missing, failedProvinces: failed });
+    } else {
+      logger.info('Orphan sweep found no mismatches', { provinces: results.length });
+    }
+
+    lastReport = report;
+    return report;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Report of the most recent sweep
+ * @returns {object|null} report, or null if no sweep has run since start-up
+ */
+export function getLastSweepReport() {
+  return lastReport;
+}
+
+/**
+ * Sweep on a schedule (ORPHAN_SWEEP_INTERVAL_HOURS, 0 turns it off)
+ */
+export function startOrphanSweep() {
+  if (sweepTimer || INTERVAL_HOURS <= 0) return;
+  sweepTimer = setInterval(() => {
+    sweepOrphans().catch(error => logger.error('Orphan sweep failed', { error }));
+  }, INTERVAL_HOURS * 60 * 60 * 1000);
+  sweepTimer.unref();
+}
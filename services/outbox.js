@@ -0,0 +1,593 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { getDataDir, openDatabase } from './database.js';
+import { buildPropertyRecords } from './properties.js';
+import { getParentReference } from './referenceAllocator.js';
+import { getStorage } from './storage/index.js';
+import { DISCARD_MODE, FILE_RESULT_STATUS, hashFile, moveFile } from './storage/files.js';
+import { sendConfirmationEmail } from './email.js';
+import { createCorrelationId, getCorrelationId, logger, redactSubmissionValues, runWithCorrelationId } from './logger.js';
+import { createError } from './errors.js';
+
+// Outbox entry lifecycle: pending -> processing -> delivered, or -> dead after too many failures
+export const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  DELIVERED: 'delivered',
+  DEAD: 'dead'
+};
+
+// Where a queued submission came from: the builder's form, or a staff member's bulk import
+export const SUBMISSION_SOURCE = {
+  FORM: 'form',
+  IMPORT: 'import'
+};
+
+const POLL_INTERVAL_MS = Number(process.env.OUTBOX_POLL_INTERVAL_MS) || 5000;
+const MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS) || 8;
+const BASE_DELAY_MS = Number(process.env.OUTBOX_BASE_DELAY_MS) || 30 * 1000;
+const MAX_DELAY_MS = Number(process.env.OUTBOX_MAX_DELAY_MS) || 60 * 60 * 1000;
+// An entry stuck in processing for longer than this is assumed to belong to a crashed worker
+const PROCESSING_LEASE_MS = 15 * 60 * 1000;
+// Delivered entries, with the personal details they hold, are removed this long after delivery
+const RETENTION_DAYS = Number(process.env.OUTBOX_RETENTION_DAYS) || 30;
+// Documents uploaded for a delivery that is given up on are quarantined (default) or deleted
+const COMPENSATION_MODE = process.env.DELIVERY_COMPENSATION === DISCARD_MODE.DELETE ? DISCARD_MODE.DELETE : DISCARD_MODE.QUARANTINE;
+
+let db;
+let workerTimer;
+let cleanupTimer;
+let draining = false;
+
+function getDb() {
+  if (!db) {
+    db = openDatabase('outbox.db');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS outbox_entries (
+        id TEXT PRIMARY KEY,
+        reference_number TEXT NOT NULL,
+        province TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        files TEXT NOT NULL,
+        status TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TEXT NOT NULL,
+        last_error TEXT,
+        progress TEXT,
+        result TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        delivered_at TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_outbox_status ON outbox_entries (status, next_attempt_at);
+      CREATE INDEX IF NOT EXISTS idx_outbox_reference ON outbox_entries (reference_number);
+    `);
+
+    // Entries queued before correlation IDs were recorded
+    const columns = db.prepare('PRAGMA table_info(outbox_entries)').all().map(column => column.name);
+    if (!columns.includes('correlation_id')) {
+      db.exec('ALTER TABLE outbox_entries ADD COLUMN correlation_id TEXT');
+    }
+    if (!columns.includes('source')) {
+      db.exec(`ALTER TABLE outbox_entries ADD COLUMN source TEXT NOT NULL DEFAULT '${SUBMISSION_SOURCE.FORM}'`);
+    }
+  }
+  return db;
+}
+
+function getFilesDir(entryId) {
+  return path.join(getDataDir(), 'outbox-files', entryId);
+}
+
+/**
+ * Convert a database row to the entry shape used by the worker and the admin API
+ * @param {object} row - outbox_entries row
+ * @returns {object} outbox entry
+ */
+function toEntry(row) {
+  return {
+    id: row.id,
+    referenceNumber: row.reference_number,
+    province: row.province,
+    formData: JSON.parse(row.payload),
+    files: JSON.parse(row.files),
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at,
+    lastError: row.last_error,
+    progress: row.progress ? JSON.parse(row.progress) : {},
+    result: row.result ? JSON.parse(row.result) : null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    deliveredAt: row.delivered_at,
+    correlationId: row.correlation_id,
+    source: row.source
+  };
+}
+
+/**
+ * Exponential backoff delay for the given attempt number
+ * @param {number} attempts - attempts made so far (1-based)
+ * @returns {number} delay in milliseconds
+ */
+export function getBackoffDelay(attempts) {
+  return Math.min(BASE_DELAY_MS * 2 ** (attempts - 1), MAX_DELAY_MS);
+}
+
+/**
+ * Durably store a submission so it can be delivered in the background
+ * @param {object} submission
+ * @param {string} submission.referenceNumber - allocated reference number
+ * @param {string} submission.province - The selected province
+ * @param {object} submission.formData - submitted form fields
+ * @param {Array} submission.files - files on disk (originalname, mimetype, size, category, path); they are moved into the outbox
+ * @param {string} [submission.source] - SUBMISSION_SOURCE value (default: the form)
+ * @returns {Promise<object>} created outbox entry
+ */
+export async function enqueueSubmission({ referenceNumber, province, formData, files = [], source = SUBMISSION_SOURCE.FORM }) {
+  const id = crypto.randomUUID();
+  const filesDir = getFilesDir(id);
+  const storedFiles = [];
+
+  if (files.length > 0) {
+    await fs.promises.mkdir(filesDir, { recursive: true });
+  }
+
+  // Move file contents into the outbox first so the entry never points at missing data
+  for (const [index, file] of files.entries()) {
+    const filePath = path.join(filesDir, `${index}`);
+    const sha256 = file.sha256 || await hashFile(file.path);
+    await moveFile(file.path, filePath);
+    storedFiles.push({
+      fieldname: file.fieldname,
+      originalname: file.originalname,
+      mimetype: file.mimetype,
+      size: file.size,
+      sha256,
+      category: file.category,
+      path: filePath
+    });
+  }
+
+  const now = new Date().toISOString();
+  getDb().prepare(`
+    INSERT INTO outbox_entries (id, reference_number, province, payload, files, status, attempts, next_attempt_at, created_at, updated_at, correlation_id, source)
+    VALUES (?, ?, ?, ?, ?, ?, 0, ?, ?, ?, ?, ?)
+  `).run(id, referenceNumber, province, JSON.stringify(formData), JSON.stringify(storedFiles), OUTBOX_STATUS.PENDING, now, now, now, getCorrelationId(), source);
+
+  logger.info('Queued submission', { referenceNumber, outboxEntryId: id, fileCount: storedFiles.length, source });
+  return getEntry(id);
+}
+
+/**
+ * Get a single outbox entry
+ * @param {string} id - outbox entry ID
+ * @returns {object|null} outbox entry
+ */
+export function getEntry(id) {
+  const row = getDb().prepare('SELECT * FROM outbox_entries WHERE id = ?').get(id);
+  return row ? toEntry(row) : null;
+}
+
+/**
+ * Get the most recent outbox entry for a reference number
+ * @param {string} referenceNumber - NHBRC reference number; a property's reference finds its submission
+ * @returns {object|null} outbox entry
+ */
+export function findEntryByReference(referenceNumber) {
+  const row = getDb().prepare('SELECT * FROM outbox_entries WHERE reference_number = ? ORDER BY created_at DESC LIMIT 1')
+    .get(getParentReference(referenceNumber));
+  return row ? toEntry(row) : null;
+}
+
+/**
+ * List outbox entries, newest first
+ * @param {object} [filter]
+ * @param {string} [filter.status] - only entries in this status
+ * @param {number} [filter.limit] - maximum number of entries
+ * @returns {Array<object>} outbox entries
+ */
+export function listEntries({ status, limit = 50 } = {}) {
+  const rows = status
+    ? getDb().prepare('SELECT * FROM outbox_entries WHERE status = ? ORDER BY created_at DESC LIMIT ?').all(status, limit)
+    : getDb().prepare('SELECT * FROM outbox_entries ORDER BY created_at DESC LIMIT ?').all(limit);
+  return rows.map(toEntry);
+}
+
+/**
+ * Reference numbers of submissions that are still being delivered
+ * @returns {Set<string>} reference numbers of pending and processing entries
+ */
+export function getInFlightReferences() {
+  const rows = getDb().prepare('SELECT DISTINCT reference_number FROM outbox_entries WHERE status IN (?, ?)')
+    .all(OUTBOX_STATUS.PENDING, OUTBOX_STATUS.PROCESSING);
+  return new Set(rows.map(row => row.reference_number));
+}
+
+/**
+ * Put a dead (or pending) entry back in the queue for immediate delivery
+ * @param {string} id - outbox entry ID
+ * @returns {object|null} updated entry, or null if not found
+ */
+export function replayEntry(id) {
+  const entry = getEntry(id);
+  if (!entry) return null;
+
+  if (entry.status === OUTBOX_STATUS.DELIVERED || entry.status === OUTBOX_STATUS.PROCESSING) {
+    throw new Error(`Outbox entry ${id} is ${entry.status} and cannot be replayed`);
+  }
+
+  const now = new Date().toISOString();
+  getDb().prepare(`
+    UPDATE outbox_entries SET status = ?, attempts = 0, next_attempt_at = ?, updated_at = ? WHERE id = ?
+  `).run(OUTBOX_STATUS.PENDING, now, now, id);
+
+  logger.info('Replaying outbox entry', { outboxEntryId: id, referenceNumber: entry.referenceNumber });
+  kickOutbox();
+  return getEntry(id);
+}
+
+/**
+ * Replace documents that failed to reach storage with new uploads and deliver the submission again.
+ * Documents that did arrive are not uploaded again, and the existing record is updated instead of a new one created.
+ * @param {string} id - outbox entry ID
+ * @param {Array<{index: number, file: object}>} replacements - position of the failed document and the new file on disk (moved into the outbox)
+ * @returns {Promise<object>} updated entry
+ */
+export async function resubmitFailedFiles(id, replacements) {
+  const entry = getEntry(id);
+  if (!entry) throw createError(`Outbox entry ${id} not found`, 404);
+  if (entry.status !== OUTBOX_STATUS.DELIVERED) {
+    throw createError('This submission is still being processed. Please try again once it has finished.', 409);
+  }
+
+  const fileResults = entry.result.fileResults || [];
+  for (const { index } of replacements) {
+    if (fileResults[index]?.status !== FILE_RESULT_STATUS.FAILED) {
+      throw createError(`Document ${index + 1} of this submission did not fail and cannot be replaced`, 409);
+    }
+  }
+
+  const filesDir = getFilesDir(id);
+  await fs.promises.mkdir(filesDir, { recursive: true });
+
+  const files = [...entry.files];
+  for (const { index, file } of replacements) {
+    const filePath = path.join(filesDir, `${index}`);
+    const sha256 = file.sha256 || await hashFile(file.path);
+    await moveFile(file.path, filePath);
+    // The replacement is the same kind of document as the one it replaces
+    files[index] = { originalname: file.originalname, mimetype: file.mimetype, size: file.size, sha256, category: files[index].category, path: filePath };
+  }
+
+  // Documents that arrived keep their stored file; only the replaced ones are uploaded
+  const progress = {
+    itemId: entry.result.itemId,
+    ...(entry.result.itemIds && { itemIds: entry.result.itemIds }),
+    uploadSessions: toUploadSessions(fileResults)
+  };
+
+  const now = new Date().toISOString();
+  getDb().prepare(`
+    UPDATE outbox_entries SET status = ?, attempts = 0, next_attempt_at = ?, files = ?, progress = ?, last_error = NULL, updated_at = ? WHERE id = ?
+  `).run(OUTBOX_STATUS.PENDING, now, JSON.stringify(files), JSON.stringify(progress), now, id);
+
+  logger.info('Queued replacement documents', { referenceNumber: entry.referenceNumber, outboxEntryId: id, fileCount: replacements.length });
+  kickOutbox();
+  return getEntry(id);
+}
+
+/**
+ * Claim an entry for delivery; only one worker can win the claim
+ * @param {string} id - outbox entry ID
+ * @returns {boolean} true if this worker now owns the entry
+ */
+function claimEntry(id) {
+  const result = getDb().prepare(`
+    UPDATE outbox_entries SET status = ?, updated_at = ? WHERE id = ? AND status = ?
+  `).run(OUTBOX_STATUS.PROCESSING, new Date().toISOString(), id, OUTBOX_STATUS.PENDING);
+  return result.changes === 1;
+}
+
+/**
+ * Upload session state that makes the next delivery keep the stored documents and upload the rest
+ * @param {Array<object>} fileResults - per-file results of an earlier delivery
+ * @returns {object} upload session state per file index
+ */
+function toUploadSessions(fileResults) {
+  return Object.fromEntries(fileResults.map((result, index) => [
+    index,
+    result.status === FILE_RESULT_STATUS.UPLOADED
+      ? { fileName: result.storedName, path: result.path, webUrl: result.url, itemId: result.itemId }
+      : {}
+  ]));
+}
+
+function saveProgress(id, progress) {
+  getDb().prepare('UPDATE outbox_entries SET progress = ?, updated_at = ? WHERE id = ?')
+    .run(JSON.stringify(progress), new Date().toISOString(), id);
+}
+
+/**
+ * Push one entry to the storage backend: upload its files, then create (or, when documents were
+ * replaced after delivery, update) the list item of each property with the result of every file
+ * @param {object} entry - outbox entry
+ * @param {number} attempts - attempts including this one
+ * @returns {Promise<object>} delivery result (itemId of the first property, itemIds, fileResults)
+ */
+async function deliverEntry(entry, attempts) {
+  const storage = getStorage();
+  // Folder templates date documents by when the builder submitted, not when delivery succeeded
+  const formData = { ...entry.formData, referenceNumber: entry.referenceNumber, submittedAt: entry.createdAt };
+  const progress = { ...entry.progress };
+
+  // Entries queued before per-file results were recorded
+  if (progress.uploadedFileUrls && !progress.fileResults) {
+    progress.fileResults = progress.uploadedFileUrls.map((url, index) => ({ name: entry.files[index]?.originalname, status: FILE_RESULT_STATUS.UPLOADED, url }));
+  }
+
+  // Files that were uploaded on an earlier attempt are not uploaded again,
+  // and a partly uploaded file continues from its saved upload session
+  if (!progress.fileResults) {
+    progress.uploadSessions = progress.uploadSessions || {};
+
+    const fileResults = await storage.storeFiles(entry.files, formData, entry.province, {
+      uploadSessions: progress.uploadSessions,
+      onSessionChange: () => saveProgress(entry.id, progress)
+    });
+
+    // Failures that may pass later (throttling, outages) are retried; on the last attempt, or when
+    // storage refused a file outright, the submission is saved with those files marked as failed
+    const retryable = fileResults.filter(result => result.retryable);
+    if (retryable.length > 0 && attempts < MAX_ATTEMPTS) {
+      saveProgress(entry.id, progress);
+      throw createError(`${retryable.length} of ${fileResults.length} file(s) failed to upload: ${retryable.map(result => result.reason).join('; ')}`, 502);
+    }
+
+    progress.fileResults = fileResults.map(({ retryable: _retryable, ...result }) => result);
+    delete progress.uploadSessions;
+    saveProgress(entry.id, progress);
+  }
+
+  // Every property shares the documents. Items created on an earlier attempt are updated, not created again.
+  const itemIds = progress.itemIds || (progress.itemId ? [progress.itemId] : []);
+  for (const [index, property] of buildPropertyRecords(formData).entries()) {
+    const record = { ...property, fileResults: progress.fileResults };
+    if (itemIds[index]) {
+      await storage.updateRecord(itemIds[index], record, entry.province);
+    } else {
+      const savedItem = await storage.createRecord(record, entry.province);
+      itemIds[index] = savedItem.id;
+      progress.itemId = itemIds[0];
+      progress.itemIds = itemIds;
+      saveProgress(entry.id, progress);
+    }
+  }
+
+  return { itemId: itemIds[0], itemIds, fileResults: progress.fileResults };
+}
+
+/**
+ * Compensate a delivery that was given up on after its documents were uploaded: with no record
+ * pointing at them, the documents are quarantined or deleted (DELIVERY_COMPENSATION) rather than
+ * left in the library. The discarded documents are taken out of the upload progress, so a replay
+ * uploads them again. Documents that cannot be discarded stay in it and are left for the orphan sweep.
+ * @param {object} entry - outbox entry that has just gone dead
+ * @returns {Promise<void>}
+ */
+async function compensateDelivery(entry) {
+  const progress = getEntry(entry.id).progress;
+  // The record exists and lists its documents
+  if (progress.itemId) return;
+
+  const uploaded = progress.fileResults
+    ? progress.fileResults.filter(result => result.status === FILE_RESULT_STATUS.UPLOADED)
+    : Object.values(progress.uploadSessions || {}).filter(session => session.webUrl);
+  if (uploaded.length === 0) return;
+
+  const fields = { referenceNumber: entry.referenceNumber, outboxEntryId: entry.id, mode: COMPENSATION_MODE };
+  const paths = uploaded.map(file => file.path).filter(Boolean);
+  if (paths.length < uploaded.length) {
+    // Uploaded before paths were recorded
+    logger.warn('Some uploaded documents have no recorded path and were left for the orphan sweep', { ...fields, count: uploaded.length - paths.length });
+  }
+
+  try {
+    const outcomes = await getStorage().discardFiles(paths, entry.province, { mode: COMPENSATION_MODE, referenceNumber: entry.referenceNumber });
+    const failed = outcomes.filter(outcome => !outcome.done);
+    const discarded = outcomes.filter(outcome => outcome.done).map(outcome => outcome.path);
+
+    const { fileResults, uploadSessions = {}, ...rest } = progress;
+    const sessions = fileResults ? toUploadSessions(fileResults) : uploadSessions;
+    saveProgress(entry.id, {
+      ...rest,
+      uploadSessions: Object.fromEntries(Object.entries(sessions).map(([index, session]) => [index, discarded.includes(session.path) ? {} : session])),
+      compensation: {
+        mode: COMPENSATION_MODE,
+        at: new Date().toISOString(),
+        discarded,
+        failed: failed.map(({ path: filePath, error }) => ({ path: filePath, error }))
+      }
+    });
+
+    if (failed.length > 0) {
+      logger.error('Could not discard every document of an abandoned delivery', { ...fields, discarded: outcomes.length - failed.length, failed: failed.length });
+    } else {
+      logger.info('Discarded documents of an abandoned delivery', { ...fields, discarded: outcomes.length });
+    }
+  } catch (error) {
+    logger.error('Compensating an abandoned delivery failed', { ...fields, error });
+  }
+}
+
+/**
+ * Email the builder their confirmation. A mail failure is logged but never undoes or retries the delivery.
+ * @param {object} entry - delivered outbox entry
+ * @returns {Promise<void>}
+ */
+async function sendConfirmation(entry) {
+  try {
+    const sent = await sendConfirmationEmail({
+      referenceNumber: entry.referenceNumber,
+      province: entry.province,
+      formData: entry.formData,
+      files: entry.files,
+      submittedAt: entry.createdAt
+    });
+    if (sent && !sent.skipped) {
+      logger.info('Confirmation email sent', { referenceNumber: entry.referenceNumber });
+    }
+  } catch (error) {
+    logger.warn('Confirmation email failed', { referenceNumber: entry.referenceNumber, error });
+  }
+}
+
+// Deliveries log under the correlation ID of the request that queued them
+function processEntry(entry) {
+  return runWithCorrelationId(entry.correlationId || createCorrelationId(), () => {
+    redactSubmissionValues(entry.formData);
+    return attemptDelivery(entry);
+  });
+}
+
+async function attemptDelivery(entry) {
+  if (!claimEntry(entry.id)) return;
+
+  const attempts = entry.attempts + 1;
+
+  try {
+    const result = await deliverEntry(entry, attempts);
+    const now = new Date().toISOString();
+
+    getDb().prepare(`
+      UPDATE outbox_entries SET status = ?, attempts = ?, result = ?, last_error = NULL, updated_at = ?, delivered_at = ? WHERE id = ?
+    `).run(OUTBOX_STATUS.DELIVERED, attempts, JSON.stringify(result), now, now, entry.id);
+
+    await fs.promises.rm(getFilesDir(entry.id), { recursive: true, force: true });
+    const failed = result.fileResults.filter(file => file.status !== FILE_RESULT_STATUS.UPLOADED).length;
+    logger.info('Delivered submission', { referenceNumber: entry.referenceNumber, outboxEntryId: entry.id, itemId: result.itemId, attempts, failedFiles: failed });
+
+    // Replacement documents update a submission the builder was already told about. Imported
+    // enrolments are not confirmed one by one: the staff member who imported them has the results file.
+    if (!entry.result && entry.source !== SUBMISSION_SOURCE.IMPORT) {
+      await sendConfirmation(entry);
+    }
+  } catch (error) {
+    // While a province's circuit is open nothing was attempted, so the entry waits for it
+    // without using up an attempt
+    if (error.code === 'circuitOpen') {
+      getDb().prepare(`
+        UPDATE outbox_entries SET status = ?, next_attempt_at = ?, last_error = ?, updated_at = ? WHERE id = ?
+      `).run(OUTBOX_STATUS.PENDING, new Date(error.retryAt).toISOString(), error.message, new Date().toISOString(), entry.id);
+      logger.warn('Delivery paused while SharePoint is unavailable', { referenceNumber: entry.referenceNumber, outboxEntryId: entry.id, nextAttemptAt: new Date(error.retryAt).toISOString() });
+      return;
+    }
+
+    const dead = attempts >= MAX_ATTEMPTS;
+    const nextAttemptAt = new Date(Date.now() + getBackoffDelay(attempts)).toISOString();
+
+    getDb().prepare(`
+      UPDATE outbox_entries SET status = ?, attempts = ?, next_attempt_at = ?, last_error = ?, updated_at = ? WHERE id = ?
+    `).run(dead ? OUTBOX_STATUS.DEAD : OUTBOX_STATUS.PENDING, attempts, nextAttemptAt, error.message, new Date().toISOString(), entry.id);
+
+    const fields = { referenceNumber: entry.referenceNumber, outboxEntryId: entry.id, attempts, error };
+    if (dead) {
+      logger.error('Outbox entry moved to dead-letter', fields);
+      await compensateDelivery(entry);
+    } else {
+      logger.warn('Delivery failed, will retry', { ...fields, maxAttempts: MAX_ATTEMPTS, nextAttemptAt });
+    }
+  }
+}
+
+/**
+ * Put entries back in the queue whose worker stopped (a crash or restart) without finishing them.
+ * A delivery in progress refreshes updated_at as it goes, so only an entry untouched for
+ * PROCESSING_LEASE_MS is taken back.
+ * @returns {number} number of entries recovered
+ */
+export function recoverExpiredLeases() {
+  const leaseExpiry = new Date(Date.now() - PROCESSING_LEASE_MS).toISOString();
+  const recovered = getDb().prepare('UPDATE outbox_entries SET status = ? WHERE status = ? AND updated_at < ?')
+    .run(OUTBOX_STATUS.PENDING, OUTBOX_STATUS.PROCESSING, leaseExpiry);
+  if (recovered.changes > 0) {
+    logger.info('Recovered interrupted outbox entries', { count: recovered.changes });
+  }
+  return recovered.changes;
+}
+
+/**
+ * Deliver every entry that is due, after recovering any whose lease has expired.
+ * Runs one drain at a time per process.
+ * @returns {Promise<void>}
+ */
+export async function drainOutbox() {
+  if (draining) return;
+  draining = true;
+
+  try {
+    recoverExpiredLeases();
+    const due = getDb().prepare(`
+      SELECT * FROM outbox_entries WHERE status = ? AND next_attempt_at <= ? ORDER BY next_attempt_at LIMIT 20
+    `).all(OUTBOX_STATUS.PENDING, new Date().toISOString());
+
+    for (const row of due) {
+      await processEntry(toEntry(row));
+    }
+  } catch (error) {
+    logger.error('Outbox drain failed', { error });
+  } finally {
+    draining = false;
+  }
+}
+
+/**
+ * Delete entries delivered more than RETENTION_DAYS ago, with any files still kept for them.
+ * The submission stays in storage; only its local copy (status details, receipts, document
+ * replacement) is gone.
+ * @returns {Promise<number>} number of entries removed
+ */
+export async function purgeDeliveredEntries() {
+  const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const expired = getDb().prepare('SELECT id FROM outbox_entries WHERE status = ? AND delivered_at <= ?')
+    .all(OUTBOX_STATUS.DELIVERED, cutoff);
+
+  let removed = 0;
+  for (const { id } of expired) {
+    // Documents replaced since the query put the entry back in the queue
+    const result = getDb().prepare('DELETE FROM outbox_entries WHERE id = ? AND status = ?').run(id, OUTBOX_STATUS.DELIVERED);
+    if (result.changes === 0) continue;
+    await fs.promises.rm(getFilesDir(id), { recursive: true, force: true });
+    removed += 1;
+  }
+
+  if (removed > 0) {
+    logger.info('Removed delivered outbox entries past retention', { count: removed, retentionDays: RETENTION_DAYS });
+  }
+  return removed;
+}
+
+/**
+ * Trigger a drain without waiting for the next poll
+ */
+export function kickOutbox() {
+  setImmediate(drainOutbox);
+}
+
+/**
+ * Start the background delivery worker and the hourly removal of delivered entries
+ */
+export function startOutboxWorker() {
+  if (workerTimer) return;
+
+  // Every poll also takes back entries left in processing by a crashed worker (recoverExpiredLeases)
+  workerTimer = setInterval(drainOutbox, POLL_INTERVAL_MS);
+  workerTimer.unref();
+  kickOutbox();
+
+  cleanupTimer = setInterval(() => {
+    purgeDeliveredEntries().catch(error => logger.error('Outbox cleanup failed', { error }));
+  }, 60 * 60 * 1000);
+  cleanupTimer.unref();
+}
@@ -0,0 +1,62 @@
+import { formatPropertyReference, getParentReference } from './referenceAllocator.js';
+
+/**
+ * A submission covers one or more properties of the same builder, each with its own address and
+ * competent person. Every property becomes a list item of its own and the documents are shared.
+ * A single property keeps the submission's reference; with more than one, each item gets a property
+ * reference (the submission's reference with "-01", "-02", ... appended) and records the submission's
+ * reference as its parent.
+ */
+
+/**
+ * The properties of a submission
+ * @param {object} formData - validated form fields; submissions queued before properties were captured
+ * separately have the one property's fields alongside the others
+ * @returns {Array<object>} property fields, one object per property
+ */
+export function getProperties(formData) {
+  return Array.isArray(formData.properties) ? formData.properties : [formData];
+}
+
+/**
+ * Reference number of each property's list item
+ * @param {string} referenceNumber - the submission's reference number
+ * @param {object} formData - validated form fields
+ * @returns {string[]} one reference per property
+ */
+export function getPropertyReferences(referenceNumber, formData) {
+  const count = getProperties(formData).length;
+  return count > 1
+    ? Array.from({ length: count }, (_, index) => formatPropertyReference(referenceNumber, index))
+    : [referenceNumber];
+}
+
+/**
+ * One record per property, for the list items: the shared fields, the property's own fields and its reference
+ * @param {object} formData - validated form fields with referenceNumber
+ * @returns {Array<object>} records; with several properties each has parentReference, propertyNumber and propertyCount
+ */
+export function buildPropertyRecords(formData) {
+  const { properties: _properties, ...shared } = formData;
+  const properties = getProperties(formData);
+  const references = getPropertyReferences(formData.referenceNumber, formData);
+
+  return properties.map((property, index) => ({
+    ...shared,
+    ...property,
+    referenceNumber: references[index],
+    ...(properties.length > 1 && { parentReference: formData.referenceNumber, propertyNumber: index + 1, propertyCount: properties.length })
+  }));
+}
+
+/**
+ * Reference of the list item to read for a looked-up reference. A submission of several properties has
+ * no item under its own reference, so its first property's item stands in for it.
+ * @param {string} referenceNumber - submission or property reference, as looked up
+ * @param {object} formData - the submission's form fields
+ * @returns {string} list item reference
+ */
+export function getItemReference(referenceNumber, formData) {
+  if (getParentReference(referenceNumber) !== referenceNumber) return referenceNumber;
+  return getPropertyReferences(referenceNumber, formData)[0];
+}
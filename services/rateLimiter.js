@@ -0,0 +1,53 @@
+/**
+ * Fixed-window request counters, kept in memory.
+ * The app runs as a single process, so counts are not shared between instances and reset on restart.
+ */
+const windows = new Map();
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+let sweepTimer;
+
+// Forget windows that have ended so idle clients do not pile up
+function startSweep() {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+}
+
+function getWindow(key, windowMs, now) {
+  let window = windows.get(key);
+  if (!window || window.resetAt <= now) {
+    window = { count: 0, resetAt: now + windowMs };
+    windows.set(key, window);
+  }
+  return window;
+}
+
+/**
+ * Count a request against a policy, unless the client or everyone together is already over quota
+ * @param {object} policy - name, windowMs, perIp and global (see config/rateLimits.js)
+ * @param {string} clientKey - client address
+ * @returns {object} allowed, scope ("client" or "global") when refused, limit, remaining and resetAt (ms)
+ */
+export function consumeQuota(policy, clientKey) {
+  startSweep();
+  const now = Date.now();
+  const client = getWindow(`${policy.name}:client:${clientKey}`, policy.windowMs, now);
+  const global = getWindow(`${policy.name}:global`, policy.windowMs, now);
+
+  if (client.count >= policy.perIp) {
+    return { allowed: false, scope: 'client', limit: policy.perIp, remaining: 0, resetAt: client.resetAt };
+  }
+  if (global.count >= policy.global) {
+    return { allowed: false, scope: 'global', limit: policy.global, remaining: 0, resetAt: global.resetAt };
+  }
+
+  client.count += 1;
+  global.count += 1;
+  return { allowed: true, limit: policy.perIp, remaining: policy.perIp - client.count, resetAt: client.resetAt };
+}
@@ -0,0 +1,163 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import PDFDocument from 'pdfkit';
+import { SUBMISSION_SCHEMA } from '../config/submissionSchema.js';
+import { getProperties, getPropertyReferences } from './properties.js';
+import { getCategoryLabel } from './storage/files.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const LOGO_PATH = path.join(__dirname, '..', 'public', 'Public', 'nbhrc_logo1.jpg');
+
+const PRIMARY_COLOR = '#2563eb';
+const MUTED_COLOR = '#64748b';
+const TEXT_COLOR = '#1e293b';
+
+/**
+ * Human readable file size
+ * @param {number} bytes - size in bytes
+ * @returns {string} formatted size
+ */
+export function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} bytes`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Document type and size, e.g. "Building plans, 1.2 MB"
+ * @param {object} file - received document (size, category)
+ * @returns {string} description
+ */
+export function formatFileDetails(file) {
+  return [file.category && getCategoryLabel(file.category), formatFileSize(file.size)].filter(Boolean).join(', ');
+}
+
+/**
+ * Format a timestamp in South African time
+ * @param {string} value - ISO timestamp
+ * @returns {string} formatted date and time
+ */
+export function formatReceiptDate(value) {
+  return new Date(value).toLocaleString('en-ZA', { timeZone: 'Africa/Johannesburg', dateStyle: 'long', timeStyle: 'short' });
+}
+
+function toRows(values, fieldNames) {
+  return fieldNames
+    .filter(name => values[name])
+    .map(name => ({ label: SUBMISSION_SCHEMA.fields[name].label, value: String(values[name]) }));
+}
+
+/**
+ * Every captured field shared by the submission's properties that has a value, labelled and ordered as in the submission schema
+ * @param {object} formData - submitted form fields
+ * @returns {Array<{label: string, value: string}>} receipt rows
+ */
+export function getReceiptRows(formData) {
+  const propertyFields = SUBMISSION_SCHEMA.properties.fields;
+  return toRows(formData, Object.keys(SUBMISSION_SCHEMA.fields).filter(name => !propertyFields.includes(name)));
+}
+
+/**
+ * The fields of each property, under a title that gives its reference when there is more than one
+ * @param {string} referenceNumber - the submission's reference number
+ * @param {object} formData - submitted form fields
+ * @returns {Array<{title: string, rows: Array}>} one section per property
+ */
+export function getPropertySections(referenceNumber, formData) {
+  const properties = getProperties(formData);
+  const references = getPropertyReferences(referenceNumber, formData);
+  return properties.map((property, index) => ({
+    title: properties.length > 1 ? `Property ${index + 1} of ${properties.length} (${references[index]})` : 'Property',
+    rows: toRows(property, SUBMISSION_SCHEMA.properties.fields)
+  }));
+}
+
+function drawSectionTitle(doc, title) {
+  doc.moveDown(1.2);
+  doc.font('Helvetica-Bold').fontSize(13).fillColor(PRIMARY_COLOR).text(title);
+  doc.moveTo(doc.page.margins.left, doc.y + 2)
+    .lineTo(doc.page.width - doc.page.margins.right, doc.y + 2)
+    .strokeColor('#e2e8f0')
+    .stroke();
+  doc.moveDown(0.6);
+}
+
+function drawRow(doc, label, value) {
+  const left = doc.page.margins.left;
+  const labelWidth = 170;
+  const valueWidth = doc.page.width - doc.page.margins.right - left - labelWidth;
+  const y = doc.y;
+
+  doc.font('Helvetica').fontSize(10).fillColor(MUTED_COLOR).text(label, left, y, { width: labelWidth - 10 });
+  const labelBottom = doc.y;
+  doc.font('Helvetica').fontSize(10).fillColor(TEXT_COLOR).text(value, left + labelWidth, y, { width: valueWidth });
+
+  doc.x = left;
+  doc.y = Math.max(labelBottom, doc.y) + 6;
+}
+
+/**
+ * Render the proof-of-submission PDF
+ * @param {object} submission
+ * @param {string} submission.referenceNumber - allocated reference number
+ * @param {string} submission.province - The selected province
+ * @param {object} submission.formData - submitted form fields
+ * @param {Array} submission.files - received documents (originalname, size, sha256, category)
+ * @param {string} submission.submittedAt - ISO timestamp the submission was received
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+export function buildReceiptPdf({ referenceNumber, province, formData, files = [], submittedAt }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 50,
+      info: { Title: `Submission receipt ${referenceNumber}`, Author: 'NHBRC' }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    // Header: logo and title
+    const left = doc.page.margins.left;
+    doc.image(LOGO_PATH, left, 40, { fit: [80, 65] });
+    doc.font('Helvetica-Bold').fontSize(18).fillColor(TEXT_COLOR).text('Home Builder Submission Receipt', left + 100, 50);
+    doc.font('Helvetica').fontSize(10).fillColor(MUTED_COLOR).text(`National Home Builders Registration Council - ${province} office`, left + 100, doc.y + 4);
+    doc.x = left;
+    doc.y = 125;
+
+    // Reference and timestamp
+    doc.font('Helvetica').fontSize(10).fillColor(MUTED_COLOR).text('Reference number');
+    doc.font('Helvetica-Bold').fontSize(22).fillColor(PRIMARY_COLOR).text(referenceNumber);
+    doc.moveDown(0.3);
+    doc.font('Helvetica').fontSize(10).fillColor(TEXT_COLOR)
+      .text(`Submitted on ${formatReceiptDate(submittedAt)} (${new Date(submittedAt).toISOString()})`);
+
+    drawSectionTitle(doc, 'Submission details');
+    getReceiptRows(formData).forEach(row => drawRow(doc, row.label, row.value));
+
+    getPropertySections(referenceNumber, formData).forEach(section => {
+      drawSectionTitle(doc, section.title);
+      section.rows.forEach(row => drawRow(doc, row.label, row.value));
+    });
+
+    drawSectionTitle(doc, `Documents (${files.length})`);
+    files.forEach((file, index) => {
+      doc.font('Helvetica-Bold').fontSize(10).fillColor(TEXT_COLOR)
+        .text(`${index + 1}. ${file.originalname}`, { continued: true })
+        .font('Helvetica').fillColor(MUTED_COLOR).text(`  ${formatFileDetails(file)}`);
+      if (file.sha256) {
+        doc.font('Courier').fontSize(8).fillColor(MUTED_COLOR).text(`SHA-256 ${file.sha256}`, { indent: 14 });
+      }
+      doc.moveDown(0.5);
+    });
+
+    doc.moveDown(1.5);
+    doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR).text(
+      'This receipt confirms that the NHBRC received the submission above. The SHA-256 hashes identify the exact documents received; ' +
+      `a copy of a document can be checked against its hash. Generated ${formatReceiptDate(new Date().toISOString())}.`
+    );
+
+    doc.end();
+  });
+}
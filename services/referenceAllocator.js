@@ -0,0 +1,276 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { openDatabase } from './database.js';
+import { getProvince, PROVINCES } from '../config/provinces.js';
+import { logger } from './logger.js';
+import { createError } from './errors.js';
+
+const PREFIX = 'NHBRC';
+// Appended to a submission's reference for each of its properties, when it has more than one
+const PROPERTY_SUFFIX = /-\d{2}$/;
+const LEGACY_COUNTER_FILE = path.join(process.cwd(), 'counter.json');
+const LEGACY_START = 10000;
+
+// global | province | year | province-year
+const SEQUENCE_SCOPE = (process.env.REFERENCE_SEQUENCE_SCOPE || 'global').toLowerCase();
+const RESERVATION_TTL_MS = (Number(process.env.REFERENCE_RESERVATION_TTL_MINUTES) || 60) * 60 * 1000;
+
+// Damm algorithm quasigroup: catches every single-digit error and every adjacent transposition
+const DAMM_TABLE = [
+  [0, 3, 1, 7, 5, 9, 8, 6, 4, 2],
+  [7, 0, 9, 2, 1, 5, 4, 8, 6, 3],
+  [4, 2, 0, 6, 8, 7, 1, 3, 5, 9],
+  [1, 7, 5, 0, 9, 8, 3, 4, 2, 6],
+  [6, 1, 2, 3, 0, 4, 5, 9, 7, 8],
+  [3, 6, 7, 4, 2, 0, 9, 5, 8, 1],
+  [5, 8, 6, 9, 7, 2, 0, 1, 3, 4],
+  [8, 9, 4, 5, 3, 6, 2, 0, 1, 7],
+  [9, 4, 3, 8, 6, 1, 7, 2, 0, 5],
+  [2, 5, 8, 1, 4, 3, 6, 7, 9, 0]
+];
+
+let db;
+
+function getDb() {
+  if (!db) {
+    db = openDatabase('references.db');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS reference_sequences (
+        scope TEXT PRIMARY KEY,
+        last_value INTEGER NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS reference_reservations (
+        reference_number TEXT PRIMARY KEY,
+        token TEXT NOT NULL UNIQUE,
+        scope TEXT NOT NULL,
+        province TEXT,
+        status TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        confirmed_at TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_reservations_expiry ON reference_reservations (scope, status, expires_at);
+    `);
+  }
+  return db;
+}
+
+/**
+ * Compute the Damm check digit for a string of digits
+ * @param {string} digits - digits to protect
+ * @returns {number} check digit
+ */
+export function computeCheckDigit(digits) {
+  let interim = 0;
+  for (const digit of digits) {
+    interim = DAMM_TABLE[interim][Number(digit)];
+  }
+  return interim;
+}
+
+/**
+ * Check that a reference number is well formed and its check digit matches.
+ * A property's reference is checked as the reference of its submission.
+ * @param {string} referenceNumber - reference number as typed by the builder
+ * @returns {boolean} true if the reference passes the check digit test
+ */
+export function isValidReference(referenceNumber) {
+  const match = /^NHBRC([A-Z]{2,3})?(\d+)$/.exec(getParentReference(String(referenceNumber || '').trim().toUpperCase()));
+  if (!match) return false;
+  if (match[1] && !PROVINCES.some(p => p.code === match[1])) return false;
+
+  // A valid number (including its check digit) always checks to 0
+  return computeCheckDigit(match[2]) === 0;
+}
+
+/**
+ * Numbers handed out before the allocator existed (NHBRC + five digits, no check digit)
+ * @param {string} referenceNumber - reference number
+ * @returns {boolean} true for a legacy reference
+ */
+export function isLegacyReference(referenceNumber) {
+  return /^NHBRC\d{5}$/.test(String(referenceNumber || '').trim().toUpperCase());
+}
+
+/**
+ * Reference number of one property of a submission that covers several: the submission's
+ * reference with "-01", "-02", ... appended
+ * @param {string} referenceNumber - the submission's reference number
+ * @param {number} index - 0-based position of the property
+ * @returns {string} property reference, e.g. NHBRCGP2026000157-02
+ */
+export function formatPropertyReference(referenceNumber, index) {
+  return `${referenceNumber}-${String(index + 1).padStart(2, '0')}`;
+}
+
+/**
+ * The submission a property reference belongs to
+ * @param {string} referenceNumber - submission or property reference number
+ * @returns {string} the submission's reference number (a submission reference is returned unchanged)
+ */
+export function getParentReference(referenceNumber) {
+  return String(referenceNumber || '').replace(PROPERTY_SUFFIX, '');
+}
+
+/**
+ * Work out which sequence a new reference comes from
+ * @param {string} [province] - The selected province
+ * @returns {object} scope key plus the parts that go into the reference
+ */
+function resolveScope(province) {
+  const byProvince = SEQUENCE_SCOPE === 'province' || SEQUENCE_SCOPE === 'province-year';
+  const byYear = SEQUENCE_SCOPE === 'year' || SEQUENCE_SCOPE === 'province-year';
+  const parts = {};
+
+  if (byProvince) {
+    const provinceEntry = getProvince(province);
+    if (!provinceEntry) {
+      throw createError('A valid province is required to reserve a reference number', 400);
+    }
+    parts.provinceCode = provinceEntry.code;
+  }
+
+  if (byYear) {
+    parts.year = String(new Date().getFullYear());
+  }
+
+  const key = [SEQUENCE_SCOPE, parts.provinceCode, parts.year].filter(Boolean).join(':');
+  return { key, ...parts };
+}
+
+function formatReference(scope, value) {
+  // The global sequence carries on from the legacy NHBRC10001-style numbers
+  const sequence = scope.key === 'global' ? String(value) : String(value).padStart(5, '0');
+  const digits = `${scope.year || ''}${sequence}`;
+  return `${PREFIX}${scope.provinceCode || ''}${digits}${computeCheckDigit(digits)}`;
+}
+
+function readLegacyCounter() {
+  try {
+    if (fs.existsSync(LEGACY_COUNTER_FILE)) {
+      const counter = JSON.parse(fs.readFileSync(LEGACY_COUNTER_FILE, 'utf8'));
+      return counter.lastReferenceNumber || LEGACY_START;
+    }
+  } catch (err) {
+    logger.error('Error reading legacy counter file', { error: err });
+  }
+  return LEGACY_START;
+}
+
+function nextSequenceValue(scopeKey) {
+  const row = getDb().prepare('SELECT last_value FROM reference_sequences WHERE scope = ?').get(scopeKey);
+  const start = scopeKey === 'global' ? readLegacyCounter() : 0;
+  const next = (row ? row.last_value : start) + 1;
+
+  getDb().prepare(`
+    INSERT INTO reference_sequences (scope, last_value) VALUES (?, ?)
+    ON CONFLICT(scope) DO UPDATE SET last_value = excluded.last_value
+  `).run(scopeKey, next);
+
+  return next;
+}
+
+/**
+ * Reserve a reference number for a builder who is filling in the form.
+ * Numbers from expired, never-confirmed reservations are handed out again, so abandoned forms do not burn the sequence.
+ * @param {object} [options]
+ * @param {string} [options.province] - The selected province (required for per-province sequences)
+ * @returns {object} referenceNumber, reservationToken and expiresAt
+ */
+export function reserveReference({ province } = {}) {
+  const scope = resolveScope(province);
+
+  const reserve = getDb().transaction(() => {
+    const now = new Date();
+    const nowIso = now.toISOString();
+    const token = crypto.randomUUID();
+    const expiresAt = new Date(now.getTime() + RESERVATION_TTL_MS).toISOString();
+
+    const expired = getDb().prepare(`
+      SELECT reference_number FROM reference_reservations
+      WHERE scope = ? AND status = 'reserved' AND expires_at < ?
+      ORDER BY expires_at LIMIT 1
+    `).get(scope.key, nowIso);
+
+    if (expired) {
+      getDb().prepare(`
+        UPDATE reference_reservations SET token = ?, province = ?, created_at = ?, expires_at = ? WHERE reference_number = ?
+      `).run(token, province || null, nowIso, expiresAt, expired.reference_number);
+      return { referenceNumber: expired.reference_number, reservationToken: token, expiresAt };
+    }
+
+    const referenceNumber = formatReference(scope, nextSequenceValue(scope.key));
+    getDb().prepare(`
+      INSERT INTO reference_reservations (reference_number, token, scope, province, status, created_at, expires_at)
+      VALUES (?, ?, ?, ?, 'reserved', ?, ?)
+    `).run(referenceNumber, token, scope.key, province || null, nowIso, expiresAt);
+
+    return { referenceNumber, reservationToken: token, expiresAt };
+  });
+
+  // IMMEDIATE takes the write lock up front, so concurrent processes queue instead of reading the same counter
+  return reserve.immediate();
+}
+
+/**
+ * Confirm a reservation when the form is submitted
+ * @param {object} reservation
+ * @param {string} reservation.referenceNumber - reserved reference number
+ * @param {string} reservation.reservationToken - token returned by reserveReference
+ * @param {string} reservation.province - The selected province
+ * @returns {string|null} the confirmed reference, or null if the reservation is unknown or expired
+ */
+export function confirmReservation({ referenceNumber, reservationToken, province }) {
+  const confirm = getDb().transaction(() => {
+    const row = getDb().prepare('SELECT * FROM reference_reservations WHERE token = ?').get(reservationToken);
+    if (!row || row.reference_number !== referenceNumber) return null;
+
+    if (row.status === 'confirmed') {
+      throw createError(`Reference ${referenceNumber} has already been submitted`, 409);
+    }
+
+    const now = new Date().toISOString();
+    if (row.expires_at < now) return null;
+
+    // A per-province number cannot be used for a different province
+    const scope = resolveScope(province);
+    if (scope.key !== row.scope) return null;
+
+    getDb().prepare(`
+      UPDATE reference_reservations SET status = 'confirmed', province = ?, confirmed_at = ? WHERE reference_number = ?
+    `).run(province, now, referenceNumber);
+
+    return referenceNumber;
+  });
+
+  return confirm.immediate();
+}
+
+/**
+ * Allocate and confirm a reference number in one step
+ * @param {object} options
+ * @param {string} options.province - The selected province
+ * @returns {string} confirmed reference number
+ */
+export function allocateReference({ province }) {
+  const { referenceNumber, reservationToken } = reserveReference({ province });
+  return confirmReservation({ referenceNumber, reservationToken, province });
+}
+
+/**
+ * Look up what the allocator knows about a reference number
+ * @param {string} referenceNumber - reference number; a property's reference gives its submission's details
+ * @returns {object|null} province, status and confirmation time
+ */
+export function getReferenceInfo(referenceNumber) {
+  const row = getDb().prepare('SELECT * FROM reference_reservations WHERE reference_number = ?').get(getParentReference(referenceNumber));
+  if (!row) return null;
+
+  return {
+    referenceNumber: row.reference_number,
+    province: row.province,
+    status: row.status,
+    confirmedAt: row.confirmed_at
+  };
+}
@@ -1,18 +1,31 @@
 import dotenv from 'dotenv';
+import fs from 'fs';
+import {
+  assertFileLimit,
+  buildStoredFileName,
+  DISCARD_MODE,
+  DOCUMENTS_FOLDER,
+  FALLBACK_FOLDER,
+  FILE_RESULT_STATUS,
+  getCategoryLabel,
+  getDocumentMetadata,
+  QUARANTINE_FOLDER
+} from './storage/files.js';
+import { buildListFields } from './storage/fields.js';
+import { buildDocumentFolder, buildFolderSegments } from './storage/folderLayout.js';
+import { PROVINCES } from '../config/provinces.js';
+import { logger } from './logger.js';
+import { getCachedId, invalidateProvince, recordWarmUp, setCachedId } from './sharepointCache.js';
+import { callGraph, graphBatch, isTransientGraphError } from './graphResilience.js';
 dotenv.config();
 
+// Circuit breaker name for the builder registry site
+const REGISTRY_CIRCUIT = 'Builder registry';
+
 // Map province names to environment variable keys
-const PROVINCE_MAPPING = {
-  'Eastern Cape': { site: 'EASTERN_CAPE', list: 'EASTERN_CAPE' },
-  'Free State': { site: 'FREE_STATE', list: 'FREE_STATE' },
-  'Gauteng': { site: 'GAUTENG', list: 'GAUTENG' },
-  'KwaZulu Natal': { site: 'KWAZULU_NATAL', list: 'KWAZULU_NATAL' },
-  'Limpopo': { site: 'LIMPOPO', list: 'LIMPOPO' },
-  'Mpumalanga': { site: 'MPUMALANGA', list: 'MPUMALANGA' },
-  'North West': { site: 'NORTH_WEST', list: 'NORTH_WEST' },
-  'Northern Cape': { site: 'NORTHERN_CAPE', list: 'NORTHERN_CAPE' },
-  'Western Cape': { site: 'WESTERN_CAPE', list: 'WESTERN_CAPE' }
-};
+const PROVINCE_MAPPING = Object.fromEntries(
+  PROVINCES.map(({ name, key }) => [name, { site: key, list: key }])
+);
 
 /**
  * Get SharePoint site URL and list name based on province
@@ -35,6 +48,36 @@ export function getSharePointConfig(province) {
   return { siteUrl, listName };
 }
 
+// Graph puts its error code and message in a JSON body
+function getGraphErrorDetails(error) {
+  if (!error.body) return undefined;
+  try {
+    return typeof error.body === 'string' ? JSON.parse(error.body) : error.body;
+  } catch {
+    return String(error.body);
+  }
+}
+
+/**
+ * Provinces with both a site and a list configured
+ * @returns {string[]} province names
+ */
+export function getConfiguredProvinces() {
+  return PROVINCES.map(p => p.name).filter(name => {
+    try {
+      getSharePointConfig(name);
+      return true;
+    } catch {
+      return false;
+    }
+  });
+}
+
+// Drive paths go into Graph URLs one encoded segment at a time
+function encodeDrivePath(drivePath) {
+  return drivePath.replace(/^\/|\/$/g, '').split('/').map(encodeURIComponent).join('/');
+}
+
 /**
  * Get SharePoint site ID for a specific province
  * @param {GraphClient} client - authenticated Microsoft Graph client
@@ -42,26 +85,46 @@ export function getSharePointConfig(province) {
  * @returns {Promise<string>} site ID
  */
 export async function getSiteId(client, province) {
+  const cached = getCachedId(province, 'site');
+  if (cached) return cached;
+
   const { siteUrl } = getSharePointConfig(province);
   
   const url = new URL(siteUrl);
   const hostname = url.hostname;
   const siteRelativePath = url.pathname;
 
-  console.log(`🔄 Looking for site: ${siteUrl}`);
+  logger.debug('Looking up site', { province, siteUrl });
   
   try {
     // Get site metadata (including site ID)
-    const site = await client.api(`/sites/${hostname}:${siteRelativePath}`).get();
-    console.log(`✅ Site ID for ${siteUrl} is ${site.id}`);
+    const site = await callGraph(province, () => client.api(`/sites/${hostname}:${siteRelativePath}`).get());
+    logger.debug('Found site', { province, siteId: site.id });
+    setCachedId(province, 'site', site.id);
     return site.id;
   } catch (error) {
-    console.error(`❌ Failed to find site: ${siteUrl}`);
-    console.error(`Error details:`, error.message);
+    logger.error('Site lookup failed', { province, siteUrl, error, details: getGraphErrorDetails(error) });
     throw error;
   }
 }
 
+/**
+ * Run Graph calls that use a province's cached site and list IDs. A 404 can mean a cached ID is
+ * stale (the site or list was recreated), so the cache is dropped and the calls retried once.
+ * @param {string} province - The selected province
+ * @param {Function} operation - async work that looks the IDs up itself
+ * @returns {Promise<*>} the operation's result
+ */
+async function withCachedIds(province, operation) {
+  try {
+    return await operation();
+  } catch (error) {
+    if (error.statusCode !== 404 || !invalidateProvince(province)) throw error;
+    logger.warn('Graph returned 404, refreshing cached site and list IDs', { province });
+    return operation();
+  }
+}
+
 /**
  * Create a folder in SharePoint if it doesn't exist
  * @param {GraphClient} client - authenticated Microsoft Graph client
@@ -79,21 +142,25 @@ export async function createFolder(client, siteId, parentFolderPath, folderName)
     // Check if folder already exists using the correct API format
     const checkPath = `/sites/${siteId}/drive/root:/${cleanParentPath}/${encodedFolderName}`;
     await client.api(checkPath).get();
-    console.log(`✅ Folder already exists: ${cleanParentPath}/${folderName}`);
+    logger.debug('Folder already exists', { folderPath: `${cleanParentPath}/${folderName}` });
     return `${cleanParentPath}/${folderName}`;
   } catch (error) {
     if (error.statusCode === 404) {
       // Folder doesn't exist, create it
-      console.log(`🔄 Creating folder: ${cleanParentPath}/${folderName}`);
       const createPath = `/sites/${siteId}/drive/root:/${cleanParentPath}:/children`;
       const folderData = {
         name: folderName,
         folder: {},
-        "@microsoft.graph.conflictBehavior": "rename"
+        "@microsoft.graph.conflictBehavior": "fail"
       };
       
-      await client.api(createPath).post(folderData);
-      console.log(`✅ Created folder: ${cleanParentPath}/${folderName}`);
+      try {
+        await client.api(createPath).post(folderData);
+        logger.info('Created folder', { folderPath: `${cleanParentPath}/${folderName}` });
+      } catch (createError) {
+        // Created by a concurrent delivery since the check
+        if (createError.statusCode !== 409) throw createError;
+      }
       return `${cleanParentPath}/${folderName}`;
     }
     throw error;
@@ -101,193 +168,584 @@ export async function createFolder(client, siteId, parentFolderPath, folderName)
 }
 
 /**
- * Upload a file to a specific folder in SharePoint
- * @param {Buffer} fileContent - raw file data buffer
+ * Create a folder path below an existing folder, one level at a time where needed
+ * @param {GraphClient} client - authenticated Microsoft Graph client
+ * @param {string} province - The selected province
+ * @param {string} siteId - SharePoint Site ID
+ * @param {string} parentFolderPath - existing parent folder path
+ * @param {string[]} folderNames - folder names, outermost first
+ * @returns {Promise<string>} - returns folder path
+ */
+async function createFolderPath(client, province, siteId, parentFolderPath, folderNames) {
+  const folderPath = [parentFolderPath, ...folderNames].join('/');
+  try {
+    await callGraph(province, () => client.api(`/sites/${siteId}/drive/root:/${encodeDrivePath(folderPath)}`).select('id').get());
+    return folderPath;
+  } catch (error) {
+    if (error.statusCode !== 404) throw error;
+  }
+
+  let currentPath = parentFolderPath;
+  for (const folderName of folderNames) {
+    currentPath = await callGraph(province, () => createFolder(client, siteId, currentPath, folderName));
+  }
+  return currentPath;
+}
+
+// Graph requires upload session chunks to be multiples of 320 KiB
+const UPLOAD_CHUNK_SIZE = 10 * 320 * 1024;
+
+/**
+ * Ask an upload session where to continue
+ * @param {string} uploadUrl - pre-authenticated upload session URL
+ * @returns {Promise<number|null>} next byte Graph expects, or null if the session has expired
+ */
+async function getUploadSessionOffset(uploadUrl) {
+  const response = await fetch(uploadUrl);
+  if (!response.ok) return null;
+
+  const session = await response.json();
+  const [nextRange] = session.nextExpectedRanges || ['0-'];
+  return Number(nextRange.split('-')[0]);
+}
+
+/**
+ * Upload a file to a specific folder in SharePoint through a Graph upload session.
+ * The file is streamed from disk in chunks, and an interrupted upload resumes where Graph stopped receiving.
+ * Creating the session and each chunk go through the province's retries and circuit breaker one call at a time.
+ * @param {string} filePath - file on disk
  * @param {string} fileName - file name with extension
  * @param {GraphClient} client - authenticated Microsoft Graph client
  * @param {string} siteId - SharePoint Site ID
  * @param {string} folderPath - folder path where file should be uploaded
+ * @param {object} options
+ * @param {string} options.province - The selected province
+ * @param {object} [options.session] - resumable state ({ uploadUrl }), updated in place; gets the drive item's itemId once uploaded
+ * @param {Function} [options.onSessionChange] - called whenever the session state changes, so it can be persisted
  * @returns {Promise<string>} - returns uploaded file webUrl
  */
-export async function uploadFileToSharePoint(fileContent, fileName, client, siteId, folderPath = 'Shared Documents') {
+export async function uploadFileToSharePoint(filePath, fileName, client, siteId, folderPath, { province, session = {}, onSessionChange = () => {} }) {
   const encodedFileName = encodeURIComponent(fileName);
   
   // Clean up the folder path
   const cleanFolderPath = folderPath.replace(/^\/|\/$/g, '').replace('Shared Documents/Shared Documents', 'Shared Documents');
   
-  const uploadPath = `/sites/${siteId}/drive/root:/${cleanFolderPath}/${encodedFileName}:/content`;
+  const sessionPath = `/sites/${siteId}/drive/root:/${encodeDrivePath(cleanFolderPath)}/${encodedFileName}:/createUploadSession`;
+  const { size } = await fs.promises.stat(filePath);
+  let offset = 0;
 
-  console.log(`Uploading file "${fileName}" to "${uploadPath}"`);
+  // Pick up a session left over from an earlier, interrupted attempt
+  if (session.uploadUrl) {
+    offset = await getUploadSessionOffset(session.uploadUrl);
+    if (offset === null) {
+      logger.info('Upload session expired, starting again', { fileName });
+      delete session.uploadUrl;
+      offset = 0;
+    } else {
+      logger.info('Resuming upload', { fileName, offset });
+    }
+  }
+
+  if (!session.uploadUrl) {
+    logger.debug('Creating upload session', { fileName, folderPath: cleanFolderPath, size });
+    const created = await callGraph(province, () => client.api(sessionPath).post({
+      item: { '@microsoft.graph.conflictBehavior': 'replace' }
+    }));
+    session.uploadUrl = created.uploadUrl;
+    onSessionChange(session);
+  }
+
+  const handle = await fs.promises.open(filePath, 'r');
+
+  // Send the chunk at the current offset. A repeated call first asks the session where to continue,
+  // as Graph may have stored the chunk before the connection failed.
+  let resuming = false;
+  const sendChunk = async () => {
+    if (resuming) {
+      offset = await getUploadSessionOffset(session.uploadUrl);
+      if (offset === null) {
+        delete session.uploadUrl;
+        onSessionChange(session);
+        throw new Error(`Upload session for "${fileName}" expired`);
+      }
+    }
+    resuming = true;
+
+    const length = Math.min(UPLOAD_CHUNK_SIZE, size - offset);
+    const chunk = Buffer.alloc(length);
+    await handle.read(chunk, 0, length, offset);
+
+    // The upload URL is pre-authenticated, so no Authorization header is sent
+    const response = await fetch(session.uploadUrl, {
+      method: 'PUT',
+      headers: { 'Content-Range': `bytes ${offset}-${offset + length - 1}/${size}` },
+      body: chunk
+    });
+    if (response.status !== 200 && response.status !== 201 && response.status !== 202) {
+      const error = new Error(`Chunk upload failed with HTTP ${response.status}`);
+      error.statusCode = response.status;
+      error.headers = response.headers;
+      throw error;
+    }
+    return response;
+  };
 
   try {
-    const response = await client.api(uploadPath).put(fileContent);
-    
-    const webUrl = response.webUrl || `https://nhbrcsa.sharepoint.com${response.parentReference.path}/${fileName}`;
-    
-    console.log(`✅ Uploaded file URL: ${webUrl}`);
-    return webUrl;
+    while (true) {
+      resuming = false;
+      const response = await callGraph(province, sendChunk);
+
+      if (response.status === 202) {
+        const progress = await response.json();
+        offset = Number(progress.nextExpectedRanges[0].split('-')[0]);
+        continue;
+      }
+
+      const driveItem = await response.json();
+      delete session.uploadUrl;
+      session.itemId = driveItem.id;
+      onSessionChange(session);
+
+      const webUrl = driveItem.webUrl || `https://nhbrcsa.sharepoint.com${driveItem.parentReference.path}/${fileName}`;
+      logger.info('Uploaded file', { fileName, size, webUrl });
+      return webUrl;
+    }
   } catch (error) {
-    console.error('❌ Error uploading file:', error);
+    logger.error('File upload failed', { fileName, error });
     throw error;
+  } finally {
+    await handle.close();
   }
 }
 
 /**
- * Save form data to the appropriate SharePoint list based on province
- * @param {object} formData - form fields + uploadedFileUrls
+ * Find the target SharePoint list for a province
  * @param {GraphClient} client - authenticated Microsoft Graph client
+ * @param {string} siteId - SharePoint Site ID
  * @param {string} province - The selected province
- * @returns {Promise<object>} - created list item response
+ * @returns {Promise<object>} list resource (id, name, displayName)
  */
-export async function saveToSharePoint(formData, client, province) {
-  const { listName } = getSharePointConfig(province);
-  const siteId = await getSiteId(client, province);
+export async function getList(client, siteId, province) {
+  const cached = getCachedId(province, 'list');
+  if (cached) return cached;
 
-  console.log(`Looking for list: "${listName}" on site: ${province}`);
+  const { listName } = getSharePointConfig(province);
 
   // Get all lists on the site to find target list by name
-  const lists = await client.api(`/sites/${siteId}/lists`).get();
+  const lists = await callGraph(province, () => client.api(`/sites/${siteId}/lists`).select('id,name,displayName').get());
+  return findTargetList(lists.value, province, listName);
+}
 
-  console.log('Available lists on site:');
-  lists.value.forEach(list => {
-    console.log(`- "${list.displayName}" (name: "${list.name}")`);
-  });
+// Find the province list by exact internal name match, and cache it
+function findTargetList(lists, province, listName) {
+  logger.debug('Looking up list', { province, listName, availableLists: lists.map(list => list.name) });
 
-  // Find list by exact internal name match
-  const targetList = lists.value.find(l => l.name === listName);
+  const targetList = lists.find(l => l.name === listName);
   
   if (!targetList) {
-    throw new Error(`List "${listName}" not found on site for province ${province}. Available lists: ${lists.value.map(l => `"${l.name}"`).join(', ')}`);
+    throw new Error(`List "${listName}" not found on site for province ${province}. Available lists: ${lists.map(l => `"${l.name}"`).join(', ')}`);
   }
 
-  console.log(`✅ Found list: "${targetList.displayName}" (ID: ${targetList.id})`);
+  logger.debug('Found list', { province, listName, listId: targetList.id });
+  setCachedId(province, 'list', targetList);
+  return targetList;
+}
 
+/**
+ * Save form data to the appropriate SharePoint list based on province
+ * @param {object} formData - form fields + fileResults
+ * @param {GraphClient} client - authenticated Microsoft Graph client
+ * @param {string} province - The selected province
+ * @returns {Promise<object>} - created list item response
+ */
+export async function saveToSharePoint(formData, client, province) {
   // Prepare fields to create the new list item
-  const fields = {
-    Title: formData.builderName,
-    ReferenceNumber: formData.referenceNumber,
-    Province: formData.province,
-    CompetentPerson: formData.competentPerson,
-    PropertyDetails: formData.propertyDetails,
-    RegistrationNumber: formData.registrationNumber,
-    CompanyName: formData.companyName,
-  };
+  const fields = buildListFields(formData);
+  const newItem = { fields };
 
-  // Add uploaded file URLs as a single string
-  if (formData.uploadedFileUrls && formData.uploadedFileUrls.length > 0) {
-    fields.Attachments = formData.uploadedFileUrls.join(', ');
-  }
+  return withCachedIds(province, async () => {
+    const siteId = await getSiteId(client, province);
+    const targetList = await getList(client, siteId, province);
+    const apiPath = `/sites/${siteId}/lists/${targetList.id}/items`;
 
-  const newItem = { fields };
-  const apiPath = `/sites/${siteId}/lists/${targetList.id}/items`;
+    // Only the column names are logged; the values are the builder's personal details
+    logger.debug('Creating list item', { province, listId: targetList.id, columns: Object.keys(fields) });
+
+    try {
+      const response = await callGraph(province, () => client.api(apiPath).post(newItem));
+      logger.info('Created list item', { province, listId: targetList.id, itemId: response.id });
+      return response;
+    } catch (error) {
+      logger.error('List item creation failed', { province, listId: targetList.id, error, details: getGraphErrorDetails(error) });
+      throw error;
+    }
+  });
+}
+
+/**
+ * Update the fields of an existing list item, e.g. once documents that failed have been uploaded
+ * @param {object} formData - form fields + fileResults
+ * @param {GraphClient} client - authenticated Microsoft Graph client
+ * @param {string} province - The selected province
+ * @param {string} itemId - list item ID
+ * @returns {Promise<object>} - updated fields
+ */
+export async function updateListItem(formData, client, province, itemId) {
+  const fields = buildListFields(formData);
 
-  console.log('Posting to:', apiPath);
-  console.log('Payload:', JSON.stringify(newItem, null, 2));
+  return withCachedIds(province, async () => {
+    const siteId = await getSiteId(client, province);
+    const targetList = await getList(client, siteId, province);
+
+    try {
+      const response = await callGraph(province, () => client
+        .api(`/sites/${siteId}/lists/${targetList.id}/items/${itemId}/fields`)
+        .patch(fields));
+      logger.info('Updated list item', { province, listId: targetList.id, itemId });
+      return response;
+    } catch (error) {
+      logger.error('List item update failed', { province, listId: targetList.id, itemId, error, details: getGraphErrorDetails(error) });
+      throw error;
+    }
+  });
+}
+
+/**
+ * Find a list item by its reference number
+ * @param {GraphClient} client - authenticated Microsoft Graph client
+ * @param {string} province - The selected province
+ * @param {string} referenceNumber - NHBRC reference number
+ * @returns {Promise<object|null>} - list item with expanded fields, or null if not found
+ */
+export async function findListItemByReference(client, province, referenceNumber) {
+  return withCachedIds(province, async () => {
+    const siteId = await getSiteId(client, province);
+    const targetList = await getList(client, siteId, province);
+
+    // ReferenceNumber is not an indexed column, so Graph needs the explicit opt-in header
+    const response = await callGraph(province, () => client
+      .api(`/sites/${siteId}/lists/${targetList.id}/items`)
+      .header('Prefer', 'HonorNonIndexedQueriesWarningMayFailRandomly')
+      .expand('fields')
+      .filter(`fields/ReferenceNumber eq '${referenceNumber.replace(/'/g, "''")}'`)
+      .top(1)
+      .get());
+
+    return response.value[0] || null;
+  });
+}
 
+/**
+ * List the items of a province list, newest first, optionally limited to a creation date range
+ * @param {GraphClient} client - authenticated Microsoft Graph client
+ * @param {string} province - The selected province
+ * @param {object} [options]
+ * @param {string} [options.from] - ISO timestamp, items created at or after it
+ * @param {string} [options.to] - ISO timestamp, items created before it
+ * @param {number} [options.limit] - maximum number of items to read
+ * @returns {Promise<Array>} list items with their fields
+ */
+export async function listListItems(client, province, { from, to, limit = 500 } = {}) {
+  return withCachedIds(province, async () => {
+    const siteId = await getSiteId(client, province);
+    const targetList = await getList(client, siteId, province);
+
+    const filters = [];
+    if (from) filters.push(`fields/Created ge '${from}'`);
+    if (to) filters.push(`fields/Created lt '${to}'`);
+
+    let request = client
+      .api(`/sites/${siteId}/lists/${targetList.id}/items`)
+      .header('Prefer', 'HonorNonIndexedQueriesWarningMayFailRandomly')
+      .expand('fields')
+      .top(200);
+    if (filters.length > 0) {
+      request = request.filter(filters.join(' and '));
+    }
+
+    // Graph pages through items oldest first, so every page is read before the newest are kept
+    const items = await readAllPages(client, province, await callGraph(province, () => request.get()));
+    return items
+      .sort((a, b) => new Date(b.createdDateTime) - new Date(a.createdDateTime))
+      .slice(0, limit);
+  });
+}
+
+/**
+ * Describe an uploaded document in the library's own columns, so reviewers can filter and verify
+ * documents in SharePoint. The columns are optional: if the library lacks them the upload still counts.
+ * @param {GraphClient} client - authenticated Microsoft Graph client
+ * @param {string} province - The selected province
+ * @param {string} siteId - SharePoint Site ID
+ * @param {string} itemId - drive item ID of the document
+ * @param {object} file - uploaded file (originalname, mimetype, sha256, category)
+ * @param {string} referenceNumber - reference number of the submission
+ * @returns {Promise<boolean>} true if the columns were saved
+ */
+async function saveDocumentColumns(client, province, siteId, itemId, file, referenceNumber) {
+  const { mimeType, sha256, category } = getDocumentMetadata(file);
   try {
-    const response = await client.api(apiPath).post(newItem);
-    console.log('✅ Successfully created list item:', response.id);
-    return response;
+    await callGraph(province, () => client.api(`/sites/${siteId}/drive/items/${itemId}/listItem/fields`).patch({
+      ReferenceNumber: referenceNumber,
+      OriginalFileName: file.originalname,
+      DocumentCategory: getCategoryLabel(category),
+      FileHash: sha256,
+      MimeType: mimeType
+    }));
+    return true;
   } catch (error) {
-    console.error('❌ Failed to create list item:', error.message);
-    if (error.body) {
-      try {
-        const errorBody = JSON.parse(error.body);
-        console.error('❌ Error details:', errorBody);
-      } catch (e) {
-        console.error('❌ Raw error:', error.body);
-      }
-    }
-    throw error;
+    if (error.code === 'circuitOpen') throw error;
+    logger.warn('Could not save the document columns, check that the library has them', { province, itemId, error, details: getGraphErrorDetails(error) });
+    return false;
   }
 }
 
+// Builder-facing reason for a failed upload; the full error is only logged
+function describeUploadFailure(error) {
+  if (isTransientGraphError(error)) return 'SharePoint was unavailable';
+  return error.statusCode ? `SharePoint did not accept the file (HTTP ${error.statusCode})` : 'The file could not be uploaded';
+}
+
 /**
- * Process file uploads with folder structure and limits
- * @param {Array} files - Array of uploaded files
+ * Process file uploads with folder structure and limits.
+ * Every file gets a result: uploaded (with its URL) or failed (with the reason, and whether a later
+ * attempt may succeed). Files that did upload are remembered in their session so the next attempt skips them.
+ * @param {Array} files - Array of uploaded files (originalname, size, path on disk)
  * @param {object} formData - Form data
  * @param {GraphClient} client - authenticated Microsoft Graph client
  * @param {string} province - The selected province
- * @returns {Promise<Array>} - Array of uploaded file URLs
+ * @param {object} [options]
+ * @param {object} [options.uploadSessions] - upload session state per file index, kept between attempts
+ * @param {Function} [options.onSessionChange] - called when any upload session changes
+ * @returns {Promise<Array>} - per-file results, in file order
  */
-export async function processFileUploads(files, formData, client, province) {
-  const siteId = await getSiteId(client, province);
-  const uploadedFileUrls = [];
+export async function processFileUploads(files, formData, client, province, { uploadSessions = {}, onSessionChange = () => {} } = {}) {
+  let siteId = await getSiteId(client, province);
   
   // Validate file limit (1-3 files)
-  if (files.length > 3) {
-    throw new Error('Maximum of 3 files allowed per submission');
-  }
+  assertFileLimit(files);
   
   if (files.length === 0) {
-    console.log('No files to upload');
+    logger.debug('No files to upload');
     return [];
   }
 
+  // Create the folders from the province's template: D1 Documents/{template}/
+  let targetFolder;
   try {
-    // Create folder structure: Shared Documents/Home Builders/{Builder Name}/
-const baseFolder = 'D1 Documents';
+    targetFolder = await createFolderPath(client, province, siteId, DOCUMENTS_FOLDER, buildFolderSegments(formData, province));
+  } catch (folderError) {
+    // A province whose site is down is not worked around; the delivery is retried later
+    if (folderError.code === 'circuitOpen') throw folderError;
 
-// Directly create builder folder under baseFolder
-const builderFolder = await createFolder(client, siteId, baseFolder, formData.builderName);
+    // Fallback: the same layout under Shared Documents, whose folders the upload creates
+    logger.warn('Folder creation failed, falling back to Shared Documents', { error: folderError });
+    targetFolder = buildDocumentFolder(formData, province, { fallback: true });
 
-    
-    // Upload each file to the builder's folder
-    for (const file of files) {
-      try {
-        console.log(`Uploading file: ${file.originalname}, size: ${file.size} bytes`);
-        
-        // Generate unique filename with reference number
-        const ext = file.originalname.split('.').pop();
-        const sanitizedName = formData.builderName.replace(/[^a-z0-9]/gi, '_').toLowerCase();
-        const newFileName = `${sanitizedName}_${formData.referenceNumber}_${Date.now()}.${ext}`;
-        
-        // Upload to the builder's specific folder
-        const fileUrl = await uploadFileToSharePoint(
-          file.buffer, 
-          newFileName, 
-          client, 
-          siteId, 
-          builderFolder
-        );
-        
-        uploadedFileUrls.push(fileUrl);
-        console.log(`✅ Successfully uploaded: ${newFileName}`);
-        
-      } catch (fileError) {
-        console.error(`❌ Failed to upload file ${file.originalname}:`, fileError);
-        // Continue with other files even if one fails
+    // The cached site ID may be stale
+    if (folderError.statusCode === 404 && invalidateProvince(province)) {
+      siteId = await getSiteId(client, province);
+    }
+  }
+
+  const failures = {};
+  for (const [index, file] of files.entries()) {
+    let session = uploadSessions[index] || (uploadSessions[index] = {});
+
+    // Uploaded on an earlier attempt
+    if (session.webUrl) {
+      if (session.itemId && !session.columnsSaved) {
+        session.columnsSaved = await saveDocumentColumns(client, province, siteId, session.itemId, file, formData.referenceNumber);
+        onSessionChange(session);
       }
+      continue;
     }
-  } catch (folderError) {
-    console.error('❌ Error creating folders:', folderError);
-    // Fallback: upload to Shared Documents directly
-    console.log('🔄 Falling back to Shared Documents folder');
-    
-    for (const file of files) {
-      try {
-        console.log(`Uploading file to Shared Documents: ${file.originalname}`);
-        const ext = file.originalname.split('.').pop();
-        const sanitizedName = formData.builderName.replace(/[^a-z0-9]/gi, '_').toLowerCase();
-        const newFileName = `${sanitizedName}_${formData.referenceNumber}_${Date.now()}.${ext}`;
-        
-        const fileUrl = await uploadFileToSharePoint(
-          file.buffer, 
-          newFileName, 
-          client, 
-          siteId, 
-          'Shared Documents'
-        );
-        
-        uploadedFileUrls.push(fileUrl);
-        console.log(`✅ Successfully uploaded to Shared Documents: ${newFileName}`);
-      } catch (fileError) {
-        console.error(`❌ Failed to upload file ${file.originalname}:`, fileError);
+
+    // A session opened for another folder does not apply here
+    if (session.folder && session.folder !== targetFolder) {
+      session = uploadSessions[index] = {};
+    }
+    session.folder = targetFolder;
+
+    try {
+      // Generate unique filename with reference number (kept when an upload resumes)
+      session.fileName = session.fileName || buildStoredFileName(formData, file.originalname);
+
+      // An upload resumes from its session, so a later attempt continues where this one stopped
+      session.webUrl = await uploadFileToSharePoint(file.path, session.fileName, client, siteId, targetFolder, { province, session, onSessionChange });
+      session.path = `${targetFolder}/${session.fileName}`;
+      onSessionChange(session);
+
+      if (session.itemId) {
+        session.columnsSaved = await saveDocumentColumns(client, province, siteId, session.itemId, file, formData.referenceNumber);
+        onSessionChange(session);
+      }
+    } catch (fileError) {
+      // Later files would only hit the same open circuit; the delivery waits for it to close
+      if (fileError.code === 'circuitOpen') throw fileError;
+
+      logger.error('File failed to upload', { fileName: file.originalname, error: fileError });
+      failures[index] = { reason: describeUploadFailure(fileError), retryable: isTransientGraphError(fileError) };
+    }
+  }
+
+  return files.map((file, index) => {
+    const session = uploadSessions[index];
+    return session.webUrl
+      ? {
+        name: file.originalname,
+        status: FILE_RESULT_STATUS.UPLOADED,
+        storedName: session.fileName,
+        path: session.path,
+        url: session.webUrl,
+        ...(session.itemId && { itemId: session.itemId }),
+        ...getDocumentMetadata(file)
+      }
+      : { name: file.originalname, status: FILE_RESULT_STATUS.FAILED, ...failures[index] };
+  });
+}
+
+/**
+ * Read every page of a Graph collection, starting from its first response
+ * @param {GraphClient} client - authenticated Microsoft Graph client
+ * @param {string} province - The selected province
+ * @param {object} response - first page
+ * @returns {Promise<Array>} items from all pages
+ */
+async function readAllPages(client, province, response) {
+  const items = [...response.value];
+  let page = response;
+  while (page['@odata.nextLink']) {
+    const nextLink = page['@odata.nextLink'];
+    page = await callGraph(province, () => client.api(nextLink).get());
+    items.push(...page.value);
+  }
+  return items;
+}
+
+/**
+ * Read every item of the national builder registry list (BUILDER_REGISTRY_SITE, BUILDER_REGISTRY_LIST).
+ * Its calls share one circuit breaker, kept apart from the province sites.
+ * @param {GraphClient} client - authenticated Microsoft Graph client
+ * @returns {Promise<Array<object>>} each item's fields
+ */
+export async function readBuilderRegistryList(client) {
+  const siteUrl = process.env.BUILDER_REGISTRY_SITE;
+  const listName = process.env.BUILDER_REGISTRY_LIST;
+  if (!siteUrl || !listName) {
+    throw new Error('BUILDER_REGISTRY_SITE and BUILDER_REGISTRY_LIST must be set to load the builder registry from SharePoint');
+  }
+
+  const url = new URL(siteUrl);
+  const site = await callGraph(REGISTRY_CIRCUIT, () => client.api(`/sites/${url.hostname}:${url.pathname}`).get());
+  const lists = await callGraph(REGISTRY_CIRCUIT, () => client.api(`/sites/${site.id}/lists`).select('id,name,displayName').get());
+  const list = lists.value.find(l => l.name === listName);
+  if (!list) {
+    throw new Error(`Builder registry list "${listName}" not found. Available lists: ${lists.value.map(l => `"${l.name}"`).join(', ')}`);
+  }
+
+  const firstPage = await callGraph(REGISTRY_CIRCUIT, () => client
+    .api(`/sites/${site.id}/lists/${list.id}/items`)
+    .expand('fields')
+    .top(999)
+    .get());
+  const items = await readAllPages(client, REGISTRY_CIRCUIT, firstPage);
+  return items.map(item => item.fields);
+}
+
+/**
+ * List the documents stored for a province: every file below D1 Documents and the Shared Documents
+ * fallback folder, at any depth of the folder layout. The quarantine folder is left out.
+ * Each level of folders is read in JSON batches.
+ * @param {GraphClient} client - authenticated Microsoft Graph client
+ * @param {string} province - The selected province
+ * @returns {Promise<Array>} files (path, name, size, createdAt)
+ */
+export async function listDocumentFiles(client, province) {
+  return withCachedIds(province, async () => {
+    const siteId = await getSiteId(client, province);
+    const files = [];
+    let folders = [DOCUMENTS_FOLDER, FALLBACK_FOLDER];
+
+    while (folders.length > 0) {
+      const responses = await graphBatch(client, province, folders.map((folder, index) => ({
+        id: String(index),
+        method: 'GET',
+        url: `/sites/${siteId}/drive/root:/${encodeDrivePath(folder)}:/children?$select=name,size,createdDateTime,file,folder`
+      })));
+
+      const subfolders = [];
+      for (const [index, folder] of folders.entries()) {
+        const response = responses.get(String(index));
+        // The fallback folder only exists once something has been uploaded to it
+        if (response?.status === 404) continue;
+        if (response?.status !== 200) {
+          throw new Error(`Listing "${folder}" returned HTTP ${response?.status}`);
+        }
+
+        for (const item of await readAllPages(client, province, response.body)) {
+          const itemPath = `${folder}/${item.name}`;
+          if (item.folder && itemPath !== QUARANTINE_FOLDER) {
+            subfolders.push(itemPath);
+          } else if (item.file) {
+            files.push({ path: itemPath, name: item.name, size: item.size, createdAt: item.createdDateTime });
+          }
+        }
       }
+      folders = subfolders;
     }
+    return files;
+  });
+}
+
+/**
+ * Take documents out of a province library: move them to the quarantine folder of their reference
+ * number, or delete them. A file that is already gone counts as done.
+ * @param {GraphClient} client - authenticated Microsoft Graph client
+ * @param {string} province - The selected province
+ * @param {string[]} paths - drive paths of the files, e.g. "D1 Documents/{folders from the template}/{stored name}"
+ * @param {object} options
+ * @param {string} options.mode - DISCARD_MODE.QUARANTINE or DISCARD_MODE.DELETE
+ * @param {string} options.referenceNumber - reference number the files belong to (quarantine subfolder)
+ * @returns {Promise<Array>} outcome per file (path, done, error)
+ */
+export async function discardDriveFiles(client, province, paths, { mode, referenceNumber }) {
+  if (paths.length === 0) return [];
+  const siteId = await getSiteId(client, province);
+
+  let quarantineFolderId;
+  if (mode === DISCARD_MODE.QUARANTINE) {
+    const [parentFolder, quarantineName] = [DOCUMENTS_FOLDER, QUARANTINE_FOLDER.split('/').pop()];
+    await callGraph(province, () => createFolder(client, siteId, parentFolder, quarantineName));
+    const folderPath = await callGraph(province, () => createFolder(client, siteId, QUARANTINE_FOLDER, referenceNumber));
+    const folder = await callGraph(province, () => client.api(`/sites/${siteId}/drive/root:/${encodeDrivePath(folderPath)}`).select('id').get());
+    quarantineFolderId = folder.id;
   }
 
-  return uploadedFileUrls;
+  const outcomes = [];
+  for (const filePath of paths) {
+    const itemPath = `/sites/${siteId}/drive/root:/${encodeDrivePath(filePath)}`;
+    try {
+      if (mode === DISCARD_MODE.DELETE) {
+        await callGraph(province, () => client.api(itemPath).delete());
+      } else {
+        await callGraph(province, () => client
+          .api(itemPath)
+          .query({ '@microsoft.graph.conflictBehavior': 'rename' })
+          .patch({ parentReference: { id: quarantineFolderId } }));
+      }
+      logger.info(mode === DISCARD_MODE.DELETE ? 'Deleted document' : 'Quarantined document', { province, referenceNumber, path: filePath });
+      outcomes.push({ path: filePath, done: true });
+    } catch (error) {
+      if (error.statusCode === 404) {
+        outcomes.push({ path: filePath, done: true });
+        continue;
+      }
+      logger.error('Could not discard document', { province, referenceNumber, path: filePath, mode, error, details: getGraphErrorDetails(error) });
+      outcomes.push({ path: filePath, done: false, error: error.message });
+    }
+  }
+  return outcomes;
 }
 
 // Add this function to debug site access
@@ -298,26 +756,76 @@ export async function testSiteAccess(client, province) {
     const hostname = url.hostname;
     const siteRelativePath = url.pathname;
 
-    console.log(`Testing access to: ${siteUrl}`);
-    console.log(`Hostname: ${hostname}`);
-    console.log(`Site path: ${siteRelativePath}`);
+    logger.info('Testing site access', { province, hostname, sitePath: siteRelativePath });
 
     // Test site access
     const site = await client.api(`/sites/${hostname}:${siteRelativePath}`).get();
-    console.log(`✅ Site found: ${site.webUrl}`);
-    console.log(`✅ Site ID: ${site.id}`);
+    logger.info('Site found', { province, siteId: site.id, webUrl: site.webUrl });
     
     return site;
   } catch (error) {
-    console.error(`❌ Site access error for ${province}:`, error.message);
-    if (error.body) {
+    logger.error('Site access test failed', { province, error, details: getGraphErrorDetails(error) });
+    throw error;
+  }
+}
+
+// Batches span all provinces, so they get a circuit breaker of their own
+const WARM_UP_BATCH_KEY = 'warm-up';
+
+/**
+ * Look up the site and list of every configured province ahead of the first submission
+ * @param {GraphClient} client - authenticated Microsoft Graph client
+ * @returns {Promise<object>} warm-up outcome (provinces that failed, with the error)
+ */
+export async function warmSharePointCache(client) {
+  const startedAt = new Date().toISOString();
+  const provinces = getConfiguredProvinces();
+
+  const failed = [];
+  const fail = (province, error) => failed.push({ province, error: error.message || error });
+
+  // Look the sites up together in JSON batches, then the lists of the sites that were found
+  const siteRequests = provinces.map((province, index) => {
+    const url = new URL(getSharePointConfig(province).siteUrl);
+    return { id: String(index), method: 'GET', url: `/sites/${url.hostname}:${url.pathname}?$select=id` };
+  });
+
+  let sites = [];
+  try {
+    const siteResponses = await graphBatch(client, WARM_UP_BATCH_KEY, siteRequests);
+    sites = provinces.flatMap((province, index) => {
+      const response = siteResponses.get(String(index));
+      if (response?.status !== 200) {
+        fail(province, `Site lookup returned HTTP ${response?.status}`);
+        return [];
+      }
+      setCachedId(province, 'site', response.body.id);
+      return [{ province, siteId: response.body.id }];
+    });
+
+    const listResponses = await graphBatch(client, WARM_UP_BATCH_KEY, sites.map(({ siteId }, index) => ({
+      id: String(index),
+      method: 'GET',
+      url: `/sites/${siteId}/lists?$select=id,name,displayName`
+    })));
+    sites.forEach(({ province }, index) => {
+      const response = listResponses.get(String(index));
       try {
-        const errorBody = JSON.parse(error.body);
-        console.error(`❌ Error details:`, errorBody);
-      } catch (e) {
-        console.error(`❌ Raw error:`, error.body);
+        if (response?.status !== 200) throw new Error(`List lookup returned HTTP ${response?.status}`);
+        findTargetList(response.body.value, province, getSharePointConfig(province).listName);
+      } catch (error) {
+        fail(province, error);
       }
+    });
+  } catch (error) {
+    // The batch itself failed; leave the remaining provinces to be looked up on first use
+    for (const province of provinces) {
+      if (!failed.some(item => item.province === province) && !getCachedId(province, 'list')) fail(province, error);
     }
-    throw error;
   }
-}
\ No newline at end of file
+
+  const outcome = { startedAt, finishedAt: new Date().toISOString(), provinces: provinces.length, failed };
+  recordWarmUp(outcome);
+  logger.info('Warmed SharePoint cache', { provinces: provinces.length, failed: failed.length });
+  return outcome;
+}
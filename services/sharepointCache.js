@@ -0,0 +1,70 @@
+/**
+ * Site and list IDs per province, so a submission does not look them up on every Graph call.
+ * Entries expire after SHAREPOINT_CACHE_TTL_MS (default 1 hour) and are dropped when Graph answers 404.
+ */
+const TTL_MS = Number(process.env.SHAREPOINT_CACHE_TTL_MS) || 60 * 60 * 1000;
+
+// province -> { site: { value, expiresAt }, list: { value, expiresAt } }
+const cache = new Map();
+
+// Outcome of the last warm-up: { startedAt, finishedAt, failed: [{ province, error }] }
+let lastWarmUp = null;
+
+/**
+ * Cached value for a province, or undefined if missing or expired
+ * @param {string} province - province name
+ * @param {string} key - "site" or "list"
+ * @returns {*} cached value
+ */
+export function getCachedId(province, key) {
+  const entry = cache.get(province)?.[key];
+  if (!entry) return undefined;
+  if (entry.expiresAt <= Date.now()) {
+    delete cache.get(province)[key];
+    return undefined;
+  }
+  return entry.value;
+}
+
+export function setCachedId(province, key, value) {
+  if (!cache.has(province)) cache.set(province, {});
+  cache.get(province)[key] = { value, expiresAt: Date.now() + TTL_MS };
+}
+
+/**
+ * Forget a province's site and list IDs
+ * @param {string} province - province name
+ * @returns {boolean} true if anything was cached
+ */
+export function invalidateProvince(province) {
+  const entry = cache.get(province);
+  cache.delete(province);
+  return Boolean(entry && (entry.site || entry.list));
+}
+
+export function recordWarmUp(result) {
+  lastWarmUp = result;
+}
+
+/**
+ * Cache contents for the health check
+ * @returns {object} TTL, last warm-up and the cached IDs per province
+ */
+export function getCacheStatus() {
+  const now = Date.now();
+  const provinces = {};
+
+  for (const [province, entry] of cache) {
+    const site = entry.site && entry.site.expiresAt > now ? entry.site : null;
+    const list = entry.list && entry.list.expiresAt > now ? entry.list : null;
+    if (!site && !list) continue;
+
+    provinces[province] = {
+      siteId: site ? site.value : null,
+      listId: list ? list.value.id : null,
+      expiresAt: new Date(Math.min(...[site, list].filter(Boolean).map(item => item.expiresAt))).toISOString()
+    };
+  }
+
+  return { ttlSeconds: TTL_MS / 1000, lastWarmUp, provinces };
+}
@@ -0,0 +1,119 @@
+import { FILE_RESULT_STATUS, getCategoryLabel, summariseFileResults } from './files.js';
+
+// Address parts and their list columns
+const ADDRESS_COLUMNS = {
+  standNumber: 'StandNumber',
+  streetAddress: 'StreetAddress',
+  suburb: 'Suburb',
+  city: 'City',
+  municipality: 'Municipality',
+  postalCode: 'PostalCode'
+};
+
+function fileNameFromUrl(url) {
+  return decodeURIComponent(url.split('/').pop());
+}
+
+/**
+ * Map form data onto the list columns used by every storage backend
+ * @param {object} formData - one property's record (see properties.js) + addressCheck (postal code outcome) + registryCheck (builder registry outcome) + fileResults (per-file upload results)
+ * @returns {object} list item fields
+ */
+export function buildListFields(formData) {
+  const fields = {
+    Title: formData.builderName,
+    ReferenceNumber: formData.referenceNumber,
+    Province: formData.province,
+    CompetentPerson: formData.competentPerson,
+    PropertyDetails: formData.propertyDetails,
+    RegistrationNumber: formData.registrationNumber,
+    CompanyName: formData.companyName,
+  };
+
+  // One of several properties submitted together: the submission's reference links them
+  if (formData.parentReference) {
+    fields.ParentReference = formData.parentReference;
+    fields.PropertyNumber = `${formData.propertyNumber} of ${formData.propertyCount}`;
+  }
+
+  // The address in parts, and whether its postal code belongs to the selected province
+  for (const [name, column] of Object.entries(ADDRESS_COLUMNS)) {
+    if (formData[name]) fields[column] = formData[name];
+  }
+  if (formData.addressCheck) {
+    fields.AddressCheck = formData.addressCheck.label;
+    if (formData.addressCheck.postalCodeProvince) fields.PostalCodeProvince = formData.addressCheck.postalCodeProvince;
+  }
+
+  // Outcome of the builder registry check when the submission was received
+  if (formData.registryCheck) {
+    fields.RegistryStatus = formData.registryCheck.label;
+    fields.RegistryCheckedAt = formData.registryCheck.checkedAt;
+  }
+
+  const fileResults = formData.fileResults || [];
+  if (fileResults.length > 0) {
+    // Every uploaded document with what reviewers need to find and verify it
+    const documents = fileResults
+      .filter(result => result.status === FILE_RESULT_STATUS.UPLOADED)
+      .map(({ name, storedName, size, mimeType, sha256, itemId, category, url }) => ({ name, storedName, size, mimeType, sha256, itemId, category, url }));
+    if (documents.length > 0) {
+      fields.Documents = JSON.stringify(documents);
+      // Plain text copy of the document types, for filtering the list
+      fields.DocumentCategories = [...new Set(documents.map(document => getCategoryLabel(document.category)))].join(', ');
+    }
+
+    // Which documents arrived, and why any did not
+    fields.UploadStatus = summariseFileResults(fileResults);
+    fields.UploadResults = JSON.stringify(fileResults.map(({ name, status, reason }) => ({ name, status, ...(reason && { reason }) })));
+  }
+
+  return fields;
+}
+
+/**
+ * Read the uploaded documents back from a list item. Items saved before document details were
+ * recorded only have Attachments, a comma-separated list of file URLs.
+ * @param {object} fields - list item fields
+ * @returns {Array} documents (name, storedName, size, mimeType, sha256, itemId, category, url); older items only have storedName and url
+ */
+export function parseDocuments(fields) {
+  if (fields.Documents) {
+    try {
+      return JSON.parse(fields.Documents);
+    } catch {
+      // Edited by hand in SharePoint; fall back to the attachments
+    }
+  }
+
+  return fields.Attachments
+    ? fields.Attachments.split(', ').map(url => ({ name: fileNameFromUrl(url), storedName: fileNameFromUrl(url), url }))
+    : [];
+}
+
+/**
+ * Read the per-file results back from a list item. Items saved before results were recorded
+ * only list the uploaded documents.
+ * @param {object} fields - list item fields
+ * @returns {Array} per-file results (name, status, reason)
+ */
+export function parseFileResults(fields) {
+  if (fields.UploadResults) {
+    try {
+      return JSON.parse(fields.UploadResults);
+    } catch {
+      // Edited by hand in SharePoint; fall back to the attachments
+    }
+  }
+
+  return parseDocuments(fields).map(({ name, url }) => ({ name, status: FILE_RESULT_STATUS.UPLOADED, url }));
+}
+
+/**
+ * Stored file names of the documents a list item links to
+ * @param {object} fields - list item fields
+ * @returns {string[]} file names, as found in the document library
+ */
+export function attachedFileNames(fields) {
+  return parseDocuments(fields).map(document => document.storedName).filter(Boolean);
+}
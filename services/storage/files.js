@@ -0,0 +1,122 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { SUBMISSION_SCHEMA } from '../../config/submissionSchema.js';
+
+// Shared file handling rules so every storage backend names and limits uploads the same way
+export const MAX_FILES_PER_SUBMISSION = SUBMISSION_SCHEMA.files.maxCount;
+export const DOCUMENTS_FOLDER = 'D1 Documents';
+export const FALLBACK_FOLDER = 'Shared Documents';
+// Documents taken out of circulation (abandoned deliveries, orphans), kept per reference number
+export const QUARANTINE_FOLDER = `${DOCUMENTS_FOLDER}/_Quarantine`;
+
+// What to do with documents that no record points to: move them to the quarantine folder, or delete them
+export const DISCARD_MODE = {
+  QUARANTINE: 'quarantine',
+  DELETE: 'delete'
+};
+
+// Outcome of each document in a submission: stored, failed on the way to storage, or refused by validation
+export const FILE_RESULT_STATUS = {
+  UPLOADED: 'uploaded',
+  FAILED: 'failed',
+  REJECTED: 'rejected'
+};
+
+/**
+ * Build the stored file name for an uploaded document
+ * @param {object} formData - Form data (builderName, referenceNumber)
+ * @param {string} originalName - file name as uploaded by the builder
+ * @returns {string} unique file name with the original extension
+ */
+export function buildStoredFileName(formData, originalName) {
+  const ext = originalName.split('.').pop();
+  // Kept short so the full path stays within SharePoint's limits
+  const sanitizedName = formData.builderName.replace(/[^a-z0-9]/gi, '_').toLowerCase().slice(0, 50);
+  return `${sanitizedName}_${formData.referenceNumber}_${Date.now()}.${ext}`;
+}
+
+/**
+ * Reference number embedded in a stored file name (see buildStoredFileName)
+ * @param {string} storedName - stored file name
+ * @returns {string|null} reference number, or null for files not named by this service
+ */
+export function referenceFromStoredName(storedName) {
+  const match = /_(NHBRC[A-Z0-9]+)_\d+\.[^.]+$/i.exec(storedName);
+  return match ? match[1].toUpperCase() : null;
+}
+
+/**
+ * Validate the number of files in a submission
+ * @param {Array} files - Array of uploaded files
+ */
+export function assertFileLimit(files) {
+  if (files.length > MAX_FILES_PER_SUBMISSION) {
+    throw new Error(`Maximum of ${MAX_FILES_PER_SUBMISSION} files allowed per submission`);
+  }
+}
+
+/**
+ * Compute the SHA-256 hash of a file without loading it into memory
+ * @param {string} filePath - file on disk
+ * @returns {Promise<string>} hex digest
+ */
+export async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
+
+/**
+ * Move a file, falling back to copy + delete across filesystems
+ * @param {string} from - current path
+ * @param {string} to - new path
+ * @returns {Promise<void>}
+ */
+export async function moveFile(from, to) {
+  await fs.promises.mkdir(path.dirname(to), { recursive: true });
+  try {
+    await fs.promises.rename(from, to);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    await fs.promises.copyFile(from, to);
+    await fs.promises.unlink(from);
+  }
+}
+
+/**
+ * Label of a document category, e.g. "Building plans"
+ * @param {string} category - category value
+ * @returns {string} label, or the value itself if it is not in the schema
+ */
+export function getCategoryLabel(category) {
+  return SUBMISSION_SCHEMA.files.categories.find(option => option.value === category)?.label || category;
+}
+
+/**
+ * What is recorded about every stored document, whatever the backend
+ * @param {object} file - file being stored (size, mimetype, sha256, category)
+ * @returns {object} size, mimeType, sha256 and category
+ */
+export function getDocumentMetadata(file) {
+  return {
+    size: file.size,
+    mimeType: file.mimetype,
+    sha256: file.sha256,
+    category: file.category || SUBMISSION_SCHEMA.files.defaultCategory
+  };
+}
+
+/**
+ * Short summary of per-file results, e.g. "2 of 3 documents uploaded"
+ * @param {Array} fileResults - per-file results (status)
+ * @returns {string} summary for the list item and status page
+ */
+export function summariseFileResults(fileResults) {
+  const uploaded = fileResults.filter(result => result.status === FILE_RESULT_STATUS.UPLOADED).length;
+  if (uploaded === fileResults.length) {
+    return fileResults.length === 1 ? 'Document uploaded' : `All ${fileResults.length} documents uploaded`;
+  }
+  return `${uploaded} of ${fileResults.length} document${fileResults.length === 1 ? '' : 's'} uploaded`;
+}
@@ -0,0 +1,134 @@
+import { getProvince, PROVINCES } from '../../config/provinces.js';
+import { DOCUMENTS_FOLDER, FALLBACK_FOLDER } from './files.js';
+
+/**
+ * Where a submission's documents go inside the document library. Each province has a folder path
+ * template (DOCUMENT_FOLDER_TEMPLATE_{PROVINCE KEY}, falling back to DOCUMENT_FOLDER_TEMPLATE),
+ * e.g. "{year}/{registrationNumber}/{referenceNumber}". Each placeholder value is cleaned of
+ * characters SharePoint does not allow in names, and the path is kept short enough for the
+ * library's URL limits.
+ */
+// One folder per submission, so a builder's documents from different applications never mix.
+// The older flat layout (one folder per builder name) needs DOCUMENT_FOLDER_TEMPLATE={builderName}.
+const DEFAULT_TEMPLATE = '{registrationNumber}/{referenceNumber}';
+
+// Characters SharePoint (and Windows) refuse in file and folder names, plus control characters
+const ILLEGAL_CHARACTERS = /["*:<>?/\\|#%\u0000-\u001f\u007f]/g;
+// Names SharePoint reserves
+const RESERVED_NAMES = /^(con|prn|aux|nul|com\d|lpt\d|desktop\.ini)$/i;
+// Used when a placeholder has no value, so a segment is never empty
+const EMPTY_SEGMENT = 'Unspecified';
+
+const MAX_SEGMENT_LENGTH = 80;
+// Leaves room under SharePoint's 400 character path limit for the site URL and the stored file name
+const MAX_FOLDER_PATH_LENGTH = 250 - Math.max(DOCUMENTS_FOLDER.length, FALLBACK_FOLDER.length) - 1;
+
+const TIME_ZONE = 'Africa/Johannesburg';
+
+const PLACEHOLDERS = {
+  builderName: ({ formData }) => formData.builderName,
+  companyName: ({ formData }) => formData.companyName,
+  registrationNumber: ({ formData }) => String(formData.registrationNumber || '').replace(/\s+/g, '').toUpperCase(),
+  referenceNumber: ({ formData }) => formData.referenceNumber,
+  province: ({ province }) => province,
+  provinceCode: ({ province }) => getProvince(province)?.code,
+  year: ({ date }) => datePart(date, { year: 'numeric' }),
+  month: ({ date }) => datePart(date, { month: '2-digit' })
+};
+
+function datePart(date, options) {
+  return new Intl.DateTimeFormat('en-ZA', { timeZone: TIME_ZONE, ...options }).format(date);
+}
+
+/**
+ * Make a value safe to use as one folder name
+ * @param {string} value - raw value
+ * @returns {string} folder name
+ */
+export function sanitiseFolderName(value) {
+  let name = String(value ?? '')
+    .normalize('NFC')
+    .replace(ILLEGAL_CHARACTERS, ' ')
+    .replace(/_vti_/gi, '_vti-')
+    .replace(/\s+/g, ' ')
+    .trim()
+    // Leading and trailing periods are not allowed; a leading underscore or "~$" marks service and temporary folders
+    .replace(/^[.\s_~$]+/, '')
+    .slice(0, MAX_SEGMENT_LENGTH)
+    .replace(/[.\s]+$/, '');
+
+  if (RESERVED_NAMES.test(name)) name = `${name} folder`;
+  return name || EMPTY_SEGMENT;
+}
+
+// Trim the longest names a character at a time until the whole path fits
+function fitPathLength(segments) {
+  const fitted = [...segments];
+  while (fitted.join('/').length > MAX_FOLDER_PATH_LENGTH) {
+    const longest = fitted.reduce((max, segment, index) => segment.length > fitted[max].length ? index : max, 0);
+    if (fitted[longest].length <= 1) break;
+    fitted[longest] = fitted[longest].slice(0, -1);
+  }
+  return fitted.map(sanitiseFolderName);
+}
+
+function parseTemplate(template, source) {
+  const segments = template.split('/').map(segment => segment.trim()).filter(Boolean);
+  if (segments.length === 0) {
+    throw new Error(`${source} is empty`);
+  }
+
+  for (const [, placeholder] of template.matchAll(/\{(\w+)\}/g)) {
+    if (!PLACEHOLDERS[placeholder]) {
+      throw new Error(`Unknown placeholder {${placeholder}} in ${source}. Expected one of: ${Object.keys(PLACEHOLDERS).map(name => `{${name}}`).join(', ')}`);
+    }
+  }
+  return segments;
+}
+
+/**
+ * Folder path template for a province
+ * @param {string} province - province name
+ * @returns {string} template, e.g. "{year}/{registrationNumber}/{referenceNumber}"
+ */
+export function getFolderTemplate(province) {
+  const key = getProvince(province)?.key;
+  return (key && process.env[`DOCUMENT_FOLDER_TEMPLATE_${key}`]) || process.env.DOCUMENT_FOLDER_TEMPLATE || DEFAULT_TEMPLATE;
+}
+
+/**
+ * Every province's template, checked for unknown placeholders (called at start-up)
+ * @returns {object} province -> template
+ */
+export function getFolderTemplates() {
+  return Object.fromEntries(PROVINCES.map(({ name, key }) => {
+    const template = getFolderTemplate(name);
+    parseTemplate(template, process.env[`DOCUMENT_FOLDER_TEMPLATE_${key}`] ? `DOCUMENT_FOLDER_TEMPLATE_${key}` : 'DOCUMENT_FOLDER_TEMPLATE');
+    return [name, template];
+  }));
+}
+
+/**
+ * Folder names for a submission's documents, from its province's template
+ * @param {object} formData - Form data (builderName, registrationNumber, referenceNumber, submittedAt, ...)
+ * @param {string} province - The selected province
+ * @returns {string[]} sanitised folder names, outermost first
+ */
+export function buildFolderSegments(formData, province) {
+  const context = { formData, province, date: new Date(formData.submittedAt || Date.now()) };
+  const segments = parseTemplate(getFolderTemplate(province), `the folder template for ${province}`)
+    .map(segment => sanitiseFolderName(segment.replace(/\{(\w+)\}/g, (match, placeholder) => PLACEHOLDERS[placeholder](context) ?? '')));
+  return fitPathLength(segments);
+}
+
+/**
+ * Library path of the folder for a submission's documents
+ * @param {object} formData - Form data
+ * @param {string} province - The selected province
+ * @param {object} [options]
+ * @param {boolean} [options.fallback] - under Shared Documents instead of D1 Documents
+ * @returns {string} folder path, e.g. "D1 Documents/2026/REG123/NHBRC100014"
+ */
+export function buildDocumentFolder(formData, province, { fallback = false } = {}) {
+  return [fallback ? FALLBACK_FOLDER : DOCUMENTS_FOLDER, ...buildFolderSegments(formData, province)].join('/');
+}
@@ -0,0 +1,49 @@
+import { createLocalStorage } from './localStorage.js';
+import { createSharePointStorage } from './sharepointStorage.js';
+
+/**
+ * A storage adapter persists submissions and their documents.
+ * Every backend exposes the same operations:
+ *
+ * - storeFiles(files, formData, province, options) -> Promise<object[]> per-file results
+ *   ({ name, status: 'uploaded', storedName, path, url, size, mimeType, sha256, category, itemId? }
+ *   or { name, status: 'failed', reason, retryable }); itemId is the drive item, where the backend has one;
+ *   path is the file's location in the document library, e.g. "D1 Documents/{folders from the template}/{stored name}";
+ *   files are read from file.path; options.uploadSessions carries per-file state between attempts,
+ *   and a file whose session already has a webUrl is not stored again
+ * - createRecord(formData, province) -> Promise<{ id, webUrl }> created record
+ * - updateRecord(id, formData, province) -> Promise<void> rewrites the fields of a record
+ * - findRecord(referenceNumber, province) -> Promise<object|null> record with its fields
+ * - listRecords(province, { from, to, limit }) -> Promise<object[]> records, newest first
+ * - listProvinces() -> Promise<string[]> provinces this backend stores submissions for
+ * - listStoredFiles(province) -> Promise<object[]> documents in the library ({ path, name, size, createdAt }),
+ *   quarantined documents excluded
+ * - discardFiles(paths, province, { mode, referenceNumber }) -> Promise<object[]> outcome per path
+ *   ({ path, done, error }); mode 'quarantine' moves the files to the quarantine folder of the reference number,
+ *   'delete' removes them
+ */
+const BACKENDS = {
+  sharepoint: createSharePointStorage,
+  local: createLocalStorage
+};
+
+let storage;
+
+/**
+ * Get the storage adapter selected by STORAGE_BACKEND (defaults to SharePoint)
+ * @returns {object} storage adapter
+ */
+export function getStorage() {
+  if (!storage) {
+    const backend = (process.env.STORAGE_BACKEND || 'sharepoint').toLowerCase();
+    const createBackend = BACKENDS[backend];
+
+    if (!createBackend) {
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}". Expected one of: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+
+    storage = createBackend();
+  }
+
+  return storage;
+}
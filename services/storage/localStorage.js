@@ -0,0 +1,199 @@
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { getDataDir, openDatabase } from '../database.js';
+import { PROVINCES } from '../../config/provinces.js';
+import {
+  assertFileLimit,
+  buildStoredFileName,
+  DISCARD_MODE,
+  DOCUMENTS_FOLDER,
+  FALLBACK_FOLDER,
+  FILE_RESULT_STATUS,
+  getDocumentMetadata,
+  moveFile,
+  QUARANTINE_FOLDER
+} from './files.js';
+import { buildListFields } from './fields.js';
+import { buildDocumentFolder } from './folderLayout.js';
+import { logger } from '../logger.js';
+
+/**
+ * Turn a stored row back into the record shape every adapter returns
+ * @param {object} row - list_items row
+ * @returns {object} record
+ */
+function toRecord(row) {
+  return {
+    id: String(row.id),
+    province: row.province,
+    referenceNumber: row.reference_number,
+    fields: JSON.parse(row.fields),
+    createdAt: row.created_at,
+    webUrl: null
+  };
+}
+
+/**
+ * Storage backend for offline use: list items go to SQLite, documents to the local disk
+ * @param {object} [options]
+ * @param {string} [options.rootDir] - directory holding the database and the documents
+ * @returns {object} storage adapter
+ */
+export function createLocalStorage({ rootDir = process.env.LOCAL_STORAGE_DIR || path.join(getDataDir(), 'local-storage') } = {}) {
+  const db = openDatabase(path.join(path.resolve(rootDir), 'submissions.db'));
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS list_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      province TEXT NOT NULL,
+      reference_number TEXT NOT NULL,
+      fields TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_list_items_reference ON list_items (reference_number);
+  `);
+
+  const insertItem = db.prepare(
+    'INSERT INTO list_items (province, reference_number, fields, created_at) VALUES (?, ?, ?, ?)'
+  );
+  const updateItem = db.prepare('UPDATE list_items SET fields = ? WHERE id = ?');
+  const selectByReference = db.prepare(
+    'SELECT * FROM list_items WHERE province = ? AND reference_number = ? ORDER BY id DESC LIMIT 1'
+  );
+
+  // Documents are laid out like the SharePoint library: documents/{province}/{drive path}
+  const provinceDir = province => path.join(path.resolve(rootDir), 'documents', province);
+
+  return {
+    name: 'local',
+
+    async storeFiles(files, formData, province, { uploadSessions = {} } = {}) {
+      assertFileLimit(files);
+
+      if (files.length === 0) {
+        logger.debug('No files to upload');
+        return [];
+      }
+
+      const folderPath = buildDocumentFolder(formData, province);
+      const folder = path.join(provinceDir(province), ...folderPath.split('/'));
+      await fs.promises.mkdir(folder, { recursive: true });
+
+      const fileResults = [];
+      for (const [index, file] of files.entries()) {
+        // Stored on an earlier attempt
+        const session = uploadSessions[index];
+        if (session?.webUrl) {
+          fileResults.push({ name: file.originalname, status: FILE_RESULT_STATUS.UPLOADED, storedName: session.fileName, path: session.path, url: session.webUrl, ...getDocumentMetadata(file) });
+          continue;
+        }
+
+        const storedName = buildStoredFileName(formData, file.originalname);
+        const filePath = path.join(folder, storedName);
+        try {
+          await fs.promises.copyFile(file.path, filePath);
+          fileResults.push({
+            name: file.originalname,
+            status: FILE_RESULT_STATUS.UPLOADED,
+            storedName,
+            path: `${folderPath}/${storedName}`,
+            url: pathToFileURL(filePath).href,
+            ...getDocumentMetadata(file)
+          });
+          logger.info('Stored file locally', { filePath });
+        } catch (error) {
+          logger.error('File failed to store', { fileName: file.originalname, error });
+          fileResults.push({ name: file.originalname, status: FILE_RESULT_STATUS.FAILED, reason: 'The file could not be stored', retryable: false });
+        }
+      }
+
+      return fileResults;
+    },
+
+    async createRecord(formData, province) {
+      const result = insertItem.run(
+        province,
+        formData.referenceNumber,
+        JSON.stringify(buildListFields(formData)),
+        new Date().toISOString()
+      );
+      logger.info('Created local list item', { province, itemId: result.lastInsertRowid });
+      return { id: String(result.lastInsertRowid), webUrl: null };
+    },
+
+    async updateRecord(id, formData, province) {
+      updateItem.run(JSON.stringify(buildListFields(formData)), id);
+      logger.info('Updated local list item', { province, itemId: id });
+    },
+
+    async findRecord(referenceNumber, province) {
+      const row = selectByReference.get(province, referenceNumber);
+      return row ? toRecord(row) : null;
+    },
+
+    async listRecords(province, { from, to, limit = 500 } = {}) {
+      const rows = db.prepare(`
+        SELECT * FROM list_items
+        WHERE province = ? AND created_at >= ? AND created_at < ?
+        ORDER BY created_at DESC, id DESC LIMIT ?
+      `).all(province, from || '', to || '9999', limit);
+      return rows.map(toRecord);
+    },
+
+    async listProvinces() {
+      return PROVINCES.map(p => p.name);
+    },
+
+    async listStoredFiles(province) {
+      const readDir = async dir => {
+        try {
+          return await fs.promises.readdir(path.join(provinceDir(province), dir), { withFileTypes: true });
+        } catch (error) {
+          if (error.code === 'ENOENT') return [];
+          throw error;
+        }
+      };
+
+      const files = [];
+      const folders = [DOCUMENTS_FOLDER, FALLBACK_FOLDER];
+      while (folders.length > 0) {
+        const folder = folders.shift();
+        for (const entry of await readDir(folder)) {
+          const entryPath = `${folder}/${entry.name}`;
+          if (entry.isDirectory() && entryPath !== QUARANTINE_FOLDER) {
+            folders.push(entryPath);
+          } else if (entry.isFile()) {
+            const stats = await fs.promises.stat(path.join(provinceDir(province), entryPath));
+            files.push({ path: entryPath, name: entry.name, size: stats.size, createdAt: stats.birthtime.toISOString() });
+          }
+        }
+      }
+      return files;
+    },
+
+    async discardFiles(paths, province, { mode, referenceNumber }) {
+      const outcomes = [];
+      for (const filePath of paths) {
+        const source = path.join(provinceDir(province), filePath);
+        try {
+          if (mode === DISCARD_MODE.DELETE) {
+            await fs.promises.unlink(source);
+          } else {
+            await moveFile(source, path.join(provinceDir(province), QUARANTINE_FOLDER, referenceNumber, path.basename(filePath)));
+          }
+          logger.info(mode === DISCARD_MODE.DELETE ? 'Deleted document' : 'Quarantined document', { province, referenceNumber, path: filePath });
+          outcomes.push({ path: filePath, done: true });
+        } catch (error) {
+          if (error.code === 'ENOENT') {
+            outcomes.push({ path: filePath, done: true });
+            continue;
+          }
+          logger.error('Could not discard document', { province, referenceNumber, path: filePath, mode, error });
+          outcomes.push({ path: filePath, done: false, error: error.message });
+        }
+      }
+      return outcomes;
+    }
+  };
+}
@@ -0,0 +1,74 @@
+import getGraphClient from '../../config/auth.js';
+import {
+  discardDriveFiles,
+  findListItemByReference,
+  getConfiguredProvinces,
+  listDocumentFiles,
+  listListItems,
+  processFileUploads,
+  saveToSharePoint,
+  updateListItem
+} from '../sharepoint.js';
+
+function toRecord(item, province) {
+  return {
+    id: item.id,
+    province,
+    referenceNumber: item.fields.ReferenceNumber,
+    fields: item.fields,
+    createdAt: item.createdDateTime,
+    webUrl: item.webUrl
+  };
+}
+
+/**
+ * Storage backend that writes list items and documents to the province SharePoint sites
+ * @returns {object} storage adapter
+ */
+export function createSharePointStorage() {
+  return {
+    name: 'sharepoint',
+
+    async storeFiles(files, formData, province, options) {
+      const client = await getGraphClient();
+      return processFileUploads(files, formData, client, province, options);
+    },
+
+    async createRecord(formData, province) {
+      const client = await getGraphClient();
+      const item = await saveToSharePoint(formData, client, province);
+      return { id: item.id, webUrl: item.webUrl };
+    },
+
+    async updateRecord(id, formData, province) {
+      const client = await getGraphClient();
+      await updateListItem(formData, client, province, id);
+    },
+
+    async findRecord(referenceNumber, province) {
+      const client = await getGraphClient();
+      const item = await findListItemByReference(client, province, referenceNumber);
+      return item ? toRecord(item, province) : null;
+    },
+
+    async listRecords(province, options) {
+      const client = await getGraphClient();
+      const items = await listListItems(client, province, options);
+      return items.map(item => toRecord(item, province));
+    },
+
+    async listProvinces() {
+      return getConfiguredProvinces();
+    },
+
+    async listStoredFiles(province) {
+      const client = await getGraphClient();
+      return listDocumentFiles(client, province);
+    },
+
+    async discardFiles(paths, province, options) {
+      const client = await getGraphClient();
+      return discardDriveFiles(client, province, paths, options);
+    }
+  };
+}
@@ -0,0 +1,303 @@
+import crypto from 'crypto';
+import { getAddressKey } from './address.js';
+import { openDatabase } from './database.js';
+import { logger } from './logger.js';
+import { getProperties } from './properties.js';
+import { createError } from './errors.js';
+
+/**
+ * Stops one application from being queued twice.
+ * The wizard sends an Idempotency-Key with each submission and reuses it when it retries, so a
+ * retried request gets the first request's response back instead of a new reference number.
+ * Separately, a submission with the same registration number, properties and province as one received
+ * within DUPLICATE_WINDOW_HOURS is treated as a duplicate and answered with the earlier reference.
+ * Each application's fingerprint is claimed before its reference number is allocated, so of two
+ * identical submissions arriving together only one is queued. The hashes of its documents are kept
+ * with it, so a resent application can be told apart from one that brings new documents.
+ */
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+export const REPLAYED_HEADER = 'Idempotent-Replayed';
+
+const KEY_TTL_MS = (Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+// A request still marked as processing after this long died with the process; its key may be reused
+const PENDING_TIMEOUT_MS = 5 * 60 * 1000;
+// 0 turns duplicate detection off
+const DUPLICATE_WINDOW_HOURS = Number(process.env.DUPLICATE_WINDOW_HOURS ?? 24);
+
+const KEY_PATTERN = /^[\x21-\x7e]{8,255}$/;
+
+let db;
+let cleanupTimer;
+
+function getDb() {
+  if (!db) {
+    db = openDatabase('idempotency.db');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        idempotency_key TEXT PRIMARY KEY,
+        fingerprint TEXT NOT NULL,
+        status TEXT NOT NULL,
+        status_code INTEGER,
+        response TEXT,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS submission_claims (
+        fingerprint TEXT PRIMARY KEY,
+        reference_number TEXT,
+        province TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        file_hashes TEXT
+      );
+    `);
+    migrateFingerprints();
+
+    // Claims recorded before document hashes were kept
+    const columns = db.prepare('PRAGMA table_info(submission_claims)').all().map(column => column.name);
+    if (!columns.includes('file_hashes')) {
+      db.exec('ALTER TABLE submission_claims ADD COLUMN file_hashes TEXT');
+    }
+  }
+  return db;
+}
+
+// Fingerprints used to be kept per reference number; the latest submission of each application is kept
+function migrateFingerprints() {
+  const legacy = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'submission_fingerprints'").get();
+  if (!legacy) return;
+
+  db.transaction(() => {
+    db.exec(`
+      INSERT OR IGNORE INTO submission_claims (fingerprint, reference_number, province, created_at)
+        SELECT fingerprint, reference_number, province, created_at FROM submission_fingerprints ORDER BY created_at DESC;
+      DROP TABLE submission_fingerprints;
+    `);
+  })();
+}
+
+function getWindowStart() {
+  return new Date(Date.now() - DUPLICATE_WINDOW_HOURS * 60 * 60 * 1000).toISOString();
+}
+
+function toDuplicate(row) {
+  return {
+    referenceNumber: row.reference_number,
+    province: row.province,
+    receivedAt: row.created_at,
+    // Unknown for claims recorded before document hashes were kept
+    fileHashes: row.file_hashes ? JSON.parse(row.file_hashes) : null
+  };
+}
+
+function normalise(value) {
+  return String(value ?? '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Identify an application by registration number, properties (in any order) and province.
+ * Only the hash is stored, so the table holds no personal information.
+ * @param {object} formData - submitted form fields
+ * @returns {string} SHA-256 fingerprint
+ */
+export function getSubmissionFingerprint(formData) {
+  const parts = [
+    normalise(formData.province),
+    String(formData.registrationNumber ?? '').replace(/\s+/g, '').toUpperCase(),
+    ...getProperties(formData).map(getAddressKey).sort()
+  ];
+  return crypto.createHash('sha256').update(parts.join('|')).digest('hex');
+}
+
+/**
+ * Check an Idempotency-Key header value
+ * @param {string} [key] - header value
+ * @returns {string|null} the key, or null when none was sent
+ */
+export function parseIdempotencyKey(key) {
+  if (key === undefined || key === '') return null;
+  if (!KEY_PATTERN.test(key)) {
+    throw createError(`${IDEMPOTENCY_HEADER} must be 8 to 255 printable characters`, 400);
+  }
+  return key;
+}
+
+/**
+ * Look up a key before the request is processed
+ * @param {string} key - idempotency key
+ * @param {object} formData - submitted form fields (for the fingerprint)
+ * @returns {object|null} the stored response ({ statusCode, body }) to replay, or null for a new key
+ */
+export function findIdempotentResponse(key, formData) {
+  const row = getDb().prepare('SELECT * FROM idempotency_keys WHERE idempotency_key = ? AND expires_at > ?')
+    .get(key, new Date().toISOString());
+  if (!row) return null;
+
+  if (row.fingerprint !== getSubmissionFingerprint(formData)) {
+    throw createError(`This ${IDEMPOTENCY_HEADER} was already used for a different submission`, 422);
+  }
+  if (row.status === 'pending') {
+    if (Date.parse(row.created_at) > Date.now() - PENDING_TIMEOUT_MS) {
+      const error = createError('This submission is still being processed. Wait a moment, then submit again to see your reference number.', 409);
+      error.inProgress = true;
+      throw error;
+    }
+    return null;
+  }
+  return { statusCode: row.status_code, body: JSON.parse(row.response) };
+}
+
+/**
+ * Mark a key as being processed, so a concurrent retry waits instead of submitting again
+ * @param {string} key - idempotency key
+ * @param {object} formData - submitted form fields
+ */
+export function claimIdempotencyKey(key, formData) {
+  const claim = getDb().transaction(() => {
+    findIdempotentResponse(key, formData);
+    const now = new Date();
+    getDb().prepare(`
+      INSERT INTO idempotency_keys (idempotency_key, fingerprint, status, created_at, expires_at)
+      VALUES (?, ?, 'pending', ?, ?)
+      ON CONFLICT(idempotency_key) DO UPDATE SET
+        fingerprint = excluded.fingerprint, status = 'pending', status_code = NULL, response = NULL,
+        created_at = excluded.created_at, expires_at = excluded.expires_at
+    `).run(key, getSubmissionFingerprint(formData), now.toISOString(), new Date(now.getTime() + KEY_TTL_MS).toISOString());
+  });
+  claim.immediate();
+}
+
+/**
+ * Store the response for a key, to be replayed to any retry
+ * @param {string} key - idempotency key
+ * @param {number} statusCode - HTTP status sent
+ * @param {object} body - JSON body sent
+ */
+export function completeIdempotencyKey(key, statusCode, body) {
+  getDb().prepare(`
+    UPDATE idempotency_keys SET status = 'completed', status_code = ?, response = ? WHERE idempotency_key = ?
+  `).run(statusCode, JSON.stringify(body), key);
+}
+
+/**
+ * Forget a key whose request failed, so a retry is processed afresh
+ * @param {string} key - idempotency key
+ */
+export function releaseIdempotencyKey(key) {
+  getDb().prepare("DELETE FROM idempotency_keys WHERE idempotency_key = ? AND status = 'pending'").run(key);
+}
+
+/**
+ * Find an earlier submission of the same application within DUPLICATE_WINDOW_HOURS, without claiming it
+ * (for checks that queue nothing, such as a bulk import's dry run)
+ * @param {object} formData - validated form fields
+ * @returns {object|null} referenceNumber, province, receivedAt and fileHashes of the earlier submission
+ */
+export function findDuplicateSubmission(formData) {
+  if (DUPLICATE_WINDOW_HOURS <= 0) return null;
+
+  const row = getDb().prepare(`
+    SELECT * FROM submission_claims WHERE fingerprint = ? AND reference_number IS NOT NULL AND created_at > ?
+  `).get(getSubmissionFingerprint(formData), getWindowStart());
+  return row ? toDuplicate(row) : null;
+}
+
+/**
+ * Claim an application before its reference number is allocated. The check for an earlier submission
+ * and the claim are one write transaction, so a concurrent identical submission sees the claim.
+ * @param {object} formData - validated form fields
+ * @returns {object|null} referenceNumber, province, receivedAt and fileHashes of the earlier submission when
+ * this one is a duplicate; null when the application is now claimed (call recordSubmission, or forgetSubmission on failure)
+ */
+export function claimSubmission(formData) {
+  if (DUPLICATE_WINDOW_HOURS <= 0) return null;
+
+  const fingerprint = getSubmissionFingerprint(formData);
+  const claim = getDb().transaction(() => {
+    const now = Date.now();
+    const row = getDb().prepare('SELECT * FROM submission_claims WHERE fingerprint = ?').get(fingerprint);
+
+    if (row && row.created_at > getWindowStart()) {
+      if (row.reference_number) return toDuplicate(row);
+      // A claim still without a reference after this long died with its process and is taken over
+      if (Date.parse(row.created_at) > now - PENDING_TIMEOUT_MS) {
+        const error = createError('An identical application is being submitted right now. Wait a moment, then submit again to see its reference number.', 409);
+        error.inProgress = true;
+        throw error;
+      }
+    }
+
+    getDb().prepare(`
+      INSERT INTO submission_claims (fingerprint, reference_number, province, created_at) VALUES (?, NULL, ?, ?)
+      ON CONFLICT(fingerprint) DO UPDATE SET reference_number = NULL, province = excluded.province, created_at = excluded.created_at
+    `).run(fingerprint, formData.province, new Date(now).toISOString());
+    return null;
+  });
+  return claim.immediate();
+}
+
+/**
+ * Remember a queued submission for duplicate detection, completing its claim
+ * @param {string} referenceNumber - allocated reference number
+ * @param {object} formData - validated form fields
+ * @param {Array<string>} [fileHashes] - SHA-256 hashes of its documents
+ */
+export function recordSubmission(referenceNumber, formData, fileHashes = []) {
+  getDb().prepare(`
+    INSERT INTO submission_claims (fingerprint, reference_number, province, created_at, file_hashes) VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(fingerprint) DO UPDATE SET
+      reference_number = excluded.reference_number, province = excluded.province, created_at = excluded.created_at,
+      file_hashes = excluded.file_hashes
+  `).run(getSubmissionFingerprint(formData), referenceNumber, formData.province, new Date().toISOString(), JSON.stringify([...new Set(fileHashes)].sort()));
+}
+
+/**
+ * Documents of a duplicate submission that the earlier submission did not have
+ * @param {object} duplicate - earlier submission, from claimSubmission
+ * @param {Array<string>} fileHashes - SHA-256 hashes of the documents sent again
+ * @returns {Array<string>} hashes of the new documents; all of them when the earlier ones are unknown
+ */
+export function getNewDocumentHashes(duplicate, fileHashes) {
+  const known = new Set(duplicate.fileHashes || []);
+  return fileHashes.filter(hash => !known.has(hash));
+}
+
+/**
+ * Forget a claimed submission that could not be queued, so it can be sent again
+ * @param {object} formData - validated form fields
+ */
+export function forgetSubmission(formData) {
+  getDb().prepare('DELETE FROM submission_claims WHERE fingerprint = ?').run(getSubmissionFingerprint(formData));
+}
+
+/**
+ * Delete expired keys and fingerprints older than the duplicate window
+ * @returns {number} number of rows removed
+ */
+export function purgeExpiredGuards() {
+  const now = Date.now();
+  const keys = getDb().prepare('DELETE FROM idempotency_keys WHERE expires_at <= ?').run(new Date(now).toISOString());
+  const windowMs = Math.max(DUPLICATE_WINDOW_HOURS, 0) * 60 * 60 * 1000;
+  const fingerprints = getDb().prepare('DELETE FROM submission_claims WHERE created_at <= ?')
+    .run(new Date(now - windowMs).toISOString());
+
+  const removed = keys.changes + fingerprints.changes;
+  if (removed > 0) {
+    logger.debug('Removed expired idempotency keys and fingerprints', { keys: keys.changes, fingerprints: fingerprints.changes });
+  }
+  return removed;
+}
+
+/**
+ * Periodically remove expired keys and fingerprints
+ */
+export function startSubmissionGuardCleanup() {
+  if (cleanupTimer) return;
+  cleanupTimer = setInterval(() => {
+    try {
+      purgeExpiredGuards();
+    } catch (error) {
+      logger.error('Idempotency key cleanup failed', { error });
+    }
+  }, 60 * 60 * 1000);
+  cleanupTimer.unref();
+}
@@ -0,0 +1,203 @@
+import { getProvince, PROVINCES } from '../config/provinces.js';
+import { findEntryByReference } from './outbox.js';
+import { getItemReference } from './properties.js';
+import { getReferenceInfo } from './referenceAllocator.js';
+import { getStorage } from './storage/index.js';
+import { parseDocuments } from './storage/fields.js';
+import { FILE_RESULT_STATUS, getCategoryLabel } from './storage/files.js';
+import { findSubmissionRecord } from './submissionStatus.js';
+import { logger } from './logger.js';
+import { createError } from './errors.js';
+
+// Records read from each province per search; searching happens on the combined set
+const MAX_ITEMS_PER_PROVINCE = Number(process.env.ADMIN_SEARCH_MAX_ITEMS) || 500;
+const MAX_PAGE_SIZE = 100;
+
+// List columns shown in the detail view, in order
+const DETAIL_FIELDS = [
+  { column: 'ReferenceNumber', label: 'Reference Number' },
+  { column: 'ParentReference', label: 'Submission Reference' },
+  { column: 'PropertyNumber', label: 'Property' },
+  { column: 'Title', label: 'Home Builder Name' },
+  { column: 'CompanyName', label: 'Company Name' },
+  { column: 'RegistrationNumber', label: 'Registration Number' },
+  { column: 'RegistryStatus', label: 'Builder Registry' },
+  { column: 'Province', label: 'Province' },
+  { column: 'PropertyDetails', label: 'Property Details' },
+  { column: 'Municipality', label: 'Municipality' },
+  { column: 'AddressCheck', label: 'Address Check' },
+  { column: 'PostalCodeProvince', label: 'Postal Code Province' },
+  { column: 'CompetentPerson', label: 'Competent Person' },
+  { column: 'Status', label: 'Status' },
+  { column: 'UploadStatus', label: 'Documents' },
+  { column: 'DocumentCategories', label: 'Document Types' }
+];
+
+function normalise(value) {
+  return String(value || '').replace(/\s+/g, '').toLowerCase();
+}
+
+function getAttachments(fields) {
+  return parseDocuments(fields).map(({ name, url, category }) => ({ name, url, ...(category && { category: getCategoryLabel(category) }) }));
+}
+
+/**
+ * Received documents with their sizes, hashes and types: from the outbox entry, which also knows
+ * about failed documents, or else from the list item
+ * @param {object|null} entry - outbox entry
+ * @param {object} record - list item
+ * @returns {Array} documents (name, size, sha256, mimeType, category, status, reason)
+ */
+function getDocumentDetails(entry, record) {
+  if (entry) {
+    return entry.files.map(({ originalname, size, sha256, mimetype, category }, index) => {
+      const result = entry.result?.fileResults?.[index];
+      return {
+        name: originalname,
+        size,
+        sha256,
+        mimeType: mimetype,
+        ...(category && { category: getCategoryLabel(category) }),
+        ...(result && { status: result.status, reason: result.reason })
+      };
+    });
+  }
+
+  // Items saved before document details were recorded only have the file links
+  return parseDocuments(record.fields)
+    .filter(document => document.sha256)
+    .map(({ name, size, sha256, mimeType, category }) => ({ name, size, sha256, mimeType, category: getCategoryLabel(category), status: FILE_RESULT_STATUS.UPLOADED }));
+}
+
+function toSummary(record) {
+  return {
+    referenceNumber: record.referenceNumber,
+    province: record.province,
+    builderName: record.fields.Title || '',
+    companyName: record.fields.CompanyName || '',
+    registrationNumber: record.fields.RegistrationNumber || '',
+    status: record.fields.Status || 'Received',
+    documentCount: getAttachments(record.fields).length,
+    createdAt: record.createdAt
+  };
+}
+
+// Reference, builder, registration number and company are searched, ignoring case and spaces
+function matchesQuery(summary, query) {
+  if (!query) return true;
+  return [summary.referenceNumber, summary.builderName, summary.registrationNumber, summary.companyName]
+    .some(value => normalise(value).includes(query));
+}
+
+/**
+ * Turn YYYY-MM-DD filter dates into an ISO range (the "to" day is included)
+ * @param {string} [from] - first day
+ * @param {string} [to] - last day
+ * @returns {object} from and to ISO timestamps
+ */
+function toDateRange(from, to) {
+  const range = {};
+  for (const [key, value] of Object.entries({ from, to })) {
+    if (!value) continue;
+    const date = new Date(`${value}T00:00:00Z`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(date.getTime())) {
+      throw createError(`Invalid ${key} date, expected YYYY-MM-DD`, 400);
+    }
+    if (key === 'to') date.setUTCDate(date.getUTCDate() + 1);
+    range[key] = date.toISOString();
+  }
+  return range;
+}
+
+/**
+ * Search submissions across every province site (or one province)
+ * @param {object} criteria
+ * @param {string} [criteria.q] - text matched against reference, builder, registration number and company
+ * @param {string} [criteria.province] - limit to one province
+ * @param {string} [criteria.from] - first creation day (YYYY-MM-DD)
+ * @param {string} [criteria.to] - last creation day (YYYY-MM-DD)
+ * @param {number} [criteria.page] - 1-based page number
+ * @param {number} [criteria.pageSize] - results per page
+ * @param {string[]|null} [criteria.allowedProvinces] - provinces the caller may see (null = all)
+ * @returns {Promise<object>} page of submission summaries, totals, and provinces that could not be searched
+ */
+export async function searchSubmissions({ q, province, from, to, page = 1, pageSize = 25, allowedProvinces = null } = {}) {
+  if (province && !getProvince(province)) {
+    throw createError(`Unknown province: ${province}`, 400);
+  }
+  if (province && allowedProvinces && !allowedProvinces.includes(province)) {
+    throw createError(`You do not have access to ${province}`, 403);
+  }
+
+  const range = toDateRange(from, to);
+  const provinces = province ? [province] : (allowedProvinces || PROVINCES.map(p => p.name));
+  const storage = getStorage();
+  const query = normalise(q);
+
+  // One slow or broken site should not hide the other provinces
+  const results = await Promise.allSettled(
+    provinces.map(name => storage.listRecords(name, { ...range, limit: MAX_ITEMS_PER_PROVINCE }))
+  );
+
+  const summaries = [];
+  const failedProvinces = [];
+  const truncatedProvinces = [];
+
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      logger.warn('Admin search skipped a province', { province: provinces[index], error: result.reason });
+      failedProvinces.push({ province: provinces[index], error: result.reason.message });
+      return;
+    }
+    if (result.value.length >= MAX_ITEMS_PER_PROVINCE) {
+      truncatedProvinces.push(provinces[index]);
+    }
+    summaries.push(...result.value.map(toSummary).filter(summary => matchesQuery(summary, query)));
+  });
+
+  summaries.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+  const size = Math.min(Math.max(Number(pageSize) || 25, 1), MAX_PAGE_SIZE);
+  const totalPages = Math.max(Math.ceil(summaries.length / size), 1);
+  const current = Math.min(Math.max(Number(page) || 1, 1), totalPages);
+
+  return {
+    items: summaries.slice((current - 1) * size, current * size),
+    total: summaries.length,
+    page: current,
+    pageSize: size,
+    totalPages,
+    failedProvinces,
+    truncatedProvinces
+  };
+}
+
+/**
+ * Full details of one submission, with links to its attachments
+ * @param {string} referenceNumber - NHBRC reference number
+ * @param {string} [province] - province to look in; found from the outbox or allocator when omitted
+ * @param {string[]|null} [allowedProvinces] - provinces the caller may see (null = all)
+ * @returns {Promise<object|null>} submission details, or null if not found or outside the caller's provinces
+ */
+export async function getSubmissionDetail(referenceNumber, province, allowedProvinces = null) {
+  const entry = findEntryByReference(referenceNumber);
+  const knownProvince = province || (entry ? entry.province : getReferenceInfo(referenceNumber)?.province);
+  if (knownProvince && allowedProvinces && !allowedProvinces.includes(knownProvince)) return null;
+
+  const record = await findSubmissionRecord(entry ? getItemReference(referenceNumber, entry.formData) : referenceNumber, knownProvince);
+  if (!record) return null;
+  if (allowedProvinces && !allowedProvinces.includes(record.province)) return null;
+
+  return {
+    ...toSummary(record),
+    webUrl: record.webUrl,
+    fields: DETAIL_FIELDS
+      .filter(({ column }) => record.fields[column])
+      .map(({ column, label }) => ({ column, label, value: record.fields[column] })),
+    attachments: getAttachments(record.fields),
+    documents: getDocumentDetails(entry, record),
+    delivery: entry
+      ? { status: entry.status, attempts: entry.attempts, deliveredAt: entry.deliveredAt, lastError: entry.lastError }
+      : null
+  };
+}
@@ -0,0 +1,199 @@
+import { PROVINCES } from '../config/provinces.js';
+import { SUBMISSION_SCHEMA } from '../config/submissionSchema.js';
+import { normaliseRegistrationNumber } from './builderRegistry.js';
+import { findEntryByReference, OUTBOX_STATUS, resubmitFailedFiles } from './outbox.js';
+import { getItemReference, getPropertyReferences } from './properties.js';
+import { getReferenceInfo } from './referenceAllocator.js';
+import { getStorage } from './storage/index.js';
+import { parseFileResults } from './storage/fields.js';
+import { FILE_RESULT_STATUS, summariseFileResults } from './storage/files.js';
+import { getCompletedUpload, releaseUpload } from './uploadStore.js';
+import { validateFile } from './validation.js';
+import { logger } from './logger.js';
+import { createError } from './errors.js';
+
+// Builder-facing wording for submissions that have not reached SharePoint yet
+const OUTBOX_STATUS_LABELS = {
+  [OUTBOX_STATUS.PENDING]: 'Received - processing',
+  [OUTBOX_STATUS.PROCESSING]: 'Received - processing',
+  [OUTBOX_STATUS.DEAD]: 'Received - delayed, our team has been notified'
+};
+
+const DEFAULT_STATUS = 'Received';
+
+// Documents still on their way to storage
+const PENDING_FILE_STATUS = 'pending';
+
+/**
+ * Per-document status for the builder: each file's name, size, status and the reason it failed
+ * @param {object|null} entry - outbox entry, when the submission went through this service
+ * @param {object} [record] - stored record, once delivered
+ * @returns {object} count, summary, files and whether failed files can be replaced
+ */
+function describeDocuments(entry, record) {
+  let files;
+  if (entry && entry.status !== OUTBOX_STATUS.DELIVERED) {
+    const sessions = entry.progress.uploadSessions || {};
+    files = entry.files.map((file, index) => ({
+      name: file.originalname,
+      size: file.size,
+      status: sessions[index]?.webUrl ? FILE_RESULT_STATUS.UPLOADED : PENDING_FILE_STATUS
+    }));
+  } else {
+    const results = entry?.result?.fileResults || parseFileResults(record.fields);
+    files = results.map((result, index) => ({
+      name: result.name,
+      ...(entry?.files[index] && { size: entry.files[index].size }),
+      status: result.status,
+      ...(result.reason && { reason: result.reason })
+    }));
+  }
+
+  const failed = files.some(file => file.status === FILE_RESULT_STATUS.FAILED);
+  return {
+    count: files.length,
+    ...(files.length > 0 && !files.some(file => file.status === PENDING_FILE_STATUS) && { summary: summariseFileResults(files) }),
+    files,
+    // Replacements are matched to the outbox entry, so only submissions made through this service qualify
+    canRetryFailed: failed && Boolean(entry) && entry.status === OUTBOX_STATUS.DELIVERED
+  };
+}
+
+/**
+ * Find the stored record for a reference, trying the known province first
+ * @param {string} referenceNumber - NHBRC reference number
+ * @param {string} [province] - province recorded when the reference was confirmed
+ * @returns {Promise<object|null>} record
+ */
+export async function findSubmissionRecord(referenceNumber, province) {
+  const storage = getStorage();
+  if (province) {
+    return storage.findRecord(referenceNumber, province);
+  }
+
+  // References from before the allocator carry no province, so look through every site
+  for (const { name } of PROVINCES) {
+    try {
+      const record = await storage.findRecord(referenceNumber, name);
+      if (record) return record;
+    } catch (error) {
+      logger.warn('Status lookup skipped a province', { province: name, error });
+    }
+  }
+  return null;
+}
+
+// References of the properties of a submission that covers several
+function describeProperties(entry) {
+  const references = entry ? getPropertyReferences(entry.referenceNumber, entry.formData) : [];
+  return references.length > 1 ? { propertyReferences: references } : {};
+}
+
+/**
+ * Look up the progress of a submission for the builder who made it
+ * @param {string} referenceNumber - NHBRC reference number, of the submission or one of its properties
+ * @param {string} registrationNumber - builder registration number, must match the submission
+ * @returns {Promise<object|null>} status summary, or null if not found or the registration number does not match
+ */
+export async function getSubmissionStatus(referenceNumber, registrationNumber) {
+  const expectedRegistration = normaliseRegistrationNumber(registrationNumber);
+  const entry = findEntryByReference(referenceNumber);
+
+  // Not delivered yet: answer from the local outbox
+  if (entry && entry.status !== OUTBOX_STATUS.DELIVERED) {
+    if (normaliseRegistrationNumber(entry.formData.registrationNumber) !== expectedRegistration) return null;
+
+    return {
+      referenceNumber,
+      status: OUTBOX_STATUS_LABELS[entry.status],
+      province: entry.province,
+      submittedAt: entry.createdAt,
+      ...describeProperties(entry),
+      documents: describeDocuments(entry)
+    };
+  }
+
+  // A submission of several properties reports the status of the property looked up, or else its first one
+  const province = entry ? entry.province : getReferenceInfo(referenceNumber)?.province;
+  const record = await findSubmissionRecord(entry ? getItemReference(referenceNumber, entry.formData) : referenceNumber, province);
+  if (!record) return null;
+  if (normaliseRegistrationNumber(record.fields.RegistrationNumber) !== expectedRegistration) return null;
+
+  return {
+    referenceNumber,
+    status: record.fields.Status || DEFAULT_STATUS,
+    province: record.province,
+    submittedAt: entry ? entry.createdAt : record.createdAt,
+    ...describeProperties(entry),
+    documents: describeDocuments(entry, record)
+  };
+}
+
+/**
+ * Send new files for documents of a submission that failed to upload, for the builder who made it.
+ * Each replacement is a staged upload (see uploadStore.js) for the document at the given position.
+ * @param {string} referenceNumber - NHBRC reference number
+ * @param {string} registrationNumber - builder registration number, must match the submission
+ * @param {Array<{index: number, uploadId: string}>} replacements - failed document position and its new upload
+ * @returns {Promise<object|null>} updated status summary, or null if not found or the registration number does not match
+ */
+export async function replaceFailedDocuments(referenceNumber, registrationNumber, replacements) {
+  const entry = findEntryByReference(referenceNumber);
+  if (!entry) return null;
+  if (normaliseRegistrationNumber(entry.formData.registrationNumber) !== normaliseRegistrationNumber(registrationNumber)) return null;
+
+  if (entry.status !== OUTBOX_STATUS.DELIVERED) {
+    throw createError('This submission is still being processed. Please try again once it has finished.', 409);
+  }
+
+  const fileResults = entry.result.fileResults || [];
+  const accepted = [];
+  const rejected = [];
+  for (const { index, uploadId } of replacements) {
+    const position = Number(index);
+    if (fileResults[position]?.status !== FILE_RESULT_STATUS.FAILED) {
+      rejected.push({ index, status: FILE_RESULT_STATUS.REJECTED, reason: 'Only documents that failed to upload can be sent again' });
+      continue;
+    }
+
+    const { upload, error } = getCompletedUpload(String(uploadId));
+    const reason = error || validateFile(SUBMISSION_SCHEMA.files, upload);
+    if (reason) {
+      rejected.push({ index: position, ...(upload && { name: upload.originalname }), status: FILE_RESULT_STATUS.REJECTED, reason });
+    } else {
+      accepted.push({ index: position, file: upload });
+    }
+  }
+
+  if (rejected.length > 0) {
+    const error = createError(rejected.length === 1 ? rejected[0].reason : 'Some documents could not be accepted', 400);
+    error.fileResults = rejected;
+    throw error;
+  }
+
+  await resubmitFailedFiles(entry.id, accepted);
+  accepted.forEach(({ file }) => releaseUpload(file.id));
+  return getSubmissionStatus(referenceNumber, registrationNumber);
+}
+
+/**
+ * Collect what a receipt shows for a submission, for the builder who made it.
+ * Receipts come from the locally kept submission, so only submissions made through this service have one.
+ * A property's reference gives the receipt of the whole submission.
+ * @param {string} referenceNumber - NHBRC reference number
+ * @param {string} registrationNumber - builder registration number, must match the submission
+ * @returns {object|null} receipt data (referenceNumber, province, formData, files, submittedAt), or null
+ */
+export function getSubmissionReceipt(referenceNumber, registrationNumber) {
+  const entry = findEntryByReference(referenceNumber);
+  if (!entry) return null;
+  if (normaliseRegistrationNumber(entry.formData.registrationNumber) !== normaliseRegistrationNumber(registrationNumber)) return null;
+
+  return {
+    referenceNumber: entry.referenceNumber,
+    province: entry.province,
+    formData: entry.formData,
+    files: entry.files.map(({ originalname, size, sha256, category }) => ({ originalname, size, sha256, category })),
+    submittedAt: entry.createdAt
+  };
+}
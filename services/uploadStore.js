@@ -0,0 +1,255 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { SUBMISSION_SCHEMA } from '../config/submissionSchema.js';
+import { getDataDir, openDatabase } from './database.js';
+import { hashFile } from './storage/files.js';
+import { validateFiles } from './validation.js';
+import { logger } from './logger.js';
+import { createError } from './errors.js';
+
+// Browsers send documents in chunks of this size; the server accepts up to MAX_CHUNK_SIZE per request
+export const CHUNK_SIZE = 1024 * 1024;
+const MAX_CHUNK_SIZE = 5 * 1024 * 1024;
+// Uploads that are not used in a submission (or kept by a saved draft) within this time are deleted
+const STALE_UPLOAD_MS = 24 * 60 * 60 * 1000;
+
+export const UPLOAD_STATUS = {
+  UPLOADING: 'uploading',
+  COMPLETE: 'complete'
+};
+
+let db;
+let cleanupTimer;
+// Uploads with a chunk currently being written; a second concurrent chunk is refused
+const activeUploads = new Set();
+
+function getDb() {
+  if (!db) {
+    db = openDatabase('uploads.db');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS uploads (
+        id TEXT PRIMARY KEY,
+        original_name TEXT NOT NULL,
+        mime_type TEXT,
+        size INTEGER NOT NULL,
+        received INTEGER NOT NULL DEFAULT 0,
+        sha256 TEXT,
+        status TEXT NOT NULL,
+        retained_until TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+    `);
+
+    // Databases created before drafts existed lack the retention column
+    const columns = db.prepare('PRAGMA table_info(uploads)').all().map(column => column.name);
+    if (!columns.includes('retained_until')) {
+      db.exec('ALTER TABLE uploads ADD COLUMN retained_until TEXT');
+    }
+  }
+  return db;
+}
+
+/**
+ * Path of the staged file for an upload
+ * @param {string} id - upload ID
+ * @returns {string} file path
+ */
+export function getUploadPath(id) {
+  return path.join(getDataDir(), 'uploads', id);
+}
+
+function toUpload(row) {
+  return {
+    id: row.id,
+    originalname: row.original_name,
+    mimetype: row.mime_type,
+    size: row.size,
+    received: row.received,
+    sha256: row.sha256,
+    status: row.status,
+    path: getUploadPath(row.id),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Get a staged upload
+ * @param {string} id - upload ID
+ * @returns {object|null} upload
+ */
+export function getUpload(id) {
+  const row = getDb().prepare('SELECT * FROM uploads WHERE id = ?').get(id);
+  return row ? toUpload(row) : null;
+}
+
+/**
+ * Look up a staged upload that a submission refers to, only if it has fully arrived
+ * @param {string} id - upload ID
+ * @returns {object} { upload }, or { error } with the reason it cannot be used
+ */
+export function getCompletedUpload(id) {
+  const staged = getUpload(id);
+  if (!staged) return { error: 'This file has expired, please upload it again' };
+  if (staged.status !== UPLOAD_STATUS.COMPLETE) return { error: `"${staged.originalname}" has not finished uploading` };
+  return { upload: staged };
+}
+
+/**
+ * Start a resumable upload
+ * @param {object} file
+ * @param {string} file.fileName - original file name
+ * @param {number} file.size - total size in bytes
+ * @param {string} [file.mimeType] - MIME type reported by the browser
+ * @returns {Promise<object>} created upload
+ */
+export async function createUpload({ fileName, size, mimeType }) {
+  const descriptor = { originalname: String(fileName || ''), size: Number(size) };
+  const rule = { ...SUBMISSION_SCHEMA.files, minCount: 0 };
+  const error = !descriptor.originalname || !Number.isInteger(descriptor.size)
+    ? 'fileName and size are required'
+    : validateFiles(rule, [descriptor]);
+
+  if (error) throw createError(error, 400);
+
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+
+  await fs.promises.mkdir(path.dirname(getUploadPath(id)), { recursive: true });
+  await fs.promises.writeFile(getUploadPath(id), '');
+
+  getDb().prepare(`
+    INSERT INTO uploads (id, original_name, mime_type, size, received, status, created_at, updated_at)
+    VALUES (?, ?, ?, ?, 0, ?, ?, ?)
+  `).run(id, descriptor.originalname, mimeType || 'application/octet-stream', descriptor.size, UPLOAD_STATUS.UPLOADING, now, now);
+
+  return getUpload(id);
+}
+
+/**
+ * Parse a "bytes start-end/total" Content-Range header
+ * @param {string} header - Content-Range header value
+ * @returns {object|null} start, end (inclusive) and total
+ */
+export function parseContentRange(header) {
+  const match = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(header || '');
+  if (!match) return null;
+  return { start: Number(match[1]), end: Number(match[2]), total: Number(match[3]) };
+}
+
+/**
+ * Write one chunk of an upload. Chunks must arrive in order, starting at the number of bytes already received.
+ * @param {string} id - upload ID
+ * @param {object} range - parsed Content-Range
+ * @param {Readable} body - request stream carrying exactly the chunk
+ * @returns {Promise<object>} updated upload
+ */
+export async function appendChunk(id, range, body) {
+  const upload = getUpload(id);
+  if (!upload) throw createError('Upload not found', 404);
+  if (upload.status === UPLOAD_STATUS.COMPLETE) return upload;
+
+  const length = range.end - range.start + 1;
+  if (range.total !== upload.size || range.end >= upload.size || length <= 0 || length > MAX_CHUNK_SIZE) {
+    throw createError('Invalid Content-Range for this upload', 400);
+  }
+  if (range.start !== upload.received) {
+    throw createError(`Expected chunk starting at byte ${upload.received}`, 409);
+  }
+  if (activeUploads.has(id)) {
+    throw createError('Another chunk for this upload is still being written', 409);
+  }
+
+  activeUploads.add(id);
+  try {
+    let written = 0;
+    const limiter = new Transform({
+      transform(chunk, encoding, callback) {
+        written += chunk.length;
+        if (written > length) return callback(createError('Chunk is larger than its Content-Range', 400));
+        callback(null, chunk);
+      }
+    });
+
+    try {
+      await pipeline(body, limiter, fs.createWriteStream(upload.path, { flags: 'r+', start: range.start }));
+    } finally {
+      if (written !== length) {
+        // Drop a partial chunk so the client can resend it from the same offset
+        await fs.promises.truncate(upload.path, upload.received);
+      }
+    }
+
+    if (written !== length) {
+      throw createError('Chunk was shorter than its Content-Range', 400);
+    }
+
+    const received = upload.received + length;
+    const complete = received === upload.size;
+    const sha256 = complete ? await hashFile(upload.path) : null;
+
+    getDb().prepare('UPDATE uploads SET received = ?, status = ?, sha256 = ?, updated_at = ? WHERE id = ?')
+      .run(received, complete ? UPLOAD_STATUS.COMPLETE : UPLOAD_STATUS.UPLOADING, sha256, new Date().toISOString(), id);
+
+    return getUpload(id);
+  } finally {
+    activeUploads.delete(id);
+  }
+}
+
+/**
+ * Keep uploads past the stale cutoff, e.g. while a saved draft refers to them
+ * @param {string[]} ids - upload IDs
+ * @param {string} until - ISO timestamp to keep them until
+ */
+export function retainUploads(ids, until) {
+  const retain = getDb().prepare('UPDATE uploads SET retained_until = ? WHERE id = ?');
+  for (const id of ids) {
+    retain.run(until, id);
+  }
+}
+
+/**
+ * Forget an upload once its file has been handed on (moved into the outbox)
+ * @param {string} id - upload ID
+ */
+export function releaseUpload(id) {
+  getDb().prepare('DELETE FROM uploads WHERE id = ?').run(id);
+}
+
+/**
+ * Delete uploads that were abandoned before being submitted
+ * @returns {Promise<number>} number of uploads removed
+ */
+export async function purgeStaleUploads() {
+  const now = new Date();
+  const cutoff = new Date(now.getTime() - STALE_UPLOAD_MS).toISOString();
+  const stale = getDb().prepare(`
+    SELECT id FROM uploads WHERE updated_at < ? AND (retained_until IS NULL OR retained_until < ?)
+  `).all(cutoff, now.toISOString());
+
+  for (const { id } of stale) {
+    await fs.promises.rm(getUploadPath(id), { force: true });
+    releaseUpload(id);
+  }
+
+  if (stale.length > 0) {
+    logger.info('Removed abandoned uploads', { count: stale.length });
+  }
+  return stale.length;
+}
+
+/**
+ * Periodically remove abandoned uploads
+ */
+export function startUploadCleanup() {
+  if (cleanupTimer) return;
+  cleanupTimer = setInterval(() => {
+    purgeStaleUploads().catch(error => logger.error('Upload cleanup failed', { error }));
+  }, 60 * 60 * 1000);
+  cleanupTimer.unref();
+}
@@ -0,0 +1,137 @@
+import { SUBMISSION_SCHEMA } from '../config/submissionSchema.js';
+
+/**
+ * Check one value against its schema rule
+ * @param {object} rule - field rule from the schema
+ * @param {string} value - trimmed field value
+ * @returns {string|null} error message, or null if the value is valid
+ */
+export function validateField(rule, value) {
+  if (!value) {
+    return rule.required ? `${rule.label} is required` : null;
+  }
+  if (rule.minLength && value.length < rule.minLength) {
+    return `${rule.label} must be at least ${rule.minLength} characters`;
+  }
+  if (rule.maxLength && value.length > rule.maxLength) {
+    return `${rule.label} must be at most ${rule.maxLength} characters`;
+  }
+  if (rule.pattern && !new RegExp(rule.pattern).test(value)) {
+    return rule.patternMessage || `${rule.label} is not in the expected format`;
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `Please select a valid ${rule.label.toLowerCase()}`;
+  }
+  return null;
+}
+
+/**
+ * Check the uploaded files against the schema's count, size and type rules
+ * @param {object} rule - files rule from the schema
+ * @param {Array} files - uploaded files (originalname, size)
+ * @returns {string|null} error message, or null if the files are valid
+ */
+export function validateFiles(rule, files) {
+  if (files.length < rule.minCount) {
+    return `Please upload at least ${rule.minCount} file${rule.minCount === 1 ? '' : 's'}`;
+  }
+  if (files.length > rule.maxCount) {
+    return `Maximum of ${rule.maxCount} files allowed per submission`;
+  }
+
+  for (const file of files) {
+    const error = validateFile(rule, file);
+    if (error) return error;
+  }
+  return null;
+}
+
+/**
+ * Check one uploaded file against the schema's size and type rules
+ * @param {object} rule - files rule from the schema
+ * @param {object} file - uploaded file (originalname, size)
+ * @returns {string|null} error message, or null if the file is valid
+ */
+export function validateFile(rule, file) {
+  const ext = file.originalname.split('.').pop().toLowerCase();
+  if (!rule.allowedExtensions.includes(ext)) {
+    return `File "${file.originalname}" is not an allowed type (${rule.allowedExtensions.join(', ')})`;
+  }
+  if (file.size === 0) {
+    return `File "${file.originalname}" is empty`;
+  }
+  if (file.size > rule.maxSize) {
+    return `File "${file.originalname}" exceeds ${Math.round(rule.maxSize / (1024 * 1024))}MB`;
+  }
+  return null;
+}
+
+/**
+ * Check a document category against the schema's list. A missing category means the default one.
+ * @param {object} rule - files rule from the schema
+ * @param {string} [category] - category value sent with the document
+ * @returns {string|null} error message, or null if the category is valid
+ */
+export function validateDocumentCategory(rule, category) {
+  if (category === undefined || category === '') return null;
+  if (!rule.categories.some(option => option.value === category)) {
+    return `Unknown document type "${category}". Choose one of: ${rule.categories.map(option => option.label).join(', ')}`;
+  }
+  return null;
+}
+
+function readValue(source, name) {
+  return typeof source?.[name] === 'string' ? source[name].trim() : '';
+}
+
+/**
+ * Validate a submission payload against the shared schema.
+ * Several properties arrive as properties[0][standNumber], properties[1][standNumber], ...; a payload
+ * without them is a single property with its fields alongside the others.
+ * @param {object} body - submitted form fields
+ * @param {Array} files - uploaded files
+ * @param {object} [schema] - schema to validate against
+ * @returns {object} { errors, values } - field errors keyed by field name (empty when valid) and the trimmed
+ * schema fields, with one entry per property in values.properties
+ */
+export function validateSubmission(body, files = [], schema = SUBMISSION_SCHEMA) {
+  const errors = {};
+  const values = {};
+  const propertyFields = schema.properties.fields;
+
+  for (const [name, rule] of Object.entries(schema.fields)) {
+    if (propertyFields.includes(name)) continue;
+    const value = readValue(body, name);
+    const error = validateField(rule, value);
+
+    if (error) errors[name] = error;
+    values[name] = value;
+  }
+
+  const repeated = Array.isArray(body.properties);
+  const properties = repeated ? body.properties : [body];
+  const { minCount, maxCount } = schema.properties;
+  if (properties.length < minCount) {
+    errors.properties = `Please add at least ${minCount} ${minCount === 1 ? 'property' : 'properties'}`;
+  } else if (properties.length > maxCount) {
+    errors.properties = `Maximum of ${maxCount} properties allowed per submission`;
+  }
+
+  // Errors are keyed by the name of the wizard's input, e.g. properties[1][suburb]
+  values.properties = properties.slice(0, maxCount).map((property, index) => {
+    const propertyValues = {};
+    for (const name of propertyFields) {
+      const value = readValue(property, name);
+      const error = validateField(schema.fields[name], value);
+
+      if (error) errors[repeated ? `properties[${index}][${name}]` : name] = error;
+      propertyValues[name] = value;
+    }
+    return propertyValues;
+  });
+
+  const filesError = validateFiles(schema.files, files);
+  if (filesError) errors.files = filesError;
+
+  return { errors, values };
+}
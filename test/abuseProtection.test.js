@@ -0,0 +1,119 @@
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { useTestEnvironment } from './helpers.js';
+
+useTestEnvironment({ CHALLENGE_POW_DIFFICULTY: '8', RATE_LIMIT_BUILDERS_PER_IP: '7' });
+
+const { getRateLimitPolicy } = await import('../config/rateLimits.js');
+const { consumeQuota } = await import('../services/rateLimiter.js');
+const { createProofOfWorkProvider } = await import('../services/challenge/proofOfWorkProvider.js');
+
+let policySequence = 0;
+
+// Each test counts against a window of its own
+function policy(perIp, global) {
+  policySequence += 1;
+  return { name: `test-${policySequence}`, windowMs: 60 * 1000, perIp, global };
+}
+
+// Answer a proof-of-work challenge the way the wizard does
+function solve({ token, difficulty }) {
+  for (let nonce = 0; ; nonce++) {
+    const answer = `${token}:${nonce}`;
+    const hash = crypto.createHash('sha256').update(answer).digest();
+    const zeroBits = hash.readUInt32BE(0) === 0 ? 32 : Math.clz32(hash.readUInt32BE(0));
+    if (zeroBits >= difficulty) return answer;
+  }
+}
+
+describe('rate limits', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('applies environment overrides to a policy', () => {
+    assert.deepEqual(getRateLimitPolicy('builders'), { name: 'builders', windowMs: 10 * 60 * 1000, perIp: 7, global: 2000 });
+    assert.throws(() => getRateLimitPolicy('nope'), /Unknown rate limit policy/);
+  });
+
+  it('refuses a client over its quota until the window ends', () => {
+    const now = Date.now();
+    mock.method(Date, 'now', () => now);
+    const limits = policy(2, 100);
+
+    assert.deepEqual(consumeQuota(limits, 'a'), { allowed: true, limit: 2, remaining: 1, resetAt: now + 60 * 1000 });
+    assert.equal(consumeQuota(limits, 'a').remaining, 0);
+    const refused = consumeQuota(limits, 'a');
+    assert.equal(refused.allowed, false);
+    assert.equal(refused.scope, 'client');
+    assert.equal(refused.resetAt, now + 60 * 1000);
+    // Other clients have quotas of their own
+    assert.equal(consumeQuota(limits, 'b').allowed, true);
+
+    Date.now.mock.mockImplementation(() => now + 60 * 1000);
+    assert.equal(consumeQuota(limits, 'a').allowed, true);
+  });
+
+  it('refuses everyone once the overall quota is used up', () => {
+    const limits = policy(2, 3);
+    consumeQuota(limits, 'a');
+    consumeQuota(limits, 'b');
+    consumeQuota(limits, 'c');
+
+    const refused = consumeQuota(limits, 'd');
+    assert.equal(refused.allowed, false);
+    assert.equal(refused.scope, 'global');
+    assert.equal(refused.limit, 3);
+  });
+
+  it('tells a client over its own quota so before the overall one, and does not count refused requests', () => {
+    const limits = policy(1, 2);
+    consumeQuota(limits, 'a');
+    // Refused for the client, so the overall count stays at one
+    assert.equal(consumeQuota(limits, 'a').scope, 'client');
+    assert.equal(consumeQuota(limits, 'b').allowed, true);
+
+    // Both quotas are used up: the client's own is reported
+    assert.equal(consumeQuota(limits, 'a').scope, 'client');
+    assert.equal(consumeQuota(limits, 'c').scope, 'global');
+  });
+});
+
+describe('proof-of-work challenge', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('accepts a solved challenge once', async () => {
+    const provider = createProofOfWorkProvider();
+    const answer = solve(await provider.create());
+
+    assert.equal(await provider.verify(answer), true);
+    assert.equal(await provider.verify(answer), false);
+  });
+
+  it('refuses a token with a bad signature or from another server', async () => {
+    const provider = createProofOfWorkProvider();
+    const challenge = await provider.create();
+    const [id, expiresAt, , signature] = challenge.token.split('.');
+
+    // Lowering the difficulty invalidates the signature
+    assert.equal(await provider.verify(solve({ token: `${id}.${expiresAt}.0.${signature}`, difficulty: 0 })), false);
+    assert.equal(await provider.verify(solve({ token: `${id}.${expiresAt}.8.${signature.slice(0, -2)}xx`, difficulty: 8 })), false);
+    assert.equal(await provider.verify(solve(await createProofOfWorkProvider().create())), false);
+    assert.equal(await provider.verify('garbage'), false);
+  });
+
+  it('refuses an answer without enough work, or after the challenge expired', async () => {
+    const provider = createProofOfWorkProvider();
+    const challenge = await provider.create();
+
+    let weak;
+    for (let nonce = 0; !weak; nonce++) {
+      const answer = `${challenge.token}:${nonce}`;
+      if (crypto.createHash('sha256').update(answer).digest()[0] !== 0) weak = answer;
+    }
+    assert.equal(await provider.verify(weak), false);
+
+    const answer = solve(challenge);
+    mock.method(Date, 'now', () => Date.parse(challenge.expiresAt) + 1);
+    assert.equal(await provider.verify(answer), false);
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { useTestEnvironment } from './helpers.js';
+
+const dataDir = useTestEnvironment();
+// An added dataset in the range format, as a SAPO extract might come
+const extraDataset = path.join(dataDir, 'postal-codes.csv');
+fs.writeFileSync(extraDataset, [
+  'from,to,city,municipality,province',
+  '0001,0299,,,Gauteng',
+  '0157,0157,Centurion,City of Tshwane,Gauteng'
+].join('\n'));
+process.env.POSTAL_CODE_DATASET = extraDataset;
+
+const { ADDRESS_CHECK, checkPropertyAddress, completePropertyAddress, formatPropertyAddress, lookupPostalCode } = await import('../services/address.js');
+
+describe('postal code check', () => {
+  it('matches towns whose codes sit in another province\'s range', () => {
+    for (const [postalCode, province] of [['0250', 'North West'], ['0216', 'North West'], ['0470', 'Limpopo'], ['0450', 'Limpopo'], ['8600', 'North West'], ['8580', 'North West'], ['9795', 'Northern Cape']]) {
+      assert.equal(checkPropertyAddress({ postalCode }, province).status, ADDRESS_CHECK.MATCH, `${postalCode} in ${province}`);
+    }
+  });
+
+  it('flags a listed code entered with another province', () => {
+    const check = checkPropertyAddress({ postalCode: '0250' }, 'Gauteng');
+    assert.equal(check.status, ADDRESS_CHECK.MISMATCH);
+    assert.equal(check.postalCodeProvince, 'North West');
+    assert.equal(check.message, 'Postal code 0250 is in North West, not Gauteng');
+  });
+
+  it('does not flag a code known only from a range', () => {
+    assert.equal(lookupPostalCode('0299').confirmed, false);
+
+    const check = checkPropertyAddress({ postalCode: '0299' }, 'North West');
+    assert.equal(check.status, ADDRESS_CHECK.UNCONFIRMED);
+    assert.equal(check.label, 'Postal code province not confirmed');
+    assert.equal(check.postalCodeProvince, null);
+  });
+
+  it('prefers a code listed on its own, from either dataset, over a range', () => {
+    assert.deepEqual(lookupPostalCode('0157'), { postalCode: '0157', province: 'Gauteng', city: 'Centurion', municipality: 'City of Tshwane', confirmed: true });
+    assert.equal(lookupPostalCode('0250').province, 'North West');
+  });
+
+  it('does not recognise codes in no dataset', () => {
+    assert.equal(lookupPostalCode('7999'), null);
+    assert.equal(lookupPostalCode('25'), null);
+    assert.equal(checkPropertyAddress({ postalCode: '7999' }, 'Western Cape').status, ADDRESS_CHECK.UNKNOWN);
+  });
+
+  it('fills in the municipality of a listed code in the selected province only', () => {
+    const brits = { postalCode: '0250' };
+    completePropertyAddress(brits, 'North West');
+    assert.equal(brits.municipality, 'Madibeng');
+
+    const elsewhere = { postalCode: '0250' };
+    completePropertyAddress(elsewhere, 'Gauteng');
+    assert.equal(elsewhere.municipality, undefined);
+
+    assert.equal(formatPropertyAddress({ standNumber: '12', suburb: 'Oukasie', city: 'Brits', ...brits }), 'Stand 12, Oukasie, Brits, Madibeng, 0250');
+  });
+});
@@ -0,0 +1,87 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, useTestEnvironment } from './helpers.js';
+
+useTestEnvironment({ AUTH_LOCAL_ISSUER: 'true' });
+
+const { resolveAccess, ROLES } = await import('../config/roles.js');
+const { issueLocalToken } = await import('../services/auth/localIssuer.js');
+const { drainOutbox, enqueueSubmission } = await import('../services/outbox.js');
+const { allocateReference } = await import('../services/referenceAllocator.js');
+
+// Deliver a submission to local storage, which the server shares with this process
+async function deliver(province) {
+  const referenceNumber = allocateReference({ province });
+  await enqueueSubmission({
+    referenceNumber,
+    province,
+    formData: { builderName: 'Sam Builder', registrationNumber: 'REG123', province, propertyDetails: 'Stand 101, Sunnyside' }
+  });
+  await drainOutbox();
+  return referenceNumber;
+}
+
+describe('staff roles', () => {
+  it('scopes provincial officers to the provinces of their roles', () => {
+    assert.deepEqual(resolveAccess(['ProvincialOfficer.GP', 'ProvincialOfficer.LP']), { roles: [ROLES.PROVINCIAL_OFFICER], provinces: ['Gauteng', 'Limpopo'] });
+    assert.deepEqual(resolveAccess([ROLES.NATIONAL_ADMIN, 'ProvincialOfficer.GP']), { roles: [ROLES.NATIONAL_ADMIN, ROLES.PROVINCIAL_OFFICER], provinces: null });
+    assert.deepEqual(resolveAccess(['ProvincialOfficer.XX', 'ProvincialOfficer', 'Admin']), { roles: [], provinces: [] });
+  });
+});
+
+describe('admin endpoints', () => {
+  let server;
+  let gautengReference;
+  let limpopoReference;
+  const tokens = {};
+
+  before(async () => {
+    gautengReference = await deliver('Gauteng');
+    limpopoReference = await deliver('Limpopo');
+    // Issued before the server starts, so both use the signing key this creates
+    tokens.admin = await issueLocalToken({ sub: 'admin-1', roles: [ROLES.NATIONAL_ADMIN] });
+    tokens.operator = await issueLocalToken({ sub: 'operator-1', roles: [ROLES.OPERATOR] });
+    tokens.officer = await issueLocalToken({ sub: 'officer-1', roles: ['ProvincialOfficer.GP'] });
+    server = await startServer({ AUTH_LOCAL_ISSUER: 'true' });
+  });
+  after(() => server?.stop());
+
+  async function get(path, token) {
+    const response = await fetch(`${server.baseUrl}${path}`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+    return { status: response.status, body: await response.json() };
+  }
+
+  it('asks for a sign-in without a valid bearer token', async () => {
+    assert.equal((await get('/api/admin/outbox')).status, 401);
+    assert.equal((await get('/api/admin/outbox', 'not-a-token')).status, 401);
+    assert.equal((await get('/api/admin/outbox', `${tokens.admin}x`)).status, 401);
+  });
+
+  it('lets each role reach only its own endpoints', async () => {
+    assert.equal((await get('/api/admin/outbox', tokens.admin)).status, 200);
+    assert.equal((await get('/api/admin/outbox', tokens.operator)).status, 200);
+    assert.equal((await get('/api/admin/outbox', tokens.officer)).status, 403);
+    assert.equal((await get('/api/admin/submissions', tokens.operator)).status, 403);
+    assert.equal((await get('/api/admin/builder-registry', tokens.officer)).status, 403);
+    assert.equal((await get('/api/admin/builder-registry', tokens.admin)).status, 200);
+  });
+
+  it('shows a provincial officer the submissions of their own provinces only', async () => {
+    const search = await get('/api/admin/submissions', tokens.officer);
+    assert.equal(search.status, 200);
+    const references = search.body.items.map(item => item.referenceNumber);
+    assert.ok(references.includes(gautengReference));
+    assert.equal(references.includes(limpopoReference), false);
+
+    assert.equal((await get('/api/admin/submissions?province=Limpopo', tokens.officer)).status, 403);
+    assert.equal((await get(`/api/admin/submissions/${limpopoReference}`, tokens.officer)).status, 404);
+    assert.equal((await get(`/api/admin/submissions/${gautengReference}`, tokens.officer)).status, 200);
+  });
+
+  it('shows a national admin the submissions of every province', async () => {
+    const search = await get('/api/admin/submissions', tokens.admin);
+    const references = search.body.items.map(item => item.referenceNumber);
+    assert.ok(references.includes(gautengReference) && references.includes(limpopoReference));
+    assert.equal((await get(`/api/admin/submissions/${limpopoReference}`, tokens.admin)).status, 200);
+  });
+});
@@ -0,0 +1,59 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { startServer, useTestEnvironment } from './helpers.js';
+
+const dataDir = useTestEnvironment();
+const registryFile = path.join(dataDir, 'builders.csv');
+fs.writeFileSync(registryFile, [
+  'Registration Number,Builder Name,Company Name,Status,Expiry Date',
+  'REG12345,Sam Builder,Acme Homes,active,2099-12-31',
+  'REG12399,Lee Mason,Mason Homes,suspended,',
+  'REG55555,Jo Bricks,Bricks Ltd,active,2020-01-31'
+].join('\n'));
+process.env.BUILDER_REGISTRY_FILE = registryFile;
+
+const { getRegistrationStatus, importBuilders, parseRegistryFile, VERIFICATION_STATUS } = await import('../services/builderRegistry.js');
+
+describe('builder registry lookup', () => {
+  before(() => importBuilders(parseRegistryFile(fs.readFileSync(registryFile), registryFile), 'file'));
+
+  it('gives the status of a complete registration number, typed in any case or spacing', () => {
+    assert.deepEqual(getRegistrationStatus(' reg 12345'), { status: VERIFICATION_STATUS.VERIFIED, label: 'Verified' });
+    assert.equal(getRegistrationStatus('REG12399').status, VERIFICATION_STATUS.SUSPENDED);
+    assert.equal(getRegistrationStatus('REG55555').status, VERIFICATION_STATUS.EXPIRED);
+  });
+
+  it('does not match part of a registration number', () => {
+    assert.equal(getRegistrationStatus('REG123').status, VERIFICATION_STATUS.UNKNOWN);
+    assert.equal(getRegistrationStatus('REG%').status, VERIFICATION_STATUS.UNKNOWN);
+  });
+
+  describe('public endpoint', () => {
+    let server;
+    before(async () => {
+      server = await startServer();
+    });
+    after(() => server.stop());
+
+    it('answers with the status only, never the builder\'s details', async () => {
+      // The server shares the registry loaded above
+      const response = await fetch(`${server.baseUrl}/api/builders/REG12345`);
+      const body = await response.json();
+
+      assert.deepEqual(body.registration, { status: VERIFICATION_STATUS.VERIFIED, label: 'Verified' });
+      const text = JSON.stringify(body);
+      for (const value of ['Sam Builder', 'Acme Homes', '2099-12-31']) {
+        assert.equal(text.includes(value), false, `"${value}" is in the answer`);
+      }
+    });
+
+    it('no longer lists builders matching the start of a number', async () => {
+      const response = await fetch(`${server.baseUrl}/api/builders?q=REG12`);
+      const text = await response.text();
+      assert.equal(text.includes('REG12345'), false);
+      assert.equal(text.includes('Acme Homes'), false);
+    });
+  });
+});
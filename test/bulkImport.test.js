@@ -0,0 +1,141 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import ExcelJS from 'exceljs';
+import { useTestEnvironment } from './helpers.js';
+
+useTestEnvironment();
+
+const { openDatabase } = await import('../services/database.js');
+const { buildResultsFile, buildTemplateFile, getImport, previewImport, ROW_STATUS, runImport } = await import('../services/bulkImport.js');
+const { listEntries, SUBMISSION_SOURCE } = await import('../services/outbox.js');
+const { findDuplicateSubmission, recordSubmission } = await import('../services/submissionGuard.js');
+
+const nationalAdmin = { id: 'admin-1', name: 'Admin', provinces: null };
+const gautengOfficer = { id: 'officer-1', name: 'Officer', provinces: ['Gauteng'] };
+
+const HEADER = 'Home Builder Name and Surname,Company,Reg No,Email Address,Province,Erf Number,Street,Suburb,Town,Postal Code,Competent Person,Notes';
+
+function csv(...rows) {
+  return Buffer.from([HEADER, ...rows].join('\r\n'));
+}
+
+function rowFor(registrationNumber, { province = 'Gauteng', standNumber = '101', suburb = 'Sunnyside', postalCode = '0002' } = {}) {
+  return `Sam Builder,Acme Homes,${registrationNumber},sam@example.com,${province},${standNumber},1 Main Road,${suburb},Pretoria,${postalCode},Jo Engineer,note`;
+}
+
+function statuses(result) {
+  return result.rows.map(row => `${row.row}:${row.status}`);
+}
+
+function claimCount() {
+  return openDatabase('idempotency.db').prepare('SELECT COUNT(*) AS count FROM submission_claims').get().count;
+}
+
+describe('bulk import dry run', () => {
+  it('reports every row without queueing or claiming anything', async () => {
+    const preview = await previewImport(csv(
+      rowFor('DRY-1', { postalCode: '2' }),
+      rowFor('DRY-2', { suburb: '' }),
+      rowFor('DRY-1', { postalCode: '0002' }),
+      rowFor('DRY-3', { postalCode: '8001' })
+    ), 'units.csv', nationalAdmin);
+
+    assert.deepEqual(statuses(preview), ['2:ready', '3:invalid', '4:duplicate', '5:ready']);
+    assert.deepEqual(preview.summary, { total: 4, ready: 2, invalid: 1, duplicate: 1, imported: 0, failed: 0 });
+    assert.deepEqual(preview.ignoredColumns, ['Notes']);
+
+    const [first, missingSuburb, repeated, otherProvince] = preview.rows;
+    assert.equal(first.values.postalCode, '0002');
+    assert.ok(missingSuburb.errors.length > 0);
+    assert.deepEqual(repeated.warnings, ['Same application as row 2']);
+    assert.equal(otherProvince.warnings.length, 1);
+    assert.equal('formData' in first, false);
+
+    assert.equal(listEntries().length, 0);
+    assert.equal(claimCount(), 0);
+  });
+
+  it('reports an application that was already received with its reference', async () => {
+    const formData = { province: 'Gauteng', registrationNumber: 'DRY-4', standNumber: '101', streetAddress: '1 Main Road', suburb: 'Sunnyside', city: 'Pretoria', postalCode: '0002' };
+    recordSubmission('NHBRC100017', formData);
+
+    const preview = await previewImport(csv(rowFor('DRY-4')), 'units.csv', nationalAdmin);
+    assert.equal(preview.rows[0].status, ROW_STATUS.DUPLICATE);
+    assert.equal(preview.rows[0].referenceNumber, 'NHBRC100017');
+  });
+
+  it('only lets a provincial officer import for their own provinces', async () => {
+    const preview = await previewImport(csv(rowFor('DRY-5'), rowFor('DRY-6', { province: 'Limpopo', postalCode: '0699' })), 'units.csv', gautengOfficer);
+
+    assert.deepEqual(statuses(preview), ['2:ready', '3:invalid']);
+    assert.match(preview.rows[1].errors.join(), /only import submissions for Gauteng/);
+  });
+
+  it('reads Excel files, including numeric postal codes', async () => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Units');
+    sheet.addRow(HEADER.split(','));
+    sheet.addRow(['Sam Builder', 'Acme Homes', 'DRY-7', 'sam@example.com', 'Gauteng', 101, '1 Main Road', 'Sunnyside', 'Pretoria', 2, 'Jo Engineer']);
+
+    const preview = await previewImport(Buffer.from(await workbook.xlsx.writeBuffer()), 'units.xlsx', nationalAdmin);
+    assert.equal(preview.format, 'xlsx');
+    assert.equal(preview.rows[0].status, ROW_STATUS.READY, preview.rows[0].errors.join());
+    assert.equal(preview.rows[0].values.postalCode, '0002');
+    assert.equal(preview.rows[0].values.standNumber, '101');
+  });
+
+  it('accepts its own template', async () => {
+    const template = await buildTemplateFile('csv');
+    const row = ['Sam Builder', 'Acme Homes', 'DRY-8', 'sam@example.com', 'Gauteng', '101', '1 Main Road', 'Sunnyside', 'Pretoria', 'City of Tshwane', '0002', 'Jo Engineer'];
+    const content = Buffer.from(`${template.content.toString().trim()}\r\n${row.join(',')}`);
+
+    const preview = await previewImport(content, template.fileName, nationalAdmin);
+    assert.deepEqual(preview.ignoredColumns, []);
+    assert.equal(preview.rows[0].status, ROW_STATUS.READY, preview.rows[0].errors.join());
+  });
+
+  it('refuses files it cannot import', async () => {
+    await assert.rejects(previewImport(csv(rowFor('DRY-9')), 'units.txt', nationalAdmin), { statusCode: 400, message: /\.csv or \.xlsx/ });
+    await assert.rejects(previewImport(csv(), 'units.csv', nationalAdmin), { statusCode: 400, message: /no rows/ });
+    await assert.rejects(previewImport(Buffer.from('Name,Email\r\nSam,sam@example.com'), 'units.csv', nationalAdmin), { statusCode: 400, message: /no column for/ });
+  });
+});
+
+describe('bulk import', () => {
+  it('queues the rows the dry run reported ready, and reports them as duplicates the next time', async () => {
+    const content = csv(rowFor('RUN-1'), rowFor('RUN-2', { suburb: '' }), rowFor('RUN-1'), rowFor('RUN-3', { standNumber: '102' }));
+    const preview = await previewImport(content, 'units.csv', nationalAdmin);
+    const result = await runImport(content, 'units.csv', nationalAdmin);
+
+    assert.deepEqual(statuses(result), ['2:imported', '3:invalid', '4:duplicate', '5:imported']);
+    assert.deepEqual(
+      preview.rows.filter(row => row.status === ROW_STATUS.READY).map(row => row.row),
+      result.rows.filter(row => row.status === ROW_STATUS.IMPORTED).map(row => row.row)
+    );
+
+    const [first, , repeated, last] = result.rows;
+    assert.equal(repeated.referenceNumber, first.referenceNumber);
+    const queued = listEntries().filter(entry => [first.referenceNumber, last.referenceNumber].includes(entry.referenceNumber));
+    assert.equal(queued.length, 2);
+    assert.ok(queued.every(entry => entry.source === SUBMISSION_SOURCE.IMPORT && entry.files.length === 0));
+
+    const again = await runImport(content, 'units.csv', nationalAdmin);
+    assert.deepEqual(statuses(again), ['2:duplicate', '3:invalid', '4:duplicate', '5:duplicate']);
+    assert.equal(again.rows[3].referenceNumber, last.referenceNumber);
+    assert.equal(findDuplicateSubmission(result.rows[0].values).referenceNumber, first.referenceNumber);
+  });
+
+  it('keeps the results for the user who imported them and national admins, with formulas defused', async () => {
+    const result = await runImport(csv(rowFor('RUN-4').replace('Jo Engineer', '=Jo Engineer')), 'units.csv', gautengOfficer);
+
+    // Another officer of the same province does not see them
+    assert.equal(getImport(result.importId, { id: 'officer-2', provinces: ['Gauteng'] }), null);
+    assert.equal(getImport(result.importId, nationalAdmin).id, result.importId);
+    assert.equal(getImport('no-such-import', nationalAdmin), null);
+    const saved = getImport(result.importId, gautengOfficer);
+    assert.deepEqual(saved.summary, result.summary);
+
+    const { content } = await buildResultsFile(saved, 'csv');
+    assert.match(content.toString(), /'=Jo Engineer/);
+  });
+});
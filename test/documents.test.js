@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SUBMISSION_SCHEMA } from '../config/submissionSchema.js';
+import { attachedFileNames, buildListFields, parseDocuments, parseFileResults } from '../services/storage/fields.js';
+import { FILE_RESULT_STATUS, getCategoryLabel, getDocumentMetadata } from '../services/storage/files.js';
+import { validateDocumentCategory } from '../services/validation.js';
+
+const plan = {
+  name: 'plan.pdf',
+  storedName: 'NHBRC1-plan.pdf',
+  size: 2048,
+  mimeType: 'application/pdf',
+  sha256: 'ab'.repeat(32),
+  itemId: 'drive-item-1',
+  category: 'buildingPlans',
+  url: 'https://example.test/NHBRC1-plan.pdf'
+};
+
+describe('document details', () => {
+  it('records each uploaded document on the list item, with its type for filtering', () => {
+    const fields = buildListFields({
+      builderName: 'Sam Builder',
+      referenceNumber: 'NHBRC1',
+      fileResults: [
+        { ...plan, status: FILE_RESULT_STATUS.UPLOADED },
+        { name: 'd1.pdf', storedName: 'NHBRC1-d1.pdf', size: 10, category: 'd1Form', status: FILE_RESULT_STATUS.UPLOADED, url: 'https://example.test/NHBRC1-d1.pdf' },
+        { name: 'photo.png', status: FILE_RESULT_STATUS.FAILED, reason: 'The file could not be stored' }
+      ]
+    });
+
+    const documents = JSON.parse(fields.Documents);
+    assert.deepEqual(documents[0], plan);
+    assert.equal(documents.length, 2);
+    assert.equal(fields.DocumentCategories, 'Building plans, D1 Form');
+    assert.deepEqual(parseDocuments(fields), documents);
+    assert.deepEqual(attachedFileNames(fields), ['NHBRC1-plan.pdf', 'NHBRC1-d1.pdf']);
+  });
+
+  it('reads the documents of items saved before the details were recorded', () => {
+    const fields = { Attachments: 'https://example.test/NHBRC1-plan.pdf, https://example.test/NHBRC1-title%20deed.pdf' };
+
+    assert.deepEqual(parseDocuments(fields).map(document => document.storedName), ['NHBRC1-plan.pdf', 'NHBRC1-title deed.pdf']);
+    assert.deepEqual(parseFileResults(fields).map(result => result.status), [FILE_RESULT_STATUS.UPLOADED, FILE_RESULT_STATUS.UPLOADED]);
+    assert.deepEqual(parseDocuments({ Documents: 'edited by hand', Attachments: plan.url }).map(document => document.url), [plan.url]);
+    assert.deepEqual(parseDocuments({}), []);
+  });
+
+  it('defaults a document without a category to the schema\'s default', () => {
+    const metadata = getDocumentMetadata({ size: 10, mimetype: 'application/pdf', sha256: 'cd'.repeat(32) });
+    assert.deepEqual(metadata, { size: 10, mimeType: 'application/pdf', sha256: 'cd'.repeat(32), category: SUBMISSION_SCHEMA.files.defaultCategory });
+    assert.equal(getCategoryLabel('appendix'), 'Appendix');
+    assert.equal(getCategoryLabel('unlisted'), 'unlisted');
+  });
+
+  it('accepts only the schema\'s categories', () => {
+    assert.equal(validateDocumentCategory(SUBMISSION_SCHEMA.files, 'd1Form'), null);
+    assert.equal(validateDocumentCategory(SUBMISSION_SCHEMA.files, undefined), null);
+    assert.match(validateDocumentCategory(SUBMISSION_SCHEMA.files, 'selfie'), /^Unknown document type "selfie"/);
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'stream';
+import { useTestEnvironment } from './helpers.js';
+
+useTestEnvironment();
+
+const { createDraft, deleteDraft, getDraft, updateDraft } = await import('../services/draftStore.js');
+const { appendChunk, createUpload } = await import('../services/uploadStore.js');
+const { getFormDefinition } = await import('../config/formDefinition.js');
+
+async function finishedUpload() {
+  const upload = await createUpload({ fileName: 'plan.pdf', size: 4 });
+  return appendChunk(upload.id, { start: 0, end: 3, total: 4 }, Readable.from([Buffer.from('plan')]));
+}
+
+describe('drafts', () => {
+  it('keeps only the schema fields, cut to their maximum length', () => {
+    const draft = createDraft({
+      formData: { builderName: 'Sam Builder', companyName: 'A'.repeat(500), isAdmin: 'true', email: 42 },
+      step: 2,
+      uploadIds: []
+    });
+
+    assert.match(draft.token, /^[A-Za-z0-9_-]{32}$/);
+    assert.deepEqual(draft.formData, { builderName: 'Sam Builder', companyName: 'A'.repeat(150) });
+    assert.equal(draft.step, 2);
+  });
+
+  it('keeps the step within the wizard', () => {
+    const stepCount = getFormDefinition().steps.length;
+    assert.equal(createDraft({ formData: {}, step: 99, uploadIds: [] }).step, stepCount);
+    assert.equal(createDraft({ formData: {}, step: -1, uploadIds: [] }).step, 1);
+    assert.equal(createDraft({ formData: {}, step: 'next', uploadIds: [] }).step, 1);
+  });
+
+  it('keeps only finished uploads', async () => {
+    const finished = await finishedUpload();
+    const partial = await createUpload({ fileName: 'plan.pdf', size: 4 });
+
+    const draft = createDraft({ formData: {}, step: 3, uploadIds: [finished.id, partial.id, 'unknown'] });
+    assert.deepEqual(draft.uploadIds, [finished.id]);
+  });
+
+  it('updates a draft under the same token until it is deleted', () => {
+    const { token, createdAt } = createDraft({ formData: { builderName: 'Sam' }, step: 1, uploadIds: [] });
+
+    const updated = updateDraft(token, { formData: { builderName: 'Sam Builder' }, step: 2, uploadIds: [] });
+    assert.equal(updated.formData.builderName, 'Sam Builder');
+    assert.equal(updated.createdAt, createdAt);
+
+    deleteDraft(token);
+    assert.equal(getDraft(token), null);
+    assert.throws(() => updateDraft(token, { formData: {}, step: 1, uploadIds: [] }), { statusCode: 404 });
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { useTestEnvironment } from './helpers.js';
+
+const dataDir = useTestEnvironment();
+const mailDir = path.join(dataDir, 'mail');
+process.env.MAIL_FILE_DIR = mailDir;
+
+const { getMailTransport } = await import('../services/mail/index.js');
+const { renderConfirmationEmail } = await import('../services/mail/templates.js');
+const { sendConfirmationEmail } = await import('../services/email.js');
+
+function submission(formData) {
+  return {
+    referenceNumber: 'GP-2026-000001-7',
+    province: 'Gauteng',
+    formData: {
+      builderName: 'Sam <Builder>',
+      companyName: 'Acme & Sons',
+      registrationNumber: 'REG123',
+      email: 'sam@example.com',
+      province: 'Gauteng',
+      propertyDetails: 'Stand 101, Sunnyside',
+      competentPerson: 'Jo Engineer',
+      ...formData
+    },
+    files: [{ originalname: 'plan.pdf', size: 2048, sha256: 'ab'.repeat(32) }],
+    submittedAt: '2026-03-01T08:00:00.000Z'
+  };
+}
+
+describe('confirmation email', () => {
+  it('refuses an unknown transport', () => {
+    process.env.MAIL_TRANSPORT = 'pigeon';
+    try {
+      assert.throws(() => getMailTransport(), /Unknown MAIL_TRANSPORT "pigeon"/);
+    } finally {
+      process.env.MAIL_TRANSPORT = 'file';
+    }
+  });
+
+  it('quotes the reference and lists the documents, escaping the builder\'s values in HTML', () => {
+    const { subject, html, text } = renderConfirmationEmail(submission());
+
+    assert.equal(subject, 'NHBRC submission received - GP-2026-000001-7');
+    assert.match(text, /^Dear Sam <Builder>,/);
+    assert.match(text, /- plan\.pdf \(2\.0 KB/);
+    assert.match(html, /Dear Sam &lt;Builder&gt;,/);
+    assert.match(html, /Acme &amp; Sons/);
+    assert.doesNotMatch(html, /<Builder>/);
+  });
+
+  it('writes the message for the builder, with the receipt attached, with the file transport', async () => {
+    const info = await sendConfirmationEmail(submission());
+
+    assert.equal(path.dirname(info.path), mailDir);
+    const message = fs.readFileSync(info.path, 'utf8');
+    assert.match(message, /^To: sam@example\.com$/m);
+    assert.match(message, /^Subject: NHBRC submission received - GP-2026-000001-7$/m);
+    assert.match(message, /filename=GP-2026-000001-7-receipt\.pdf/);
+  });
+
+  it('sends nothing without an email address', async () => {
+    assert.equal(await sendConfirmationEmail(submission({ email: '' })), null);
+  });
+});
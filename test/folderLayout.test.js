@@ -0,0 +1,48 @@
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestEnvironment } from './helpers.js';
+
+useTestEnvironment();
+
+const { buildDocumentFolder, getFolderTemplates, sanitiseFolderName } = await import('../services/storage/folderLayout.js');
+
+const formData = { builderName: 'Sam Builder', registrationNumber: 'reg 123', referenceNumber: 'NHBRC100014', submittedAt: '2026-03-31T23:30:00Z' };
+
+describe('document folders', () => {
+  afterEach(() => {
+    delete process.env.DOCUMENT_FOLDER_TEMPLATE;
+    delete process.env.DOCUMENT_FOLDER_TEMPLATE_GAUTENG;
+  });
+
+  it('gives every submission a folder of its own by default', () => {
+    assert.equal(buildDocumentFolder(formData, 'Gauteng'), 'D1 Documents/REG123/NHBRC100014');
+    assert.notEqual(
+      buildDocumentFolder({ ...formData, referenceNumber: 'NHBRC100025' }, 'Gauteng'),
+      buildDocumentFolder(formData, 'Gauteng')
+    );
+  });
+
+  it('keeps the flat per-builder layout when it is configured', () => {
+    process.env.DOCUMENT_FOLDER_TEMPLATE = '{builderName}';
+    assert.equal(buildDocumentFolder(formData, 'Gauteng'), 'D1 Documents/Sam Builder');
+  });
+
+  it('prefers the province template and dates folders in South African time', () => {
+    process.env.DOCUMENT_FOLDER_TEMPLATE = '{builderName}';
+    process.env.DOCUMENT_FOLDER_TEMPLATE_GAUTENG = '{provinceCode}/{year}/{month}/{referenceNumber}';
+
+    assert.equal(buildDocumentFolder(formData, 'Gauteng'), 'D1 Documents/GP/2026/04/NHBRC100014');
+    assert.equal(buildDocumentFolder(formData, 'Limpopo', { fallback: true }), 'Shared Documents/Sam Builder');
+  });
+
+  it('refuses an unknown placeholder', () => {
+    process.env.DOCUMENT_FOLDER_TEMPLATE = '{builder}';
+    assert.throws(() => getFolderTemplates(), /builder/);
+  });
+
+  it('cleans names SharePoint would refuse', () => {
+    assert.equal(sanitiseFolderName('  ..Acme: "Homes"?  '), 'Acme Homes');
+    assert.equal(sanitiseFolderName('CON'), 'CON folder');
+    assert.equal(sanitiseFolderName(''), 'Unspecified');
+  });
+});
@@ -0,0 +1,37 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getFormDefinition } from '../config/formDefinition.js';
+import { PROVINCES } from '../config/provinces.js';
+import { SUBMISSION_SCHEMA } from '../config/submissionSchema.js';
+
+function wizardFields(definition) {
+  return definition.steps.flatMap(step => [...(step.fields || []), ...(step.repeat?.fields || [])]);
+}
+
+describe('form definition', () => {
+  it('shows every schema field on a step, once', () => {
+    const names = wizardFields(getFormDefinition()).map(field => field.name);
+    assert.deepEqual([...names].sort(), Object.keys(SUBMISSION_SCHEMA.fields).sort());
+  });
+
+  it('merges each field\'s schema rule into its layout', () => {
+    for (const field of wizardFields(getFormDefinition())) {
+      const rule = SUBMISSION_SCHEMA.fields[field.name];
+      assert.equal(field.label, rule.label, field.name);
+      assert.equal(Boolean(field.required), Boolean(rule.required), field.name);
+      assert.ok(field.type, `${field.name} has an input type`);
+    }
+  });
+
+  it('ends with the documents and review steps', () => {
+    const types = getFormDefinition().steps.map(step => step.type);
+    assert.deepEqual(types.slice(-2), ['files', 'review']);
+  });
+
+  it('serves the provinces and the file rules of the schema', () => {
+    const definition = getFormDefinition();
+    assert.deepEqual(definition.provinces, PROVINCES.map(p => p.name));
+    assert.deepEqual(definition.files, SUBMISSION_SCHEMA.files);
+    assert.deepEqual(JSON.parse(JSON.stringify(definition.schema)), SUBMISSION_SCHEMA);
+  });
+});
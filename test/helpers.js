@@ -0,0 +1,148 @@
+import { spawn } from 'child_process';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const SERVER_SCRIPT = fileURLToPath(new URL('../server.js', import.meta.url));
+
+/**
+ * Point the services at a fresh data directory (SQLite files, local storage, mail) and keep the
+ * log quiet. Call before importing any service: most read their settings when first imported.
+ * Each test file runs in a process of its own, so the settings never leak between files.
+ * @param {object} [env] - further environment variables for this test file
+ * @returns {string} the data directory, removed when the process exits
+ */
+export function useTestEnvironment(env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'home-builder-test-'));
+  Object.assign(process.env, {
+    DATA_DIR: dataDir,
+    STORAGE_BACKEND: 'local',
+    MAIL_TRANSPORT: 'file',
+    CHALLENGE_PROVIDER: 'disabled',
+    LOG_LEVEL: 'error',
+    ...env
+  });
+  process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+  return dataDir;
+}
+
+/**
+ * Form fields of a valid single-property submission
+ * @param {object} [overrides] - fields to change
+ * @returns {object} form fields
+ */
+export function validFormFields(overrides = {}) {
+  return {
+    builderName: 'Sam Builder',
+    companyName: 'Acme Homes',
+    registrationNumber: 'REG123',
+    email: 'sam@example.com',
+    province: 'Gauteng',
+    standNumber: '101',
+    streetAddress: '1 Main Road',
+    suburb: 'Sunnyside',
+    city: 'Pretoria',
+    postalCode: '0002',
+    competentPerson: 'Jo Engineer',
+    ...overrides
+  };
+}
+
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+    probe.on('error', reject);
+  });
+}
+
+/**
+ * Start server.js in a child process with the test environment and collect its log lines
+ * @param {object} [env] - further environment variables for the server
+ * @returns {Promise<object>} baseUrl, logs() (parsed log lines so far) and stop()
+ */
+export async function startServer(env = {}) {
+  const port = await findFreePort();
+  const child = spawn(process.execPath, [SERVER_SCRIPT], {
+    env: { ...process.env, PORT: String(port), LOG_LEVEL: 'info', ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  const lines = [];
+  let output = '';
+  const collect = chunk => {
+    output += chunk;
+    const complete = output.split('\n');
+    output = complete.pop();
+    for (const line of complete) {
+      try {
+        lines.push(JSON.parse(line));
+      } catch {
+        // Not a log line (e.g. a warning printed by Node)
+      }
+    }
+  };
+  child.stdout.on('data', collect);
+  child.stderr.on('data', collect);
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('Server did not start within 15 seconds')), 15000);
+    child.once('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with code ${code}`));
+    });
+    child.stdout.on('data', () => {
+      if (lines.some(line => line.message === 'Server started')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+  });
+
+  return {
+    baseUrl: `http://127.0.0.1:${port}`,
+    logs: () => lines,
+    stop: () => new Promise(resolve => {
+      if (child.exitCode !== null) return resolve();
+      child.once('exit', resolve);
+      child.kill();
+    })
+  };
+}
+
+/**
+ * Send the builder form as multipart/form-data, the way the wizard does
+ * @param {string} baseUrl - server address
+ * @param {object} fields - form fields
+ * @param {object} [options]
+ * @param {Array<object>} [options.files] - documents: { name, content }
+ * @param {object} [options.headers] - request headers
+ * @returns {Promise<object>} status, headers and parsed body
+ */
+export async function submitForm(baseUrl, fields, { files = [], headers = {} } = {}) {
+  const form = new FormData();
+  for (const [name, value] of Object.entries(fields)) form.append(name, value);
+  files.forEach(({ name, content }, index) => form.append(`fileUpload[${index}]`, new Blob([content]), name));
+
+  const response = await fetch(`${baseUrl}/api/submit-form`, { method: 'POST', body: form, headers });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+/**
+ * Wait until a condition holds, e.g. until the outbox has delivered
+ * @param {Function} condition - returns a truthy value when done
+ * @param {number} [timeoutMs] - how long to wait
+ * @returns {Promise<*>} the condition's value
+ */
+export async function waitFor(condition, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await condition();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
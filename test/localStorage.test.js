@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { useTestEnvironment } from './helpers.js';
+
+const dataDir = useTestEnvironment();
+
+const { createLocalStorage } = await import('../services/storage/localStorage.js');
+
+const submission = {
+  referenceNumber: 'NHBRC-LOCAL-1',
+  province: 'Gauteng',
+  builderName: 'Sam Builder',
+  companyName: 'Acme Homes',
+  registrationNumber: 'REG123',
+  propertyDetails: 'Stand 101, Sunnyside',
+  competentPerson: 'Jo Engineer'
+};
+
+describe('local storage', () => {
+  const storage = createLocalStorage({ rootDir: path.join(dataDir, 'local-storage') });
+
+  it('saves a record with the list columns and finds it by reference and province', async () => {
+    const { id } = await storage.createRecord(submission, 'Gauteng');
+
+    const record = await storage.findRecord('NHBRC-LOCAL-1', 'Gauteng');
+    assert.equal(record.id, id);
+    assert.equal(record.province, 'Gauteng');
+    assert.equal(record.fields.Title, 'Sam Builder');
+    assert.equal(record.fields.ReferenceNumber, 'NHBRC-LOCAL-1');
+    assert.equal(record.fields.RegistrationNumber, 'REG123');
+    assert.equal(record.fields.PropertyDetails, 'Stand 101, Sunnyside');
+
+    assert.equal(await storage.findRecord('NHBRC-LOCAL-1', 'Limpopo'), null);
+    assert.equal(await storage.findRecord('NHBRC-LOCAL-2', 'Gauteng'), null);
+  });
+
+  it('finds the latest record saved under a reference', async () => {
+    await storage.createRecord({ ...submission, referenceNumber: 'NHBRC-LOCAL-3', competentPerson: 'First' }, 'Gauteng');
+    const { id } = await storage.createRecord({ ...submission, referenceNumber: 'NHBRC-LOCAL-3', competentPerson: 'Second' }, 'Gauteng');
+
+    const record = await storage.findRecord('NHBRC-LOCAL-3', 'Gauteng');
+    assert.equal(record.id, id);
+    assert.equal(record.fields.CompetentPerson, 'Second');
+  });
+
+  it('keeps its records when opened again', async () => {
+    const reopened = createLocalStorage({ rootDir: path.join(dataDir, 'local-storage') });
+    assert.equal((await reopened.findRecord('NHBRC-LOCAL-1', 'Gauteng')).fields.CompanyName, 'Acme Homes');
+  });
+});
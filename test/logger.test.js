@@ -0,0 +1,56 @@
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestEnvironment } from './helpers.js';
+
+useTestEnvironment({ LOG_LEVEL: 'info' });
+
+const { logger, redactSubmissionValues, runWithCorrelationId } = await import('../services/logger.js');
+
+// Log lines written while running fn, parsed
+function capture(fn) {
+  const lines = [];
+  mock.method(process.stdout, 'write', line => {
+    lines.push(JSON.parse(line));
+    return true;
+  });
+  try {
+    fn();
+  } finally {
+    mock.restoreAll();
+  }
+  return lines;
+}
+
+describe('logger', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('redacts personal fields by name, at any depth', () => {
+    const [line] = capture(() => logger.info('Submission', {
+      builderName: 'Sam Builder',
+      recipient: 'sam@example.com',
+      formData: { registration_number: 'REG123', streetAddress: '1 Main Road', competentPerson: 'Jo Engineer' }
+    }));
+
+    assert.equal(line.builderName, '[REDACTED]');
+    assert.equal(line.recipient, '[REDACTED]');
+    assert.deepEqual(line.formData, { registration_number: '[REDACTED]', streetAddress: '[REDACTED]', competentPerson: '[REDACTED]' });
+  });
+
+  it('keeps generic fields such as a title or a destination', () => {
+    const [line] = capture(() => logger.info('Moved document', { title: 'Basic Information', to: 'D1 Documents/_Quarantine', province: 'Gauteng' }));
+
+    assert.equal(line.title, 'Basic Information');
+    assert.equal(line.to, 'D1 Documents/_Quarantine');
+    assert.equal(line.province, 'Gauteng');
+  });
+
+  it('masks a submission\'s values inside other fields once it has been read', () => {
+    const [line] = capture(() => runWithCorrelationId('logger-test', () => {
+      redactSubmissionValues({ builderName: 'Thandiwe Nkosi' });
+      logger.info('Stored file', { filePath: 'documents/thandiwe_nkosi_NHBRC1.pdf' });
+    }));
+
+    assert.equal(line.correlationId, 'logger-test');
+    assert.equal(line.filePath, 'documents/[REDACTED]_NHBRC1.pdf');
+  });
+});
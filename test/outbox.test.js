@@ -0,0 +1,183 @@
+import { after, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { useTestEnvironment } from './helpers.js';
+
+const dataDir = useTestEnvironment({ OUTBOX_MAX_ATTEMPTS: '2', OUTBOX_BASE_DELAY_MS: '1', OUTBOX_MAX_DELAY_MS: '1' });
+
+const { openDatabase } = await import('../services/database.js');
+const { drainOutbox, enqueueSubmission, findEntryByReference, getEntry, getBackoffDelay, OUTBOX_STATUS, purgeDeliveredEntries, replayEntry, SUBMISSION_SOURCE } = await import('../services/outbox.js');
+const { getStorage } = await import('../services/storage/index.js');
+const { FILE_RESULT_STATUS } = await import('../services/storage/files.js');
+
+const db = openDatabase('outbox.db');
+let sequence = 0;
+
+function queue(options = {}) {
+  sequence += 1;
+  return enqueueSubmission({
+    referenceNumber: `NHBRC9000${sequence}`,
+    province: 'Gauteng',
+    formData: { builderName: 'Sam Builder', province: 'Gauteng', propertyDetails: 'Stand 101, Sunnyside' },
+    ...options
+  });
+}
+
+// Confirmation emails written by the file transport that mention a reference number
+function mailsFor(referenceNumber) {
+  const mailDir = path.join(dataDir, 'mail');
+  if (!fs.existsSync(mailDir)) return [];
+  return fs.readdirSync(mailDir).filter(name => fs.readFileSync(path.join(mailDir, name), 'utf8').includes(referenceNumber));
+}
+
+function setRow(id, fields) {
+  const columns = Object.keys(fields);
+  db.prepare(`UPDATE outbox_entries SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`)
+    .run(...Object.values(fields), id);
+}
+
+describe('outbox', () => {
+  beforeEach(() => mock.restoreAll());
+  after(() => mock.restoreAll());
+
+  it('delivers a queued submission and records the list item', async () => {
+    const entry = await queue();
+    await drainOutbox();
+
+    const delivered = getEntry(entry.id);
+    assert.equal(delivered.status, OUTBOX_STATUS.DELIVERED);
+    assert.equal(delivered.attempts, 1);
+    assert.ok(delivered.result.itemId);
+  });
+
+  it('retries a failed delivery, then moves it to dead after the last attempt', async () => {
+    mock.method(getStorage(), 'createRecord', async () => {
+      throw new Error('List unavailable');
+    });
+    const entry = await queue();
+
+    await drainOutbox();
+    let current = getEntry(entry.id);
+    assert.equal(current.status, OUTBOX_STATUS.PENDING);
+    assert.equal(current.attempts, 1);
+    assert.equal(current.lastError, 'List unavailable');
+
+    setRow(entry.id, { next_attempt_at: new Date(0).toISOString() });
+    await drainOutbox();
+    current = getEntry(entry.id);
+    assert.equal(current.status, OUTBOX_STATUS.DEAD);
+    assert.equal(current.attempts, 2);
+
+    // A dead entry is not picked up again until it is replayed
+    await drainOutbox();
+    assert.equal(getEntry(entry.id).attempts, 2);
+
+    mock.restoreAll();
+    replayEntry(entry.id);
+    await drainOutbox();
+    assert.equal(getEntry(entry.id).status, OUTBOX_STATUS.DELIVERED);
+  });
+
+  it('keeps the upload progress of an abandoned delivery apart from the documents it discarded', async () => {
+    const files = ['plan.pdf', 'title-deed.pdf'].map(name => {
+      const filePath = path.join(dataDir, `upload-${sequence}-${name}`);
+      fs.writeFileSync(filePath, name);
+      return { originalname: name, mimetype: 'application/pdf', size: name.length, path: filePath };
+    });
+    mock.method(getStorage(), 'storeFiles', async storedFiles => storedFiles.map(file => ({
+      name: file.originalname,
+      status: FILE_RESULT_STATUS.UPLOADED,
+      storedName: file.originalname,
+      path: `D1 Documents/Gauteng/${file.originalname}`,
+      url: `https://example.test/${file.originalname}`
+    })));
+    mock.method(getStorage(), 'createRecord', async () => {
+      throw new Error('List unavailable');
+    });
+    // The second document is locked and cannot be quarantined
+    mock.method(getStorage(), 'discardFiles', async paths => [
+      { path: paths[0], done: true },
+      { path: paths[1], done: false, error: 'Locked' }
+    ]);
+    const entry = await queue({ files });
+
+    await drainOutbox();
+    setRow(entry.id, { next_attempt_at: new Date(0).toISOString() });
+    await drainOutbox();
+
+    const { progress, status } = getEntry(entry.id);
+    assert.equal(status, OUTBOX_STATUS.DEAD);
+    assert.deepEqual(progress.compensation.discarded, ['D1 Documents/Gauteng/plan.pdf']);
+    assert.equal(progress.compensation.failed[0].error, 'Locked');
+    assert.deepEqual(progress.uploadSessions[0], {});
+    assert.equal(progress.uploadSessions[1].webUrl, 'https://example.test/title-deed.pdf');
+
+    // A replay uploads only the discarded document again
+    mock.restoreAll();
+    const storeFiles = mock.method(getStorage(), 'storeFiles');
+    replayEntry(entry.id);
+    await drainOutbox();
+    assert.equal(getEntry(entry.id).status, OUTBOX_STATUS.DELIVERED);
+    const { fileResults } = getEntry(entry.id).result;
+    assert.equal(storeFiles.mock.callCount(), 1);
+    assert.notEqual(fileResults[0].url, 'https://example.test/plan.pdf');
+    assert.equal(fileResults[1].url, 'https://example.test/title-deed.pdf');
+  });
+
+  it('removes delivered entries once they are past the retention period', async () => {
+    const expired = await queue();
+    const recent = await queue();
+    const failed = await queue();
+    await drainOutbox();
+    setRow(expired.id, { delivered_at: new Date(Date.now() - 31 * 24 * 60 * 60 * 1000).toISOString() });
+    setRow(failed.id, { status: OUTBOX_STATUS.DEAD, delivered_at: null, updated_at: new Date(0).toISOString() });
+
+    assert.equal(await purgeDeliveredEntries(), 1);
+    assert.equal(getEntry(expired.id), null);
+    assert.equal(findEntryByReference(expired.referenceNumber), null);
+    assert.equal(getEntry(recent.id).status, OUTBOX_STATUS.DELIVERED);
+    assert.equal(getEntry(failed.id).status, OUTBOX_STATUS.DEAD);
+  });
+
+  it('emails a confirmation for a form submission but not for an imported enrolment', async () => {
+    const formData = { builderName: 'Sam Builder', email: 'sam@example.com', province: 'Gauteng', propertyDetails: 'Stand 101, Sunnyside' };
+    const submitted = await queue({ formData });
+    const imported = await queue({ formData, source: SUBMISSION_SOURCE.IMPORT });
+    await drainOutbox();
+
+    assert.equal(getEntry(submitted.id).source, SUBMISSION_SOURCE.FORM);
+    assert.equal(getEntry(imported.id).status, OUTBOX_STATUS.DELIVERED);
+    assert.equal(mailsFor(submitted.referenceNumber).length, 1);
+    assert.equal(mailsFor(imported.referenceNumber).length, 0);
+  });
+
+  it('refuses to replay an entry that was delivered', async () => {
+    const entry = await queue();
+    await drainOutbox();
+    assert.throws(() => replayEntry(entry.id), /cannot be replayed/);
+  });
+
+  it('takes back an entry whose worker stopped once its lease has expired, without a restart', async () => {
+    const entry = await queue();
+    setRow(entry.id, { status: OUTBOX_STATUS.PROCESSING, updated_at: new Date(Date.now() - 16 * 60 * 1000).toISOString() });
+
+    await drainOutbox();
+    assert.equal(getEntry(entry.id).status, OUTBOX_STATUS.DELIVERED);
+  });
+
+  it('leaves an entry alone while its lease is current', async () => {
+    const entry = await queue();
+    setRow(entry.id, { status: OUTBOX_STATUS.PROCESSING, updated_at: new Date().toISOString() });
+
+    await drainOutbox();
+    const current = getEntry(entry.id);
+    assert.equal(current.status, OUTBOX_STATUS.PROCESSING);
+    assert.equal(current.attempts, 0);
+  });
+
+  it('doubles the retry delay up to the maximum', () => {
+    assert.equal(getBackoffDelay(1), 1);
+    assert.equal(getBackoffDelay(5), 1);
+  });
+});
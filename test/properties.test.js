@@ -0,0 +1,71 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestEnvironment, validFormFields } from './helpers.js';
+
+useTestEnvironment();
+
+const { buildPropertyRecords, getItemReference, getProperties, getPropertyReferences } = await import('../services/properties.js');
+const { validateSubmission } = await import('../services/validation.js');
+const { drainOutbox, enqueueSubmission } = await import('../services/outbox.js');
+const { allocateReference } = await import('../services/referenceAllocator.js');
+const { getStorage } = await import('../services/storage/index.js');
+const { getSubmissionStatus } = await import('../services/submissionStatus.js');
+
+const { standNumber, streetAddress, suburb, city, postalCode, competentPerson, ...shared } = validFormFields();
+const property = { standNumber, streetAddress, suburb, city, postalCode, competentPerson };
+const plan = [{ originalname: 'plan.pdf', size: 100 }];
+
+describe('properties of a submission', () => {
+  it('gives a single property the submission\'s reference', () => {
+    const formData = { ...shared, ...property, referenceNumber: 'GP-2026-000001-7' };
+
+    assert.deepEqual(getProperties(formData), [formData]);
+    assert.deepEqual(getPropertyReferences('GP-2026-000001-7', formData), ['GP-2026-000001-7']);
+    const [record] = buildPropertyRecords(formData);
+    assert.equal(record.referenceNumber, 'GP-2026-000001-7');
+    assert.equal(record.parentReference, undefined);
+  });
+
+  it('gives each of several properties a reference linked to the submission', () => {
+    const formData = { ...shared, properties: [property, { ...property, standNumber: '102' }], referenceNumber: 'GP-2026-000001-7' };
+
+    const records = buildPropertyRecords(formData);
+    assert.deepEqual(records.map(record => record.referenceNumber), ['GP-2026-000001-7-01', 'GP-2026-000001-7-02']);
+    assert.deepEqual(records.map(record => record.standNumber), ['101', '102']);
+    assert.ok(records.every(record => record.parentReference === 'GP-2026-000001-7' && record.propertyCount === 2 && !record.properties));
+    assert.equal(records[1].propertyNumber, 2);
+
+    assert.equal(getItemReference('GP-2026-000001-7', formData), 'GP-2026-000001-7-01');
+    assert.equal(getItemReference('GP-2026-000001-7-02', formData), 'GP-2026-000001-7-02');
+  });
+
+  it('validates each property and reports errors under its input\'s name', () => {
+    const { errors, values } = validateSubmission({ ...shared, properties: [property, { ...property, suburb: '' }] }, plan);
+
+    assert.deepEqual(Object.keys(errors), ['properties[1][suburb]']);
+    assert.equal(values.properties.length, 2);
+    assert.equal(values.builderName, shared.builderName);
+  });
+
+  it('limits the number of properties', () => {
+    assert.equal(validateSubmission({ ...shared, properties: [] }, plan).errors.properties, 'Please add at least 1 property');
+    const tooMany = Array.from({ length: 21 }, () => property);
+    assert.equal(validateSubmission({ ...shared, properties: tooMany }, plan).errors.properties, 'Maximum of 20 properties allowed per submission');
+  });
+
+  it('stores one linked record per property and answers status for each reference', async () => {
+    const referenceNumber = allocateReference({ province: 'Gauteng' });
+    const properties = [property, { ...property, standNumber: '102' }];
+    await enqueueSubmission({ referenceNumber, province: 'Gauteng', formData: { ...shared, properties } });
+    await drainOutbox();
+
+    const first = await getStorage().findRecord(`${referenceNumber}-01`, 'Gauteng');
+    const second = await getStorage().findRecord(`${referenceNumber}-02`, 'Gauteng');
+    assert.equal(first.fields.ParentReference, referenceNumber);
+    assert.equal(second.fields.PropertyNumber, '2 of 2');
+    assert.equal(second.fields.StandNumber, '102');
+
+    const status = await getSubmissionStatus(`${referenceNumber}-02`, shared.registrationNumber);
+    assert.deepEqual(status.propertyReferences, [`${referenceNumber}-01`, `${referenceNumber}-02`]);
+  });
+});
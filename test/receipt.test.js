@@ -0,0 +1,59 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, useTestEnvironment } from './helpers.js';
+
+useTestEnvironment();
+
+const { buildReceiptPdf, formatFileSize, getReceiptRows } = await import('../services/receipt.js');
+const { allocateReference } = await import('../services/referenceAllocator.js');
+
+describe('receipt contents', () => {
+  it('lists the captured fields that have a value, in schema order', () => {
+    const rows = getReceiptRows({ email: 'sam@example.com', builderName: 'Sam Builder', companyName: '', unknown: 'x' });
+    assert.deepEqual(rows, [
+      { label: 'Home Builder Name and Surname', value: 'Sam Builder' },
+      { label: 'Email Address', value: 'sam@example.com' }
+    ]);
+  });
+
+  it('formats file sizes', () => {
+    assert.equal(formatFileSize(512), '512 bytes');
+    assert.equal(formatFileSize(1536), '1.5 KB');
+    assert.equal(formatFileSize(3 * 1024 * 1024), '3.0 MB');
+  });
+
+  it('renders a PDF', async () => {
+    const pdf = await buildReceiptPdf({
+      referenceNumber: 'GP-2026-000001-7',
+      province: 'Gauteng',
+      formData: { builderName: 'Sam Builder', registrationNumber: 'REG123', province: 'Gauteng' },
+      files: [{ originalname: 'plan.pdf', size: 2048, sha256: 'ab'.repeat(32) }],
+      submittedAt: '2026-03-01T08:00:00.000Z'
+    });
+
+    assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+    assert.match(pdf.subarray(-8).toString(), /%%EOF/);
+  });
+});
+
+describe('receipt download', () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.stop());
+
+  it('needs a valid reference and the registration number', async () => {
+    const referenceNumber = allocateReference({ province: 'Gauteng' });
+
+    const invalid = await fetch(`${server.baseUrl}/api/submissions/NOT-A-REFERENCE/receipt.pdf?registrationNumber=REG123`);
+    assert.equal(invalid.status, 400);
+
+    const anonymous = await fetch(`${server.baseUrl}/api/submissions/${referenceNumber}/receipt.pdf`);
+    assert.equal(anonymous.status, 400);
+    assert.equal((await anonymous.json()).error, 'Registration number is required');
+
+    const unknown = await fetch(`${server.baseUrl}/api/submissions/${referenceNumber}/receipt.pdf?registrationNumber=REG123`);
+    assert.equal(unknown.status, 404);
+  });
+});
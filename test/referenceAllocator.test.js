@@ -0,0 +1,134 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { useTestEnvironment } from './helpers.js';
+
+const dataDir = useTestEnvironment({ REFERENCE_RESERVATION_TTL_MINUTES: '60' });
+
+const { openDatabase } = await import('../services/database.js');
+const {
+  allocateReference, computeCheckDigit, confirmReservation, formatPropertyReference, getParentReference,
+  getReferenceInfo, isLegacyReference, isValidReference, reserveReference
+} = await import('../services/referenceAllocator.js');
+
+const run = promisify(execFile);
+const allocatorUrl = new URL('../services/referenceAllocator.js', import.meta.url).href;
+
+// Allocate references in a separate process that shares this test's data directory
+async function allocateInChildProcess(count, env = {}) {
+  const script = `
+    const { allocateReference } = await import(${JSON.stringify(allocatorUrl)});
+    const references = [];
+    for (let i = 0; i < ${count}; i++) references.push(allocateReference({ province: 'Gauteng' }));
+    console.log(JSON.stringify(references));
+  `;
+  const { stdout } = await run(process.execPath, ['--input-type=module', '-e', script], {
+    env: { ...process.env, ...env },
+    timeout: 30000
+  });
+  return JSON.parse(stdout);
+}
+
+function expireReservation(referenceNumber) {
+  openDatabase('references.db')
+    .prepare('UPDATE reference_reservations SET expires_at = ? WHERE reference_number = ?')
+    .run(new Date(Date.now() - 1000).toISOString(), referenceNumber);
+}
+
+describe('reference check digits', () => {
+  it('accepts allocated references and rejects a mistyped digit or swapped pair', () => {
+    const referenceNumber = allocateReference({ province: 'Gauteng' });
+    assert.ok(isValidReference(referenceNumber));
+    assert.ok(isValidReference(referenceNumber.toLowerCase()));
+
+    const digits = referenceNumber.slice('NHBRC'.length);
+    const mistyped = `NHBRC${digits.slice(0, -2)}${(Number(digits.at(-2)) + 1) % 10}${digits.at(-1)}`;
+    assert.equal(isValidReference(mistyped), false);
+
+    const swapped = `NHBRC${digits.slice(0, -3)}${digits.at(-2)}${digits.at(-3)}${digits.at(-1)}`;
+    if (swapped !== referenceNumber) assert.equal(isValidReference(swapped), false);
+  });
+
+  it('uses the Damm check digit', () => {
+    assert.equal(computeCheckDigit('572'), 4);
+    assert.ok(isValidReference('NHBRC5724'));
+  });
+
+  it('checks a property reference as its submission reference', () => {
+    const referenceNumber = allocateReference({ province: 'Gauteng' });
+    const propertyReference = formatPropertyReference(referenceNumber, 1);
+
+    assert.equal(propertyReference, `${referenceNumber}-02`);
+    assert.equal(getParentReference(propertyReference), referenceNumber);
+    assert.ok(isValidReference(propertyReference));
+    assert.equal(getReferenceInfo(propertyReference).referenceNumber, referenceNumber);
+  });
+
+  it('recognises legacy five-digit references', () => {
+    assert.ok(isLegacyReference('NHBRC10042'));
+    assert.equal(isLegacyReference('NHBRC100428'), false);
+  });
+});
+
+describe('reference reservations', () => {
+  it('confirms a reservation once and refuses a second submission', () => {
+    const { referenceNumber, reservationToken } = reserveReference({ province: 'Gauteng' });
+    assert.equal(getReferenceInfo(referenceNumber).status, 'reserved');
+
+    assert.equal(confirmReservation({ referenceNumber, reservationToken, province: 'Gauteng' }), referenceNumber);
+    assert.equal(getReferenceInfo(referenceNumber).status, 'confirmed');
+    assert.throws(
+      () => confirmReservation({ referenceNumber, reservationToken, province: 'Gauteng' }),
+      error => error.statusCode === 409
+    );
+  });
+
+  it('does not confirm with another reservation token', () => {
+    const first = reserveReference({ province: 'Gauteng' });
+    const second = reserveReference({ province: 'Gauteng' });
+
+    assert.notEqual(first.referenceNumber, second.referenceNumber);
+    assert.equal(confirmReservation({ referenceNumber: first.referenceNumber, reservationToken: second.reservationToken, province: 'Gauteng' }), null);
+  });
+
+  it('does not confirm an expired reservation and hands its number out again', () => {
+    const expired = reserveReference({ province: 'Gauteng' });
+    expireReservation(expired.referenceNumber);
+
+    assert.equal(confirmReservation({ ...expired, province: 'Gauteng' }), null);
+
+    const reused = reserveReference({ province: 'Gauteng' });
+    assert.equal(reused.referenceNumber, expired.referenceNumber);
+    assert.notEqual(reused.reservationToken, expired.reservationToken);
+    // The old token no longer holds the number
+    assert.equal(confirmReservation({ ...expired, province: 'Gauteng' }), null);
+    assert.equal(confirmReservation({ ...reused, province: 'Gauteng' }), reused.referenceNumber);
+  });
+
+  it('never reuses a confirmed number', () => {
+    const referenceNumber = allocateReference({ province: 'Gauteng' });
+    expireReservation(referenceNumber);
+
+    assert.notEqual(reserveReference({ province: 'Gauteng' }).referenceNumber, referenceNumber);
+  });
+});
+
+describe('concurrent allocation', () => {
+  it('never gives two processes sharing the data directory the same number', async () => {
+    const batches = await Promise.all([allocateInChildProcess(25), allocateInChildProcess(25), allocateInChildProcess(25)]);
+    const references = batches.flat();
+
+    assert.equal(references.length, 75);
+    assert.equal(new Set(references).size, 75);
+    assert.ok(references.every(isValidReference));
+  });
+
+  it('keeps a separate yearly sequence per province', async () => {
+    const [reference] = await allocateInChildProcess(1, { REFERENCE_SEQUENCE_SCOPE: 'province-year', DATA_DIR: `${dataDir}/scoped` });
+    const year = new Date().getFullYear();
+
+    assert.match(reference, new RegExp(`^NHBRCGP${year}00001\\d$`));
+    assert.ok(isValidReference(reference));
+  });
+});
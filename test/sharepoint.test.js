@@ -0,0 +1,126 @@
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { useTestEnvironment } from './helpers.js';
+
+const dataDir = useTestEnvironment({ GRAPH_MAX_RETRIES: '2', GRAPH_RETRY_BASE_DELAY_MS: '1', GRAPH_BREAKER_THRESHOLD: '100' });
+
+const { setCachedId } = await import('../services/sharepointCache.js');
+const { listListItems, uploadFileToSharePoint } = await import('../services/sharepoint.js');
+
+for (const province of ['Gauteng', 'Limpopo']) {
+  setCachedId(province, 'site', `site-${province}`);
+  setCachedId(province, 'list', { id: `list-${province}`, name: 'Submissions' });
+}
+
+/**
+ * A stand-in for the Graph client: every request is recorded and answered by `respond`
+ * @param {Function} respond - (method, path, query, body) => response, or throws
+ * @returns {object} client with the calls made
+ */
+function fakeGraphClient(respond) {
+  const calls = [];
+  return {
+    calls,
+    api(apiPath) {
+      const query = {};
+      const request = {
+        header: () => request,
+        expand: () => request,
+        select: () => request,
+        top: count => Object.assign(query, { top: count }) && request,
+        filter: filter => Object.assign(query, { filter }) && request,
+        get: async () => {
+          calls.push({ method: 'GET', path: apiPath, query });
+          return respond('GET', apiPath, query);
+        },
+        post: async body => {
+          calls.push({ method: 'POST', path: apiPath, body });
+          return respond('POST', apiPath, query, body);
+        }
+      };
+      return request;
+    }
+  };
+}
+
+function graphError(statusCode) {
+  const error = new Error(`HTTP ${statusCode}`);
+  error.statusCode = statusCode;
+  error.headers = { 'retry-after': '0' };
+  return error;
+}
+
+describe('listListItems', () => {
+  it('returns the newest items when the list holds more than the limit', async () => {
+    // Graph pages oldest first, five items a page
+    const items = Array.from({ length: 12 }, (_, index) => ({
+      id: String(index + 1),
+      createdDateTime: new Date(Date.UTC(2026, 0, index + 1)).toISOString(),
+      fields: {}
+    }));
+    const client = fakeGraphClient((method, apiPath) => {
+      const page = apiPath.startsWith('page:') ? Number(apiPath.slice(5)) : 0;
+      const value = items.slice(page * 5, page * 5 + 5);
+      return { value, ...(page * 5 + 5 < items.length && { '@odata.nextLink': `page:${page + 1}` }) };
+    });
+
+    const newest = await listListItems(client, 'Gauteng', { limit: 4 });
+    assert.deepEqual(newest.map(item => item.id), ['12', '11', '10', '9']);
+  });
+});
+
+describe('uploadFileToSharePoint', () => {
+  const filePath = path.join(dataDir, 'plan.pdf');
+  fs.writeFileSync(filePath, '%PDF-1.4 test plan');
+
+  afterEach(() => mock.restoreAll());
+
+  it('retries a throttled session and a failed chunk one call at a time', async () => {
+    let sessionAttempts = 0;
+    const client = fakeGraphClient(() => {
+      sessionAttempts += 1;
+      if (sessionAttempts === 1) throw graphError(429);
+      return { uploadUrl: 'https://upload.example/session' };
+    });
+    const puts = [];
+    mock.method(globalThis, 'fetch', async (url, options = {}) => {
+      if (options.method !== 'PUT') return Response.json({ nextExpectedRanges: ['0-'] });
+      puts.push(options.headers['Content-Range']);
+      return puts.length === 1
+        ? new Response('busy', { status: 503, headers: { 'Retry-After': '0' } })
+        : Response.json({ id: 'item-1', webUrl: 'https://example.sharepoint.com/plan.pdf' }, { status: 201 });
+    });
+
+    const session = {};
+    const webUrl = await uploadFileToSharePoint(filePath, 'plan.pdf', client, 'site-Gauteng', 'D1 Documents/REG123', { province: 'Gauteng', session });
+
+    assert.equal(webUrl, 'https://example.sharepoint.com/plan.pdf');
+    assert.equal(sessionAttempts, 2);
+    assert.match(client.calls[0].path, /root:\/D1%20Documents\/REG123\/plan\.pdf:\/createUploadSession$/);
+    assert.deepEqual(puts, ['bytes 0-17/18', 'bytes 0-17/18']);
+    assert.equal(session.itemId, 'item-1');
+    assert.equal(session.uploadUrl, undefined);
+  });
+
+  it('gives up on a chunk after the Graph retries, without retrying the whole upload', async () => {
+    const client = fakeGraphClient(() => ({ uploadUrl: 'https://upload.example/session' }));
+    let putCount = 0;
+    mock.method(globalThis, 'fetch', async (url, options = {}) => {
+      if (options.method !== 'PUT') return Response.json({ nextExpectedRanges: ['0-'] });
+      putCount += 1;
+      return new Response('busy', { status: 503, headers: { 'Retry-After': '0' } });
+    });
+
+    const session = {};
+    await assert.rejects(
+      uploadFileToSharePoint(filePath, 'plan.pdf', client, 'site-Limpopo', 'D1 Documents', { province: 'Limpopo', session }),
+      { statusCode: 503 }
+    );
+    // One call plus GRAPH_MAX_RETRIES repeats; the session is kept for the next delivery attempt
+    assert.equal(putCount, 3);
+    assert.equal(client.calls.length, 1);
+    assert.equal(session.uploadUrl, 'https://upload.example/session');
+  });
+});
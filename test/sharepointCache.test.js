@@ -0,0 +1,62 @@
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestEnvironment } from './helpers.js';
+
+useTestEnvironment({
+  SHAREPOINT_CACHE_TTL_MS: '60000',
+  SHAREPOINT_SITE_GAUTENG: 'https://example.sharepoint.com/sites/gauteng',
+  SHAREPOINT_LIST_GAUTENG: 'Submissions'
+});
+
+const { getCacheStatus, getCachedId, invalidateProvince, setCachedId } = await import('../services/sharepointCache.js');
+const { getSiteId } = await import('../services/sharepoint.js');
+
+describe('SharePoint ID cache', () => {
+  afterEach(() => {
+    mock.restoreAll();
+    invalidateProvince('Gauteng');
+    invalidateProvince('Limpopo');
+  });
+
+  it('keeps IDs until they expire', () => {
+    const now = Date.now();
+    mock.method(Date, 'now', () => now);
+    setCachedId('Limpopo', 'site', 'site-limpopo');
+    assert.equal(getCachedId('Limpopo', 'site'), 'site-limpopo');
+    assert.equal(getCachedId('Limpopo', 'list'), undefined);
+
+    Date.now.mock.mockImplementation(() => now + 60000);
+    assert.equal(getCachedId('Limpopo', 'site'), undefined);
+  });
+
+  it('forgets a province on request', () => {
+    setCachedId('Limpopo', 'site', 'site-limpopo');
+    assert.equal(invalidateProvince('Limpopo'), true);
+    assert.equal(getCachedId('Limpopo', 'site'), undefined);
+    assert.equal(invalidateProvince('Limpopo'), false);
+  });
+
+  it('reports the cached IDs for the health check', () => {
+    setCachedId('Limpopo', 'site', 'site-limpopo');
+    setCachedId('Limpopo', 'list', { id: 'list-limpopo', name: 'Submissions' });
+
+    const status = getCacheStatus();
+    assert.equal(status.ttlSeconds, 60);
+    assert.equal(status.provinces.Limpopo.siteId, 'site-limpopo');
+    assert.equal(status.provinces.Limpopo.listId, 'list-limpopo');
+  });
+
+  it('looks a site up in Graph once per province', async () => {
+    const paths = [];
+    const client = {
+      api(apiPath) {
+        paths.push(apiPath);
+        return { get: async () => ({ id: 'site-gauteng' }) };
+      }
+    };
+
+    assert.equal(await getSiteId(client, 'Gauteng'), 'site-gauteng');
+    assert.equal(await getSiteId(client, 'Gauteng'), 'site-gauteng');
+    assert.deepEqual(paths, ['/sites/example.sharepoint.com:/sites/gauteng']);
+  });
+});
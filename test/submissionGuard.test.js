@@ -0,0 +1,215 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, submitForm, useTestEnvironment, validFormFields } from './helpers.js';
+
+useTestEnvironment();
+
+const { openDatabase } = await import('../services/database.js');
+const {
+  claimIdempotencyKey, claimSubmission, completeIdempotencyKey, findDuplicateSubmission, findIdempotentResponse,
+  forgetSubmission, getNewDocumentHashes, getSubmissionFingerprint, parseIdempotencyKey, purgeExpiredGuards, recordSubmission, releaseIdempotencyKey
+} = await import('../services/submissionGuard.js');
+
+const plan = { name: 'plan.pdf', content: '%PDF-1.4 test plan' };
+const deed = { name: 'deed.pdf', content: '%PDF-1.4 title deed' };
+
+function application(registrationNumber, overrides = {}) {
+  return { province: 'Gauteng', registrationNumber, standNumber: '7', streetAddress: '7 Oak Street', suburb: 'Sunnyside', city: 'Pretoria', postalCode: '0002', ...overrides };
+}
+
+function ageClaim(formData, ageMs) {
+  openDatabase('idempotency.db').prepare('UPDATE submission_claims SET created_at = ? WHERE fingerprint = ?')
+    .run(new Date(Date.now() - ageMs).toISOString(), getSubmissionFingerprint(formData));
+}
+
+// A data directory from before claims: fingerprints were kept per reference number
+const legacyApplication = application('LEGACY-1');
+openDatabase('idempotency.db').exec(`
+  CREATE TABLE submission_fingerprints (reference_number TEXT PRIMARY KEY, fingerprint TEXT NOT NULL, province TEXT NOT NULL, created_at TEXT NOT NULL);
+  INSERT INTO submission_fingerprints VALUES
+    ('NHBRC100005', '${getSubmissionFingerprint(legacyApplication)}', 'Gauteng', '${new Date(Date.now() - 60000).toISOString()}'),
+    ('NHBRC100006', '${getSubmissionFingerprint(legacyApplication)}', 'Gauteng', '${new Date().toISOString()}');
+`);
+
+describe('application fingerprints', () => {
+  it('ignores case, spacing, punctuation and the order of properties', () => {
+    const properties = [{ standNumber: '1', streetAddress: '1 Oak St' }, { standNumber: '2', streetAddress: '2 Oak St' }];
+    const first = { province: 'Gauteng', registrationNumber: 'REG 1', properties };
+    const second = {
+      province: 'gauteng',
+      registrationNumber: 'reg1',
+      properties: [{ standNumber: '2', streetAddress: '2, oak  st.' }, { standNumber: '1', streetAddress: '1 OAK ST' }]
+    };
+
+    assert.equal(getSubmissionFingerprint(second), getSubmissionFingerprint(first));
+    assert.notEqual(getSubmissionFingerprint({ ...first, province: 'Limpopo' }), getSubmissionFingerprint(first));
+  });
+});
+
+describe('duplicate claims', () => {
+  it('keeps the latest submission of each application from the old fingerprint table', () => {
+    assert.equal(findDuplicateSubmission(legacyApplication).referenceNumber, 'NHBRC100006');
+  });
+
+  it('answers the second claim of an application with the first reference', () => {
+    const formData = application('DUP-1');
+    assert.equal(claimSubmission(formData), null);
+    recordSubmission('NHBRC100001', formData);
+
+    const duplicate = claimSubmission({ ...formData, registrationNumber: 'dup-1 ' });
+    assert.equal(duplicate.referenceNumber, 'NHBRC100001');
+    assert.equal(duplicate.province, 'Gauteng');
+    assert.deepEqual(findDuplicateSubmission(formData), duplicate);
+  });
+
+  it('tells the documents of the earlier submission apart from new ones', () => {
+    const formData = application('DUP-HASH');
+    claimSubmission(formData);
+    recordSubmission('NHBRC100007', formData, ['bbb', 'aaa', 'aaa']);
+
+    const duplicate = claimSubmission(formData);
+    assert.deepEqual(duplicate.fileHashes, ['aaa', 'bbb']);
+    assert.deepEqual(getNewDocumentHashes(duplicate, ['bbb', 'aaa']), []);
+    assert.deepEqual(getNewDocumentHashes(duplicate, ['aaa']), []);
+    assert.deepEqual(getNewDocumentHashes(duplicate, ['aaa', 'ccc']), ['ccc']);
+  });
+
+  it('counts every document as new when the earlier ones were not recorded', () => {
+    const duplicate = findDuplicateSubmission(legacyApplication);
+    assert.equal(duplicate.fileHashes, null);
+    assert.deepEqual(getNewDocumentHashes(duplicate, ['aaa']), ['aaa']);
+  });
+
+  it('refuses a second claim while the first is still being queued', () => {
+    const formData = application('DUP-2');
+    assert.equal(claimSubmission(formData), null);
+
+    assert.throws(() => claimSubmission(formData), error => error.statusCode === 409 && error.inProgress);
+    // A dry run does not count a claim still in progress
+    assert.equal(findDuplicateSubmission(formData), null);
+  });
+
+  it('takes over a claim left behind by a request that died', () => {
+    const formData = application('DUP-3');
+    claimSubmission(formData);
+    ageClaim(formData, 6 * 60 * 1000);
+
+    assert.equal(claimSubmission(formData), null);
+  });
+
+  it('lets an application be sent again once its claim is forgotten', () => {
+    const formData = application('DUP-4');
+    claimSubmission(formData);
+    forgetSubmission(formData);
+
+    assert.equal(claimSubmission(formData), null);
+  });
+
+  it('accepts the application again after the duplicate window', () => {
+    const formData = application('DUP-5');
+    claimSubmission(formData);
+    recordSubmission('NHBRC100002', formData);
+    ageClaim(formData, 25 * 60 * 60 * 1000);
+
+    assert.equal(findDuplicateSubmission(formData), null);
+    assert.equal(claimSubmission(formData), null);
+  });
+
+  it('purges claims older than the window', () => {
+    const formData = application('DUP-6');
+    recordSubmission('NHBRC100003', formData);
+    ageClaim(formData, 25 * 60 * 60 * 1000);
+
+    assert.ok(purgeExpiredGuards() >= 1);
+    const row = openDatabase('idempotency.db').prepare('SELECT * FROM submission_claims WHERE fingerprint = ?').get(getSubmissionFingerprint(formData));
+    assert.equal(row, undefined);
+  });
+});
+
+describe('idempotency keys', () => {
+  it('checks the key format', () => {
+    assert.equal(parseIdempotencyKey(undefined), null);
+    assert.equal(parseIdempotencyKey('key-12345'), 'key-12345');
+    assert.throws(() => parseIdempotencyKey('short'), error => error.statusCode === 400);
+  });
+
+  it('replays the stored response, and refuses the key for another application', () => {
+    const formData = application('KEY-1');
+    assert.equal(findIdempotentResponse('key-replay-1', formData), null);
+
+    claimIdempotencyKey('key-replay-1', formData);
+    assert.throws(() => findIdempotentResponse('key-replay-1', formData), error => error.statusCode === 409 && error.inProgress);
+
+    completeIdempotencyKey('key-replay-1', 202, { referenceNumber: 'NHBRC100004' });
+    assert.deepEqual(findIdempotentResponse('key-replay-1', formData), { statusCode: 202, body: { referenceNumber: 'NHBRC100004' } });
+    assert.throws(() => findIdempotentResponse('key-replay-1', application('KEY-2')), error => error.statusCode === 422);
+  });
+
+  it('processes a retry afresh after a failed request released its key', () => {
+    const formData = application('KEY-3');
+    claimIdempotencyKey('key-release-1', formData);
+    releaseIdempotencyKey('key-release-1');
+
+    assert.equal(findIdempotentResponse('key-release-1', formData), null);
+  });
+});
+
+describe('submitting the same application twice', () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.stop());
+
+  it('replays the first response to a retry with the same idempotency key', async () => {
+    const fields = validFormFields({ registrationNumber: 'SRV-1' });
+    const headers = { 'Idempotency-Key': 'srv-key-0001' };
+
+    const first = await submitForm(server.baseUrl, fields, { files: [plan], headers });
+    const retry = await submitForm(server.baseUrl, fields, { files: [plan], headers });
+
+    assert.equal(first.status, 202, JSON.stringify(first.body));
+    assert.equal(retry.status, 202);
+    assert.equal(retry.headers.get('Idempotent-Replayed'), 'true');
+    assert.equal(retry.body.referenceNumber, first.body.referenceNumber);
+  });
+
+  it('answers an application resent with the same documents with its first reference', async () => {
+    const fields = validFormFields({ registrationNumber: 'SRV-2' });
+    const first = await submitForm(server.baseUrl, fields, { files: [plan, deed] });
+    const again = await submitForm(server.baseUrl, fields, { files: [deed, plan] });
+
+    assert.equal(first.status, 202, JSON.stringify(first.body));
+    assert.equal(again.status, 200, JSON.stringify(again.body));
+    assert.equal(again.body.success, true);
+    assert.equal(again.body.duplicate, true);
+    assert.equal(again.body.referenceNumber, first.body.referenceNumber);
+  });
+
+  it('refuses a duplicate that brings new documents and says they were not accepted', async () => {
+    const fields = validFormFields({ registrationNumber: 'SRV-4' });
+    const first = await submitForm(server.baseUrl, fields, { files: [plan] });
+    const again = await submitForm(server.baseUrl, fields, { files: [plan, deed] });
+
+    assert.equal(again.status, 409);
+    assert.equal(again.body.success, false);
+    assert.equal(again.body.duplicate, true);
+    assert.equal(again.body.referenceNumber, first.body.referenceNumber);
+    assert.match(again.body.error, /new documents attached to it were not accepted/);
+  });
+
+  it('queues only one of two identical submissions sent together', async () => {
+    const fields = validFormFields({ registrationNumber: 'SRV-3' });
+    const responses = await Promise.all([1, 2, 3].map(() => submitForm(server.baseUrl, fields, { files: [plan] })));
+
+    const queued = responses.filter(response => response.status === 202);
+    assert.equal(queued.length, 1, JSON.stringify(responses.map(response => response.body)));
+    // The others are told the application is being submitted, or given its reference
+    for (const response of responses.filter(r => r.status !== 202)) {
+      assert.ok(response.body.inProgress || response.body.referenceNumber === queued[0].body.referenceNumber, JSON.stringify(response.body));
+    }
+
+    const queuedEntries = server.logs().filter(line => line.message === 'Queued submission' && line.referenceNumber === queued[0].body.referenceNumber);
+    assert.equal(queuedEntries.length, 1);
+  });
+});
@@ -0,0 +1,125 @@
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import { useTestEnvironment } from './helpers.js';
+
+const dataDir = useTestEnvironment();
+
+const { drainOutbox, enqueueSubmission, findEntryByReference, OUTBOX_STATUS } = await import('../services/outbox.js');
+const { allocateReference } = await import('../services/referenceAllocator.js');
+const { getStorage } = await import('../services/storage/index.js');
+const { FILE_RESULT_STATUS } = await import('../services/storage/files.js');
+const { getSubmissionReceipt, getSubmissionStatus, replaceFailedDocuments } = await import('../services/submissionStatus.js');
+const { appendChunk, createUpload } = await import('../services/uploadStore.js');
+
+async function queue(files = []) {
+  const referenceNumber = allocateReference({ province: 'Gauteng' });
+  await enqueueSubmission({
+    referenceNumber,
+    province: 'Gauteng',
+    formData: { builderName: 'Sam Builder', registrationNumber: 'REG 123', province: 'Gauteng', propertyDetails: 'Stand 101, Sunnyside' },
+    files
+  });
+  return referenceNumber;
+}
+
+function documentFiles(names) {
+  return names.map(name => {
+    const filePath = path.join(dataDir, `${Date.now()}-${name}`);
+    fs.writeFileSync(filePath, name);
+    return { originalname: name, mimetype: 'application/pdf', size: name.length, path: filePath };
+  });
+}
+
+async function stagedUpload(name) {
+  const upload = await createUpload({ fileName: name, size: name.length, mimeType: 'application/pdf' });
+  return appendChunk(upload.id, { start: 0, end: name.length - 1, total: name.length }, Readable.from([Buffer.from(name)]));
+}
+
+// Deliver a submission whose second document does not reach storage
+async function deliverWithFailedDocument() {
+  const referenceNumber = await queue(documentFiles(['plan.pdf', 'title-deed.pdf']));
+  const storeFiles = mock.method(getStorage(), 'storeFiles', async files => [
+    { name: files[0].originalname, status: FILE_RESULT_STATUS.UPLOADED, storedName: 'plan.pdf', path: 'D1 Documents/Gauteng/plan.pdf', url: 'https://example.test/plan.pdf' },
+    { name: files[1].originalname, status: FILE_RESULT_STATUS.FAILED, reason: 'The file could not be stored', retryable: false }
+  ]);
+  await drainOutbox();
+  storeFiles.mock.restore();
+  return referenceNumber;
+}
+
+describe('submission status lookup', () => {
+  it('answers a queued submission for its own registration number, however it is typed', async () => {
+    const referenceNumber = await queue();
+
+    const status = await getSubmissionStatus(referenceNumber, ' reg123 ');
+    assert.equal(status.referenceNumber, referenceNumber);
+    assert.equal(status.status, 'Received - processing');
+    assert.ok(getSubmissionReceipt(referenceNumber, 'REG123'));
+  });
+
+  it('refuses a queued submission to another registration number', async () => {
+    const referenceNumber = await queue();
+
+    assert.equal(await getSubmissionStatus(referenceNumber, 'REG124'), null);
+    assert.equal(await getSubmissionStatus(referenceNumber, ''), null);
+    assert.equal(getSubmissionReceipt(referenceNumber, 'REG124'), null);
+  });
+
+  it('refuses a delivered submission to another registration number', async () => {
+    const referenceNumber = await queue();
+    await drainOutbox();
+
+    const status = await getSubmissionStatus(referenceNumber, 'REG123');
+    assert.equal(status.status, 'Received');
+    assert.equal(await getSubmissionStatus(referenceNumber, 'REG124'), null);
+  });
+
+  it('does not find an unknown reference', async () => {
+    assert.equal(await getSubmissionStatus('NHBRC000000', 'REG123'), null);
+  });
+});
+
+describe('failed document replacement', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('reports a failed document and uploads only its replacement', async () => {
+    const referenceNumber = await deliverWithFailedDocument();
+
+    const status = await getSubmissionStatus(referenceNumber, 'REG123');
+    assert.deepEqual(status.documents.files.map(file => file.status), [FILE_RESULT_STATUS.UPLOADED, FILE_RESULT_STATUS.FAILED]);
+    assert.equal(status.documents.canRetryFailed, true);
+
+    const replacement = await stagedUpload('title-deed-scan.pdf');
+    const queued = await replaceFailedDocuments(referenceNumber, 'REG123', [{ index: 1, uploadId: replacement.id }]);
+    assert.equal(queued.status, 'Received - processing');
+
+    await drainOutbox();
+    const { result } = findEntryByReference(referenceNumber);
+    assert.equal(result.fileResults[0].url, 'https://example.test/plan.pdf');
+    assert.equal(result.fileResults[1].status, FILE_RESULT_STATUS.UPLOADED);
+    assert.equal(result.fileResults[1].name, 'title-deed-scan.pdf');
+    assert.equal((await getSubmissionStatus(referenceNumber, 'REG123')).documents.canRetryFailed, false);
+  });
+
+  it('refuses to replace a document that arrived', async () => {
+    const referenceNumber = await deliverWithFailedDocument();
+    const replacement = await stagedUpload('plan-v2.pdf');
+
+    await assert.rejects(
+      replaceFailedDocuments(referenceNumber, 'REG123', [{ index: 0, uploadId: replacement.id }]),
+      error => error.statusCode === 400 && error.fileResults[0].reason === 'Only documents that failed to upload can be sent again'
+    );
+    assert.equal(findEntryByReference(referenceNumber).status, OUTBOX_STATUS.DELIVERED);
+  });
+
+  it('refuses replacements while the submission is being processed, or for another registration number', async () => {
+    const referenceNumber = await queue();
+    const replacement = await stagedUpload('plan.pdf');
+
+    assert.equal(await replaceFailedDocuments(referenceNumber, 'REG124', [{ index: 0, uploadId: replacement.id }]), null);
+    await assert.rejects(replaceFailedDocuments(referenceNumber, 'REG123', [{ index: 0, uploadId: replacement.id }]), { statusCode: 409 });
+  });
+});
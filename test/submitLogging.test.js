@@ -0,0 +1,38 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, submitForm, useTestEnvironment, validFormFields, waitFor } from './helpers.js';
+
+useTestEnvironment();
+
+describe('submission logging', () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.stop());
+
+  it('keeps the correlation ID and masks the builder\'s values through a multipart submit', async () => {
+    const fields = validFormFields({ builderName: 'Thandiwe Nkosi', registrationNumber: 'REG777123', streetAddress: '42 Jacaranda Avenue' });
+    const response = await submitForm(server.baseUrl, fields, {
+      files: [{ name: 'plan.pdf', content: '%PDF-1.4 test plan' }],
+      headers: { 'X-Correlation-ID': 'multipart-log-test' }
+    });
+    assert.equal(response.status, 202, JSON.stringify(response.body));
+    const { referenceNumber } = response.body;
+
+    const requestLogs = () => server.logs().filter(line => line.correlationId === 'multipart-log-test');
+    const queued = await waitFor(() => requestLogs().find(line => line.message === 'Queued submission'));
+    assert.equal(queued.referenceNumber, referenceNumber);
+
+    // The outbox delivers under the request's ID, so the delivery's lines belong to it too
+    await waitFor(() => requestLogs().some(line => line.message === 'Delivered submission'));
+
+    const logged = JSON.stringify(requestLogs());
+    for (const value of [fields.builderName, fields.registrationNumber, fields.streetAddress, 'thandiwe_nkosi']) {
+      assert.equal(logged.includes(value), false, `"${value}" appears in the logs`);
+    }
+    const stored = requestLogs().find(line => line.message === 'Stored file locally');
+    assert.match(stored.filePath, new RegExp(`/\\[REDACTED\\]/${referenceNumber}/\\[REDACTED\\]_`));
+    assert.ok(requestLogs().some(line => line.message === 'Request completed' && line.path === '/api/submit-form' && line.status === 202));
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import { Readable } from 'stream';
+import { useTestEnvironment } from './helpers.js';
+
+useTestEnvironment();
+
+const { UPLOAD_STATUS, appendChunk, createUpload, getUpload, parseContentRange } = await import('../services/uploadStore.js');
+
+function sendChunk(id, content, start, total) {
+  return appendChunk(id, { start, end: start + content.length - 1, total }, Readable.from([content]));
+}
+
+describe('resumable uploads', () => {
+  it('refuses files the schema does not allow', async () => {
+    await assert.rejects(createUpload({ fileName: 'setup.exe', size: 100 }), { statusCode: 400, message: /not an allowed type/ });
+    await assert.rejects(createUpload({ fileName: 'plan.pdf' }), { statusCode: 400, message: 'fileName and size are required' });
+  });
+
+  it('parses Content-Range headers', () => {
+    assert.deepEqual(parseContentRange('bytes 0-9/20'), { start: 0, end: 9, total: 20 });
+    assert.equal(parseContentRange('bytes */20'), null);
+    assert.equal(parseContentRange(undefined), null);
+  });
+
+  it('assembles chunks sent in order and hashes the finished file', async () => {
+    const content = Buffer.from('0123456789abcdefghij');
+    const upload = await createUpload({ fileName: 'plan.pdf', size: content.length, mimeType: 'application/pdf' });
+    assert.equal(upload.status, UPLOAD_STATUS.UPLOADING);
+
+    const partial = await sendChunk(upload.id, content.subarray(0, 10), 0, content.length);
+    assert.equal(partial.received, 10);
+    assert.equal(partial.status, UPLOAD_STATUS.UPLOADING);
+
+    const finished = await sendChunk(upload.id, content.subarray(10), 10, content.length);
+    assert.equal(finished.status, UPLOAD_STATUS.COMPLETE);
+    assert.equal(finished.sha256, crypto.createHash('sha256').update(content).digest('hex'));
+    assert.deepEqual(fs.readFileSync(finished.path), content);
+  });
+
+  it('refuses a chunk that does not start where the last one ended', async () => {
+    const upload = await createUpload({ fileName: 'plan.pdf', size: 20 });
+    await assert.rejects(sendChunk(upload.id, Buffer.alloc(10), 10, 20), { statusCode: 409, message: 'Expected chunk starting at byte 0' });
+    await assert.rejects(sendChunk(upload.id, Buffer.alloc(10), 0, 30), { statusCode: 400 });
+  });
+
+  it('drops a short chunk so it can be resent from the same offset', async () => {
+    const upload = await createUpload({ fileName: 'plan.pdf', size: 20 });
+    await assert.rejects(
+      appendChunk(upload.id, { start: 0, end: 9, total: 20 }, Readable.from([Buffer.alloc(4)])),
+      { statusCode: 400, message: 'Chunk was shorter than its Content-Range' }
+    );
+
+    assert.equal(getUpload(upload.id).received, 0);
+    assert.equal(fs.statSync(upload.path).size, 0);
+    assert.equal((await sendChunk(upload.id, Buffer.alloc(10), 0, 20)).received, 10);
+  });
+
+  it('answers 404 for unknown uploads', async () => {
+    await assert.rejects(sendChunk(crypto.randomUUID(), Buffer.alloc(1), 0, 1), { statusCode: 404 });
+  });
+});
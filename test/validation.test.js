@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SUBMISSION_SCHEMA } from '../config/submissionSchema.js';
+import { validateField, validateFiles, validateSubmission } from '../services/validation.js';
+
+const { fields, files: filesRule } = SUBMISSION_SCHEMA;
+
+describe('field rules', () => {
+  it('requires required fields and lets optional ones stay empty', () => {
+    assert.equal(validateField(fields.builderName, ''), 'Home Builder Name and Surname is required');
+    assert.equal(validateField({ label: 'Notes' }, ''), null);
+  });
+
+  it('checks lengths, patterns and choices', () => {
+    assert.equal(validateField(fields.companyName, 'A'), 'Home Builder Company Name must be at least 2 characters');
+    assert.equal(validateField(fields.registrationNumber, 'REG 123'), 'Use only letters, numbers, "/" and "-"');
+    assert.equal(validateField(fields.registrationNumber, 'REG-123/4'), null);
+    assert.equal(validateField(fields.email, 'sam@example'), 'Please enter a valid email address');
+    assert.equal(validateField(fields.province, 'Atlantis'), 'Please select a valid province');
+    assert.equal(validateField(fields.province, 'Gauteng'), null);
+  });
+});
+
+describe('file rules', () => {
+  it('checks the number of files', () => {
+    assert.equal(validateFiles(filesRule, []), 'Please upload at least 1 file');
+    const tooMany = Array.from({ length: filesRule.maxCount + 1 }, (_, i) => ({ originalname: `doc${i}.pdf`, size: 100 }));
+    assert.equal(validateFiles(filesRule, tooMany), `Maximum of ${filesRule.maxCount} files allowed per submission`);
+  });
+
+  it('checks each file\'s type and size', () => {
+    assert.equal(validateFiles(filesRule, [{ originalname: 'plan.PDF', size: 100 }]), null);
+    assert.match(validateFiles(filesRule, [{ originalname: 'setup.exe', size: 100 }]), /^File "setup.exe" is not an allowed type/);
+    assert.equal(validateFiles(filesRule, [{ originalname: 'plan.pdf', size: filesRule.maxSize + 1 }]), 'File "plan.pdf" exceeds 10MB');
+  });
+});
+
+describe('submission validation', () => {
+  it('trims the values and reports every failing field by name', () => {
+    const { errors, values } = validateSubmission({
+      builderName: '  Sam Builder  ',
+      companyName: 'A',
+      registrationNumber: 'REG123',
+      email: 'not-an-email',
+      province: 'Gauteng'
+    }, []);
+
+    assert.equal(values.builderName, 'Sam Builder');
+    assert.equal(errors.builderName, undefined);
+    assert.equal(errors.companyName, 'Home Builder Company Name must be at least 2 characters');
+    assert.equal(errors.email, 'Please enter a valid email address');
+    assert.equal(errors.competentPerson, 'Competent Person Name is required');
+    assert.equal(errors.files, 'Please upload at least 1 file');
+  });
+
+  it('ignores fields that are not in the schema', () => {
+    const { values } = validateSubmission({ builderName: 'Sam Builder', isAdmin: 'true' }, []);
+    assert.equal('isAdmin' in values, false);
+  });
+});